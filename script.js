@@ -4,22 +4,1613 @@
  */
 
 // ================= CONSTANTS =================
-// Placeholder Webhook URLs - REPLACED BY USER
+// Default Webhook URLs - change them in Settings
 const SHEET_WEBHOOK = "https://telsleadsfinders.vercel.app/";
-const REDROB_WEBHOOK = "YOUR_REDROB_WEBHOOK_URL_HERE";
+const REDROB_WEBHOOK = "";
+const N8N_WEBHOOK = "https://technoedge.app.n8n.cloud/webhook-test/tels-leads";
+// Endpoints, auth and limits saved from the Settings panel
+const SETTINGS_STORAGE_KEY = 'leads_settings';
+const SETTINGS_VERSION = 1;
+// Providers the user chose to query (ids, see SEARCH PROVIDERS)
+const PROVIDER_SELECTION_STORAGE_KEY = 'leads_search_providers';
+// Request limits for provider webhooks (each provider may override them)
+const PROVIDER_TIMEOUT_MS = 30000;
+const PROVIDER_RETRIES = 2;
+const PROVIDER_RETRY_BACKOFF_MS = 1000;
+// HTTP statuses worth retrying; anything else fails straight away
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+// Outbound submissions (passive providers such as n8n) are queued and retried until delivered
+const SUBMISSION_MAX_ATTEMPTS = 8;
+const SUBMISSION_BACKOFF_MS = 5000;
+const SUBMISSION_MAX_BACKOFF_MS = 30 * 60 * 1000;
+// Oldest delivered submissions are pruned beyond this many log entries
+const SUBMISSION_LOG_LIMIT = 100;
+// Uploaded files kept for undelivered submissions, in bytes; past this a submission is sent
+// once without being queued
+const SUBMISSION_MAX_PENDING_BYTES = 50 * 1024 * 1024;
+// Pages followed when a provider paginates its results
+const PROVIDER_MAX_PAGES = 10;
+// Envelope keys that may hold the list of leads ({ data: [...] }, { results: [...] }, ...)
+const RESPONSE_LIST_KEYS = ['data', 'results', 'leads', 'items', 'records', 'rows', 'candidates', 'profiles', 'people', 'contacts'];
+// Fewer digits than this cannot be a phone number
+const LEAD_MIN_PHONE_DIGITS = 7;
 
 // Store current results to facilitate downloads
 let currentData = [];
-// Store cached file payload (for persistence across refreshes)
-let cachedFilePayload = null;
+// Store cached upload (a File restored from the workspace, for persistence across sessions)
+let cachedFile = null;
+// Column mappings confirmed by the user for the current upload ({ sheetName: { field: header } })
+let columnMappings = {};
+// Sheets of the current upload to search (null = all sheets)
+let selectedSheets = null;
+// Parsed workbook and draft mappings while the mapping dialog is open
+let pendingMapping = null;
+// Normalized technology alias -> canonical name (see rebuildTechAliasIndex)
+let techAliasIndex = new Map();
+// Sorting, filtering and paging of the results table
+const tableState = {
+    columns: [],
+    sortField: null,
+    sortDirection: 'asc',
+    filters: {},
+    quickFilter: '',
+    // Only leads that are new since the search last ran (see recordSearchRun)
+    onlyNew: false,
+    // Chart segment picked in the analytics panel (see toggleAnalyticsSegment), or null
+    segment: null,
+    page: 1,
+    pageSize: 50
+};
+// Pending debounce timer for table filter inputs
+let tableFilterTimer = null;
+// Folded cell text per lead, by field: { text, folded }, reused while the cell is unchanged
+const foldedCellCache = new WeakMap();
+// Ids (lead._id) of the rows ticked in the results table
+const selectedLeadIds = new Set();
+// Next id handed out to a result row
+let nextLeadId = 1;
+// Open IndexedDB connection (see openWorkspaceDB)
+let workspaceDbPromise = null;
+// Registered search providers by id (see registerSearchProvider)
+const searchProviders = new Map();
+// Controller of the search in progress, so it can be cancelled
+let activeSearch = null;
+// Timer for the next due submission retry, and whether the queue is being sent
+let submissionTimer = null;
+let submissionQueueRunning = false;
+// Columns picked in the export dialog for this session (null = Settings default or automatic)
+let exportColumns = null;
+// Searches behind the current results, listed on the PDF report cover
+let reportSearches = [];
+// Summary of the upload parsed last, keyed by file (see loadFileSheets)
+let parsedFileCache = null;
+// Web Worker that parses and searches uploads (null until first used, false if unavailable)
+let fileWorker = null;
+let fileWorkerRequestId = 0;
+// Pending file worker requests by id: {resolve, reject, onProgress}
+const fileWorkerRequests = new Map();
+// Parsed rows of the latest upload, held by the file worker (or by the page without one)
+let fileWorkerCache = null;
+// Comparison of the current results with the previous run of the same search (null = none)
+let searchDiff = null;
+// Notes and outreach events saved in the workspace, by lead key (see getLeadKey)
+const leadActivity = new Map();
+// Lead shown in the detail drawer, or null
+let drawerLead = null;
+// AES and HMAC keys of an encrypted workspace once unlocked (null = locked, or not encrypted)
+let workspaceKeys = null;
+// Leads whose email and phone were revealed in privacy mode, by workspace key (see getWorkspaceKey)
+const revealedLeadKeys = new Set();
+// Opaque ids that stand in for lead keys in the DOM, since keys can hold an email (see getLeadHandle)
+const leadHandles = new Map();
+const leadHandleKeys = new Map();
+// Audit entries made while the workspace was locked, written once it is unlocked (see logAudit)
+const pendingAuditEntries = [];
+// What the passphrase dialog is for: 'create' or 'unlock'
+let passphraseMode = null;
+// Likely duplicate groups in currentData (arrays of leads)
+let duplicateGroups = [];
+// All groups found in a currentData array, dismissed ones included; only recomputed when the array changes
+let duplicateCache = { data: null, groups: [] };
+// Groups the user marked as "not duplicates", by group key
+const dismissedDuplicateKeys = new Set();
+
+// Lead fields that uploaded columns can be mapped onto
+const LEAD_FIELDS = ['name', 'location', 'technology', 'email', 'phone'];
+// Lead fields hidden in privacy mode until the lead is revealed
+const CONTACT_FIELDS = ['email', 'phone'];
+// Header keywords used to suggest a mapping, strongest first
+const FIELD_HEADER_HINTS = {
+    name: ['full name', 'contact name', 'candidate name', 'lead name', 'person name', 'name', 'candidate', 'contact person'],
+    location: ['location', 'city', 'town', 'region', 'state', 'country', 'address'],
+    technology: ['technology', 'technologies', 'tech stack', 'tech', 'skills', 'skill', 'skill set', 'stack', 'expertise'],
+    email: ['email', 'email address', 'e mail', 'mail'],
+    phone: ['phone', 'phone number', 'mobile', 'mobile number', 'cell', 'telephone', 'tel', 'contact number', 'whatsapp']
+};
+// Words that disqualify a header even if it contains a hint (e.g. "Company Name")
+const FIELD_HEADER_EXCLUDES = {
+    name: ['company', 'organisation', 'organization', 'org', 'account', 'file', 'sheet', 'user', 'business', 'employer'],
+    location: ['email', 'ip'],
+    technology: [],
+    email: [],
+    phone: ['email']
+};
+// Columns offered as default export columns in Settings
+const EXPORT_FIELD_OPTIONS = [...LEAD_FIELDS, 'phoneE164', 'sheet', 'source', 'score', 'quality', 'tags', 'batchCriteria', 'mergedFrom', 'notes', 'events'];
+const COLUMN_MAPPING_STORAGE_KEY = 'leads_column_mappings';
+
+// Known aliases per technology; the canonical names from the #tech-options list are added at startup
+const BUILTIN_TECH_ALIASES = {
+    'JavaScript': ['js', 'ecmascript', 'es6', 'vanilla js'],
+    'TypeScript': ['ts'],
+    'Python': ['py', 'python3'],
+    'Java': ['core java', 'j2ee', 'java ee', 'jdk'],
+    'React': ['reactjs', 'react.js', 'react js'],
+    'Vue': ['vuejs', 'vue.js'],
+    'Angular': ['angularjs', 'angular.js'],
+    'Node.js': ['node', 'nodejs', 'node js'],
+    '.NET': ['dotnet', 'dot net', '.net core', 'asp.net'],
+    'C#': ['csharp', 'c sharp'],
+    'C++': ['cpp'],
+    'PHP': ['php7', 'php8'],
+    'Go': ['golang'],
+    'Kubernetes': ['k8s'],
+    'PostgreSQL': ['postgres', 'psql'],
+    'AWS': ['amazon web services']
+};
+const TECH_ALIAS_STORAGE_KEY = 'leads_tech_aliases';
+// Relevance of a technology match, by how it matched
+const TECH_SCORE_EXACT = 1;
+const TECH_SCORE_ALIAS = 0.9;
+const TECH_SCORE_FUZZY_ALIAS = 0.75;
+const TECH_SCORE_FUZZY = 0.7;
+
+// IndexedDB workspace: saved searches, shortlisted leads and the current upload
+const WORKSPACE_DB_NAME = 'tels_leads_workspace';
+const WORKSPACE_DB_VERSION = 3;
+const WORKSPACE_STORES = {
+    files: 'files',
+    searches: 'searches',
+    leads: 'leads',
+    submissions: 'submissions',
+    audit: 'audit'
+};
+// Object store options, by store name
+const WORKSPACE_STORE_OPTIONS = {
+    files: { keyPath: 'id' },
+    searches: { keyPath: 'id', autoIncrement: true },
+    leads: { keyPath: 'key' },
+    submissions: { keyPath: 'id' },
+    audit: { keyPath: 'id', autoIncrement: true }
+};
+// Key of the current upload in the files store
+const CURRENT_FILE_KEY = 'current';
+// Where the file used to live before the workspace existed
+const LEGACY_FILE_STORAGE_KEY = 'leads_file_payload';
+const LEAD_STATUSES = ['shortlisted', 'contacted', 'responded', 'interviewing', 'placed', 'not interested'];
+const WORKSPACE_LEAD_FIELDS = [...LEAD_FIELDS, 'source', 'tags', 'status', 'lastContacted', 'notes', 'events'];
+// Outreach a recruiter can log on a lead's timeline (labels are the outreach.* messages)
+const OUTREACH_EVENT_TYPES = ['email', 'call', 'message', 'meeting', 'other'];
+// Result fields shown in the lead drawer's details list, in order (notes and outreach have their own sections)
+const LEAD_DETAIL_FIELDS = [...LEAD_FIELDS, 'sheet', 'source', 'score', 'quality', 'tags', 'batchCriteria', 'mergedFrom'];
+// Batch search: criteria rows searched at the same time, and the most rows one batch may have
+const BATCH_CONCURRENCY = 3;
+const BATCH_MAX_ROWS = 200;
+// Columns of a criteria list without a header row
+const BATCH_COLUMN_ORDER = ['technology', 'location', 'name'];
+// Briefs often list roles rather than technologies
+const BATCH_ROLE_HEADER = /^(?:role|roles|position|job title|title)$/i;
+// Unpinned searches kept in the history; older ones are dropped
+const SEARCH_HISTORY_LIMIT = 30;
+// Bars per analytics chart; the remaining values are combined into "Other"
+const ANALYTICS_TOP_VALUES = 8;
+// Analytics charts, by the lead dimension they break down (titles are the analytics.chart.* messages)
+const ANALYTICS_CHARTS = ['location', 'technology', 'source'];
+// Contact coverage tiles, by key (see getAnalyticsValues); labels are the analytics.coverage.* messages
+const ANALYTICS_COVERAGE = ['email', 'phone', 'none'];
+// Bar chart layout in SVG units: row height, label column width and overall width
+const CHART_ROW_HEIGHT = 24;
+const CHART_LABEL_WIDTH = 110;
+const CHART_WIDTH = 320;
+
+// Source names stored on results; shown translated (see getSourceLabel)
+const SOURCE_SHEETS = 'Sheets';
+const SOURCE_REDROB = 'Redrob';
+// Dial code assumed for phone numbers written without one (India)
+const DEFAULT_DIAL_CODE = '91';
+// Email domains where dots in the local part are ignored by the provider
+const DOTLESS_EMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+// Minimum name similarity (0-1) for two leads in the same location to count as duplicates
+const DUPLICATE_NAME_SIMILARITY = 0.85;
+// Each name is compared with at most this many neighbours (in name order) in its block
+const DUPLICATE_BLOCK_WINDOW = 50;
+
+// Throwaway inbox providers; leads using them are flagged as low quality
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com',
+    'tempmail.com', 'temp-mail.org', 'tempmailo.com', 'yopmail.com', 'trashmail.com', 'dispostable.com',
+    'maildrop.cc', 'fakeinbox.com', 'throwawaymail.com', 'getnada.com', 'mintemail.com', 'emailondeck.com',
+    'moakt.com', 'mohmal.com', 'spamgourmet.com', 'mailnesia.com', 'burnermail.io', 'tempr.email'
+]);
+// Dial codes by words that may appear in a location (country names and large cities)
+const LOCATION_DIAL_CODES = {
+    '91': ['india', 'bangalore', 'bengaluru', 'mumbai', 'delhi', 'new delhi', 'pune', 'hyderabad', 'chennai',
+        'kolkata', 'noida', 'gurgaon', 'gurugram', 'ahmedabad', 'jaipur', 'kochi', 'indore', 'chandigarh'],
+    '1': ['usa', 'us', 'united states', 'america', 'new york', 'san francisco', 'california', 'seattle', 'texas',
+        'austin', 'boston', 'chicago', 'canada', 'toronto', 'vancouver', 'montreal'],
+    '44': ['uk', 'united kingdom', 'england', 'scotland', 'london', 'manchester', 'birmingham', 'edinburgh'],
+    '61': ['australia', 'sydney', 'melbourne', 'brisbane', 'perth'],
+    '49': ['germany', 'berlin', 'munich', 'hamburg', 'frankfurt'],
+    '33': ['france', 'paris', 'lyon'],
+    '31': ['netherlands', 'amsterdam', 'rotterdam'],
+    '353': ['ireland', 'dublin'],
+    '65': ['singapore'],
+    '971': ['uae', 'united arab emirates', 'dubai', 'abu dhabi'],
+    '966': ['saudi arabia', 'riyadh', 'jeddah'],
+    '880': ['bangladesh', 'dhaka'],
+    '92': ['pakistan', 'karachi', 'lahore'],
+    '94': ['sri lanka', 'colombo'],
+    '977': ['nepal', 'kathmandu']
+};
+// Quality scores (0-100) at or above which a lead counts as good / fair; below fair is poor
+const QUALITY_GOOD_SCORE = 80;
+const QUALITY_FAIR_SCORE = 50;
+
+// Source columns that map to no lead field are kept on lead.extra and exported as "extra:<header>"
+const EXTRA_FIELD_PREFIX = 'extra:';
+// Source column headers read as the lead's company (vCard ORG, CRM company columns)
+const COMPANY_HEADER_PATTERN = /^(?:company|company name|current company|organi[sz]ation|employer)$/i;
+// Formats offered in the export dialog (labels are the exportFormat.* messages);
+// those with columns follow the column chooser
+const EXPORT_FORMATS = {
+    csv: { columns: true },
+    xlsx: { columns: true },
+    pdf: { columns: true },
+    json: { columns: true },
+    ndjson: { columns: true },
+    vcf: { columns: false }
+};
+// CSV layouts matching common CRM lead imports ({ header: value key }, see getCrmValue).
+// Extra source columns are appended after them under their own headers.
+const CRM_EXPORT_PRESETS = {
+    hubspot: {
+        label: 'HubSpot',
+        columns: {
+            'First Name': 'firstName',
+            'Last Name': 'lastName',
+            'Email': 'email',
+            'Phone Number': 'phone',
+            'City': 'city',
+            'Company Name': 'company',
+            'Skills': 'technology'
+        }
+    },
+    salesforce: {
+        label: 'Salesforce',
+        // Salesforce rejects leads without a company
+        companyFallback: '[not provided]',
+        columns: {
+            'First Name': 'firstName',
+            'Last Name': 'lastName',
+            'Company': 'company',
+            'Email': 'email',
+            'Phone': 'phone',
+            'City': 'city',
+            'Lead Source': 'source',
+            'Description': 'description'
+        }
+    },
+    zoho: {
+        label: 'Zoho CRM',
+        columns: {
+            'First Name': 'firstName',
+            'Last Name': 'lastName',
+            'Company': 'company',
+            'Email': 'email',
+            'Phone': 'phone',
+            'City': 'city',
+            'Lead Source': 'source',
+            'Description': 'description'
+        }
+    }
+};
+// vCard lines are folded at this many characters (RFC 6350)
+const VCARD_LINE_LENGTH = 75;
+
+// PDF report layout (see Settings > PDF Report)
+const REPORT_DEFAULTS = {
+    title: 'Leads Search Results',
+    header: '',
+    logo: '',
+    orientation: 'auto',
+    groupBy: ''
+};
+const REPORT_ORIENTATIONS = ['auto', 'portrait', 'landscape'];
+const REPORT_GROUP_FIELDS = ['', 'location', 'technology'];
+// The logo is saved in localStorage with the other settings, so it has to stay small
+const REPORT_LOGO_MAX_BYTES = 150 * 1024;
+// With the "auto" orientation, tables with more columns than this print in landscape
+const REPORT_LANDSCAPE_COLUMNS = 6;
+// Rows per summary table; the remaining values are counted together as "Other"
+const REPORT_SUMMARY_LIMIT = 10;
+// Height in mm of one summary table row (9pt text with autoTable's default padding), with some slack
+const REPORT_SUMMARY_ROW_HEIGHT = 7;
+// Page layout in mm: side margin, space kept for the header band and for the footer
+const REPORT_PAGE_MARGIN = 14;
+const REPORT_CONTENT_TOP = 30;
+const REPORT_CONTENT_BOTTOM = 18;
+// Table header color (--primary-dark)
+const REPORT_ACCENT_COLOR = [79, 70, 229];
+
+// SheetJS 0.18.5, loaded again inside the file worker; absolute, as the worker runs from a blob URL
+const XLSX_SCRIPT_SRC = new URL('vendor/xlsx/xlsx.full.min.js', document.baseURI).href;
+
+// PDF.js 3.11.174 worker, vendored next to the library
+const PDFJS_WORKER_SRC = 'vendor/pdfjs/pdf.worker.min.js';
+// Column headers of the rows extracted from resume-style PDFs
+const PDF_LEAD_HEADERS = ['Name', 'Location', 'Skills', 'Email', 'Phone'];
+// Synthetic sheet name for rows extracted from a PDF
+const PDF_SHEET_NAME = 'PDF';
+const PDF_EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PDF_PHONE_PATTERN = /\+?\(?\d[\d\s().-]{6,}\d/;
+// "Label: value" lines commonly found in resumes and exported lead lists
+const PDF_LABEL_PATTERNS = {
+    name: /^(?:full\s+|candidate\s+)?name\s*[:\-–]\s*(.+)$/i,
+    location: /^(?:current\s+)?(?:location|address|city|based\s+in)\s*[:\-–]\s*(.+)$/i,
+    technology: /^(?:key\s+|technical\s+|core\s+)?(?:skills|skill\s+set|technologies|tech\s+stack|expertise)\s*[:\-–]?\s*(.*)$/i,
+    email: /^e-?mail(?:\s+address)?\s*[:\-–]\s*(.+)$/i,
+    phone: /^(?:phone|mobile|tel|cell|contact(?:\s+no\.?|\s+number)?)\s*[:\-–]\s*(.+)$/i
+};
+// Resume section headings that end a multi-line skills list
+const PDF_SECTION_HEADINGS = /^(?:experience|work experience|professional experience|employment|education|projects|certifications?|summary|profile|objective|languages|interests|achievements|awards|references|personal details)\b/i;
+
+// Workspace encryption (see PRIVACY & ENCRYPTION): salt, iterations and a check value
+// that tells a wrong passphrase apart. The passphrase and keys are never stored.
+const ENCRYPTION_STORAGE_KEY = 'leads_encryption';
+// Provider tokens and headers, sealed with the workspace key while encryption is on
+const SETTINGS_SECRETS_STORAGE_KEY = 'leads_settings_secrets';
+const ENCRYPTION_ITERATIONS = 600000;
+const ENCRYPTION_CHECK_TEXT = 'tels-leads-workspace';
+const PASSPHRASE_MIN_LENGTH = 8;
+// Entries kept in the audit log; older ones are dropped first
+const AUDIT_LOG_LIMIT = 500;
+const AUDIT_ACTIONS = ['reveal', 'copy', 'export'];
+// Leads named in an audit entry before the rest are counted as "and N more"
+const AUDIT_NAMES_SHOWN = 5;
+
+// Interface languages (see I18N); the browser language is used until one is picked
+const LOCALES = {
+    en: 'English',
+    es: 'Español'
+};
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'leads_locale';
+// UI messages by locale. {name} placeholders are filled by t(); an object value holds
+// the plural forms of Intl.PluralRules, picked by the "count" parameter.
+// Keys missing from a locale fall back to English.
+const MESSAGES = {
+    en: {
+        'app.documentTitle': 'Leads Data Search',
+        'app.title': 'Leads Search',
+        'app.tagline': 'Find your next potential connection',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.save': 'Save',
+        'common.leads': {
+            one: '{count} lead',
+            other: '{count} leads'
+        },
+        'common.notGiven': 'Not given',
+        'common.unknown': 'Unknown',
+        'common.other': 'Other',
+        'header.language': 'Language',
+        'header.workspace': 'Workspace',
+        'header.workspaceTitle': 'Shortlisted leads and saved searches',
+        'header.pendingTitle': 'Submissions not yet delivered',
+        'header.settings': 'Settings',
+        'header.settingsTitle': 'Endpoints, auth and export defaults',
+
+        'field.name': 'Name',
+        'field.location': 'Location',
+        'field.technology': 'Technology',
+        'field.email': 'Email',
+        'field.phone': 'Phone',
+        'field.phoneE164': 'Phone (international)',
+        'field.sheet': 'Sheet',
+        'field.score': 'Match',
+        'field.source': 'Source',
+        'field.tags': 'Tags',
+        'field.quality': 'Quality',
+        'field.batchCriteria': 'Matched Criteria',
+        'field.mergedFrom': 'Merged From',
+        'field.notes': 'Notes',
+        'field.events': 'Outreach',
+
+        'status.shortlisted': 'shortlisted',
+        'status.contacted': 'contacted',
+        'status.responded': 'responded',
+        'status.interviewing': 'interviewing',
+        'status.placed': 'placed',
+        'status.not_interested': 'not interested',
+
+        'providerStatus.pending': 'Searching',
+        'providerStatus.retrying': 'Retrying',
+        'providerStatus.done': 'Done',
+        'providerStatus.failed': 'Failed',
+        'providerStatus.timeout': 'Timed out',
+        'providerStatus.cancelled': 'Cancelled',
+        'providerStatus.attempt': 'attempt {attempt} of {attempts}',
+        'providerStatus.skipped': '{count} skipped',
+        'provider.notSetUp': 'Set up in Settings',
+        'provider.needsFile': 'Upload a file to use',
+        'providerName.sheets': 'Sheets',
+        'providerName.file': 'Uploaded file',
+        'providerName.redrob': 'Redrob',
+        'providerName.n8n': 'n8n workflow',
+        'submissionStatus.queued': 'Queued',
+        'submissionStatus.sending': 'Sending',
+        'submissionStatus.sent': 'Delivered',
+        'submissionStatus.failed': 'Failed',
+        'auditAction.reveal': 'Revealed',
+        'auditAction.copy': 'Copied',
+        'auditAction.export': 'Exported',
+        'audit.emails': 'Emails',
+        'audit.shortlistCsv': 'Shortlist CSV',
+        'audit.shortlistExcel': 'Shortlist Excel',
+        'audit.pdfReport': 'PDF report',
+
+        'search.namePlaceholder': 'e.g. John Doe',
+        'search.locationPlaceholder': 'e.g. New York, USA',
+        'search.technologyPlaceholder': 'e.g. React OR Vue, or type anything',
+        'search.manageAliases': 'Manage technology aliases',
+        'search.syntax': 'Search syntax',
+        'search.syntaxOr': '<code>React OR Vue</code> either word (<code>|</code> also works)',
+        'search.syntaxNot': '<code>NOT Bangalore</code> or <code>-Bangalore</code> excludes a word',
+        'search.syntaxPhrase': '<code>"New York"</code> matches the exact phrase',
+        'search.syntaxWildcards': '<code>Java*</code> / <code>Jav?</code> wildcards for any characters / one character',
+        'search.syntaxWholeWords': 'Words match whole words, so <code>Java</code> does not match JavaScript',
+        'search.syntaxAccents': 'Case and accents are ignored: <code>Sao Paulo</code> finds São Paulo',
+        'search.syntaxAliases': 'Technology also finds aliases and typos: <code>golang</code> finds Go, <code>Reactjs</code> finds React',
+        'search.upload': 'Upload File (Optional)',
+        'search.editMapping': 'Edit column mapping',
+        'search.sources': 'Search In',
+        'search.keepResults': 'Add to current results (combine sources and find duplicates)',
+        'search.submit': 'Search',
+        'search.searching': 'Searching...',
+        'search.batch': 'Batch search from a list of criteria',
+        'search.loading': 'Searching database...',
+        'search.criteriaFile': 'File: {name}',
+        'search.noCriteria': 'No criteria',
+        'search.untitled': 'Untitled search',
+        'file.prompt': 'Click or Drag to Upload PDF, CSV, Excel',
+        'file.selected': 'File Selected',
+        'file.remove': 'Remove file',
+        'fileParse.read': 'Reading file… {percent}%',
+        'fileParse.pdf': 'Reading page {done} of {total}…',
+        'fileParse.parse': 'Parsing workbook…',
+        'fileParse.index': 'Reading sheet {done} of {total}…',
+        'fileParse.failed': 'The file could not be read.',
+
+        'results.title': 'Search Results',
+        'results.saveSearch': 'Save search',
+        'results.saveSearchTitle': 'Save this search to your workspace',
+        'results.exportScopeTitle': 'What to export',
+        'results.exportAll': 'Export all',
+        'results.exportFiltered': 'Export filtered view',
+        'results.exportSelected': 'Export selected',
+        'results.exportSelectedCount': 'Export selected ({count})',
+        'results.skipPoor': 'Skip poor rows',
+        'results.skipPoorTitle': 'Leave out rows with a poor quality badge',
+        'results.more': 'More…',
+        'results.moreTitle': 'More formats and column choice',
+        'results.reviewDuplicates': 'Review & merge',
+        'results.duplicates': {
+            one: '{count} likely duplicate group ({leads} leads)',
+            other: '{count} likely duplicate groups ({leads} leads)'
+        },
+        'results.newSinceLastRun': {
+            one: '{count} new lead since the last run ({since})',
+            other: '{count} new leads since the last run ({since})'
+        },
+        'results.noneNewSinceLastRun': 'No new leads since the last run ({since})',
+        'results.goneSinceLastRun': '{count} from last time not returned',
+        'results.onlyNew': 'Show only new',
+        'results.analytics': 'Analytics',
+        'results.analyticsTitle': 'Charts of the results by location, technology and source',
+        'results.analyticsHint': 'Click a bar or tile to show only those leads in the table.',
+        'results.quickFilter': 'Quick filter results',
+        'results.clearSegment': 'Clear chart filter',
+        'results.summary': 'Showing {range} of {count} leads',
+        'results.summaryFiltered': 'Showing {range} of {count} leads (filtered from {total})',
+        'results.noMatches': 'No leads match these filters.',
+        'table.selectAll': 'Select all filtered rows',
+        'table.filter': 'Filter',
+        'table.rowTitle': 'Click for details',
+        'table.new': 'new',
+        'table.newTitle': 'Not in the previous run of this search',
+        'table.merged': 'merged',
+        'table.removeTag': 'Remove tag',
+        'table.reveal': 'Reveal email and phone',
+        'pager.rowsPerPage': 'Rows per page',
+        'pager.previous': 'Previous page',
+        'pager.next': 'Next page',
+        'pager.indicator': 'Page {page} of {pages}',
+        'bulk.selected': '{count} selected',
+        'bulk.copyEmails': 'Copy emails',
+        'bulk.copyEmailsTitle': 'Copy selected emails',
+        'bulk.tag': 'Tag',
+        'bulk.tagTitle': 'Tag selected rows',
+        'bulk.tagPlaceholder': 'Tag, e.g. contacted',
+        'bulk.shortlist': 'Shortlist',
+        'bulk.shortlistTitle': 'Add selected leads to your workspace',
+        'bulk.remove': 'Remove',
+        'bulk.removeTitle': 'Remove selected rows from the results',
+        'bulk.clearSelection': 'Clear selection',
+        'noData.title': 'No matching leads found',
+        'noData.message': "We couldn't find any results in our sheets or your uploaded file.",
+        'noData.redrobTitle': 'Still no results',
+        'noData.redrobMessage': 'We checked Redrob too, but found nothing.',
+        'noData.searchRedrob': 'Do you want me to search on Redrob?',
+        'analytics.leads': 'Leads',
+        'analytics.chart.location': 'By location',
+        'analytics.chart.technology': 'By technology',
+        'analytics.chart.source': 'By source',
+        'analytics.coverage.email': 'With email',
+        'analytics.coverage.phone': 'With phone',
+        'analytics.coverage.none': 'No contact details',
+        'analytics.showOnly': 'Show only these leads',
+        'analytics.noData': 'No data',
+        'quality.good': 'Good',
+        'quality.fair': 'Fair',
+        'quality.poor': 'Poor',
+        'quality.noIssues': 'No problems found',
+        'qualityIssue.noName': 'No name',
+        'qualityIssue.noLocation': 'No location',
+        'qualityIssue.noEmail': 'No email',
+        'qualityIssue.invalidEmail': 'Invalid email',
+        'qualityIssue.disposableEmail': 'Disposable email domain',
+        'qualityIssue.noPhone': 'No phone',
+        'qualityIssue.noCountryCode': 'No country code',
+        'qualityIssue.unparsedPhone': 'Phone number could not be parsed',
+        'qualityIssue.noContact': 'No way to contact',
+        'qualityIssue.noTechnology': 'No technology',
+
+        'export.csv': 'CSV',
+        'export.excel': 'Excel',
+        'export.pdf': 'PDF',
+        'export.downloadCsv': 'Download CSV',
+        'export.downloadExcel': 'Download Excel',
+        'export.downloadPdf': 'Download PDF',
+        'export.title': 'Export Leads',
+        'export.subtitle': 'Exports the rows chosen next to the export buttons (all, filtered or selected).',
+        'export.format': 'Format',
+        'export.columns': 'Columns',
+        'export.resetColumns': 'Reset to default',
+        'export.download': 'Download',
+        'export.sourceColumn': 'source column',
+        'export.moveUp': 'Move up',
+        'export.moveDown': 'Move down',
+        'export.noteCrm': 'Columns follow the {crm} import layout ({headers}), then any extra source columns.',
+        'export.noteVcf': 'One contact per lead. Technology and tags become categories; source and extra columns go into the note.',
+        'export.noteColumns': 'Tick the columns to export and use the arrows to reorder them. Your choice also applies to the CSV, Excel and PDF buttons.',
+        'exportFormat.csv': 'CSV',
+        'exportFormat.xlsx': 'Excel',
+        'exportFormat.pdf': 'PDF',
+        'exportFormat.json': 'JSON',
+        'exportFormat.ndjson': 'NDJSON (one lead per line)',
+        'exportFormat.vcf': 'vCard contacts (.vcf)',
+        'exportFormat.crmGroup': 'CRM import',
+        'exportFormat.crm': '{crm} CSV',
+        'report.generated': 'Generated {date}',
+        'report.leftOut': '({count} of {total} results left out by the export options)',
+        'report.criteria': 'Search criteria',
+        'report.sources': 'Sources queried',
+        'report.searchedAt': 'Searched at',
+        'report.notRecorded': 'Not recorded for these results',
+        'report.sentToWorkflow': 'sent to workflow',
+        'report.leads': 'Leads',
+
+        'mapping.title': 'Map Your Columns',
+        'mapping.subtitle': "We matched your file's columns to lead fields. Check the suggestions and change anything that looks wrong.",
+        'mapping.sheets': 'Sheets to search',
+        'mapping.allSheets': 'All sheets',
+        'mapping.sheetSelect': 'Map columns for sheet',
+        'mapping.preview': 'Preview',
+        'mapping.confirm': 'Confirm Mapping',
+        'mapping.rowCount': {
+            one: '{count} row',
+            other: '{count} rows'
+        },
+        'aliases.title': 'Technology Aliases',
+        'aliases.subtitle': 'Searching a technology also finds its aliases and close misspellings. Add your own, one technology per line, e.g. <code>Spring Boot: springboot, spring-boot</code>.',
+        'aliases.builtin': 'Built-in aliases',
+        'aliases.save': 'Save Aliases',
+        'duplicates.title': 'Likely Duplicates',
+        'duplicates.subtitle': 'These leads share an email, a phone number, or a very similar name and location. Pick the value to keep for each field, then merge.',
+        'duplicates.mergeAll': 'Merge All',
+        'duplicates.field': 'Field',
+        'duplicates.dismiss': 'Not duplicates',
+        'duplicates.merge': 'Merge',
+        'duplicates.fieldFrom': '{field} from {source}',
+
+        'workspace.subtitle': 'Shortlisted leads and saved searches are kept in this browser between sessions.',
+        'workspace.tabSearches': 'Searches',
+        'workspace.tabActivity': 'Activity',
+        'workspace.tabAudit': 'Audit',
+        'workspace.filter': 'Filter shortlist',
+        'workspace.statusFilter': 'Filter by status',
+        'workspace.allStatuses': 'All statuses',
+        'workspace.colLead': 'Lead',
+        'workspace.colContact': 'Contact',
+        'workspace.colStatus': 'Status',
+        'workspace.colLastContacted': 'Last Contacted',
+        'workspace.empty': 'No shortlisted leads. Select rows in the results and choose "Shortlist".',
+        'workspace.saved': 'Saved',
+        'workspace.history': 'History',
+        'workspace.activityHint': 'Searches sent to workflows are queued here and retried until they are delivered.',
+        'workspace.retryFailed': 'Retry failed',
+        'workspace.clearDelivered': 'Clear delivered',
+        'workspace.auditHint': 'Leads revealed in privacy mode, copied or exported from this browser, newest first.',
+        'workspace.removeLead': 'Remove from workspace',
+        'workspace.savedEmpty': 'No saved searches yet. Pin one from the history or use "Save search" on a set of results.',
+        'workspace.historyEmpty': 'Searches you run are listed here.',
+        'workspace.renameSearch': 'Rename',
+        'workspace.searchLastRun': {
+            one: '{count} result · last run {date}',
+            other: '{count} results · last run {date}'
+        },
+        'workspace.searchSaved': {
+            one: '{count} result · saved {date}',
+            other: '{count} results · saved {date}'
+        },
+        'workspace.runSearch': 'Run',
+        'workspace.pinSearch': 'Pin as a saved search',
+        'workspace.unpinSearch': 'Unpin (move to history)',
+        'workspace.deleteSearch': 'Delete search',
+        'workspace.activityEmpty': 'Nothing has been sent yet.',
+        'workspace.auditEmpty': 'No leads have been revealed, copied or exported yet.',
+        'workspace.auditMore': '{names} and {count} more',
+        'submission.attempts': {
+            one: 'Request {id} · {count} attempt',
+            other: 'Request {id} · {count} attempts'
+        },
+        'submission.nextTry': 'next try {time}',
+        'submission.retry': 'Retry now',
+        'submission.notSetUp': 'This source is no longer set up. Check Settings.',
+        'submission.networkError': 'Network error (offline, blocked or CORS)',
+        'batch.title': 'Batch Search',
+        'batch.subtitle': 'Paste one search per row, or upload a CSV or Excel list. Use a header row naming Name, Location and Technology (or Role) columns; without one, columns are read as Technology, Location, Name. Every row is searched in the sources ticked under "Search In".',
+        'batch.upload': 'Upload list',
+        'batch.stop': 'Stop',
+        'batch.run': 'Run batch',
+        'batch.summary': {
+            one: '{finished} of {total} rows searched, {count} lead',
+            other: '{finished} of {total} rows searched, {count} leads'
+        },
+        'batch.submission': {
+            one: 'Batch of {count} search',
+            other: 'Batch of {count} searches'
+        },
+        'batch.rowCount': {
+            one: '{count} criteria row',
+            other: '{count} criteria rows'
+        },
+        'batch.rowLimit': '(at most {max} per batch)',
+        'batch.waiting': 'Waiting',
+        'batch.sourceFailed': 'a source failed',
+        'batch.progress': {
+            one: '{finished} of {total} rows · {count} lead',
+            other: '{finished} of {total} rows · {count} leads'
+        },
+        'drawer.details': 'Details',
+        'drawer.notesPlaceholder': 'Anything worth remembering about this lead',
+        'drawer.hint': 'Notes and outreach are kept in your workspace (this shortlists the lead) and included in exports.',
+        'drawer.eventType': 'Type of outreach',
+        'drawer.eventDate': 'Date',
+        'drawer.eventNotePlaceholder': 'What happened? (optional)',
+        'drawer.log': 'Log',
+        'drawer.unnamed': 'Unnamed lead',
+        'drawer.reveal': 'Reveal contact details',
+        'drawer.email': 'Email',
+        'drawer.copyEmail': 'Copy email',
+        'drawer.call': 'Call',
+        'drawer.copyPhone': 'Copy phone',
+        'drawer.noContact': 'No email or phone for this lead.',
+        'drawer.qualityIssues': 'Quality issues',
+        'drawer.fromSource': 'From the source',
+        'drawer.removeEvent': 'Remove from the timeline',
+        'drawer.noEvents': 'No outreach logged yet.',
+        'outreach.email': 'Email',
+        'outreach.call': 'Call',
+        'outreach.message': 'Message',
+        'outreach.meeting': 'Meeting',
+        'outreach.other': 'Other',
+
+        'settings.subtitle': 'Settings are saved in this browser. Export them as a file to share one configuration with your team.',
+        'settings.sources': 'Sources',
+        'settings.exportColumns': 'Default Export Columns',
+        'settings.exportColumnsHint': 'Leave all unchecked to export the columns present in the results.',
+        'settings.report': 'PDF Report',
+        'settings.reportTitle': 'Title',
+        'settings.reportHeader': 'Header text (shown on every page)',
+        'settings.reportHeaderPlaceholder': 'e.g. your company name',
+        'settings.orientation': 'Orientation',
+        'settings.orientationAuto': 'Automatic (landscape for wide tables)',
+        'settings.orientationPortrait': 'Portrait',
+        'settings.orientationLandscape': 'Landscape',
+        'settings.groupBy': 'Group leads by',
+        'settings.noGrouping': 'No grouping',
+        'settings.chooseLogo': 'Choose logo',
+        'settings.removeLogo': 'Remove logo',
+        'settings.privacy': 'Privacy & Local Data',
+        'settings.privacyMode': 'Privacy mode: mask emails and phone numbers until a lead is revealed (reveals are recorded in the workspace audit log)',
+        'settings.encryption': 'Workspace encryption:',
+        'settings.encryptionOff': 'Off: your workspace is stored unencrypted in this browser.',
+        'settings.encryptionUnlocked': 'On, unlocked for this session.',
+        'settings.encryptionLocked': 'On, locked.',
+        'settings.encrypt': 'Encrypt with a passphrase',
+        'settings.lockNow': 'Lock now',
+        'settings.unlock': 'Unlock',
+        'settings.decrypt': 'Turn off encryption',
+        'settings.encryptionNote': 'Encryption covers saved leads, searches, the last upload, queued submissions, the audit log and the auth tokens and headers in these settings. Other settings are not encrypted.',
+        'settings.purge': 'Purge all local data',
+        'settings.import': 'Import',
+        'settings.export': 'Export',
+        'settings.includeTokens': 'Include auth tokens and extra headers',
+        'settings.reset': 'Reset to defaults',
+        'settings.endpoint': 'Endpoint URL',
+        'settings.token': 'Auth token (sent as a Bearer token)',
+        'settings.headers': 'Extra headers (one "Name: value" per line)',
+        'settings.timeout': 'Timeout (seconds)',
+        'settings.retries': 'Retries',
+        'settings.test': 'Test connection',
+        'settings.testNoEndpoint': 'Enter an endpoint URL first.',
+        'settings.testing': 'Testing...',
+        'settings.testOk': 'Connected (HTTP {status}, {elapsed} ms)',
+        'settings.testHttpError': 'Reached the server, but it answered HTTP {status}',
+        'settings.testFailed': 'Could not connect (check the URL, network or CORS settings)',
+        'settingsError.notObject': 'Settings must be a JSON object.',
+        'settingsError.unknownSource': 'Unknown source "{id}" was ignored.',
+        'settingsError.endpoint': 'Endpoint must be an http(s) URL.',
+        'settingsError.headerName': '"{name}" is not a valid header name.',
+        'settingsError.headers': 'Headers must be name/value pairs.',
+        'settingsError.timeout': 'Timeout must be between 1 and 300 seconds.',
+        'settingsError.retries': 'Retries must be a whole number from 0 to 5.',
+        'settingsError.exportFields': 'Export columns must be a list.',
+        'settingsError.exportField': 'Unknown export column "{field}" was ignored.',
+        'settingsError.logoType': 'The report logo must be a PNG or JPEG image.',
+        'settingsError.logoSize': 'The report logo must be under {size} KB.',
+        'settingsError.orientation': 'Unknown report orientation "{orientation}".',
+        'settingsError.groupBy': "Reports can't be grouped by \"{field}\".",
+        'serverError.notJson': 'The server did not return JSON.',
+        'serverError.requestFailed': 'Request failed',
+        'serverError.http': '{detail} (HTTP {status})',
+        'serverError.reported': 'The server reported an error.',
+        'serverError.noLeadList': 'The response did not contain a list of leads.',
+        'serverError.timeout': 'No response after {seconds}s',
+
+        'passphrase.label': 'Passphrase',
+        'passphrase.repeat': 'Repeat passphrase',
+        'passphrase.createTitle': 'Encrypt Workspace',
+        'passphrase.unlockTitle': 'Unlock Workspace',
+        'passphrase.createMessage': "Saved leads, searches, the last upload and the audit log will be encrypted with this passphrase (at least {min} characters). It can't be recovered: without it, the only way back is to purge all local data.",
+        'passphrase.unlockMessage': 'Your workspace is encrypted. Enter your passphrase to open saved leads, searches and your last upload.',
+        'passphrase.encrypt': 'Encrypt',
+        'passphrase.unlock': 'Unlock',
+        'passphrase.notNow': 'Not now',
+        'passphrase.tooShort': 'Use at least {min} characters.',
+        'passphrase.mismatch': "The passphrases don't match.",
+        'passphrase.wrong': 'That passphrase is not correct.',
+        'passphrase.failed': 'Something went wrong; your workspace was left as it was.',
+        'confirm.disableEncryption': 'Turn off encryption? Your saved leads, searches and upload will be stored unencrypted in this browser.',
+        'confirm.purge': "Delete all local data? This removes your saved leads, searches, the last upload, the audit log, settings and the encryption passphrase from this browser. It can't be undone.",
+
+        'toast.fileFailed': 'Failed to process file',
+        'toast.fileLockedNotSaved': 'Unlock your workspace to keep this file after a refresh; search will still work.',
+        'toast.fileTooLarge': 'File too large to save for refresh, but search will work.',
+        'toast.noCriteria': 'Please enter at least one search criteria or upload a file.',
+        'toast.noSources': 'Please choose at least one source to search.',
+        'toast.noNewLeads': 'No new leads found. Showing your previous results.',
+        'toast.searchCancelled': 'Search cancelled.',
+        'toast.redrobNotSetUp': 'Redrob is not set up yet. Add its webhook URL in Settings.',
+        'toast.redrobNoData': 'No data found on Redrob either.',
+        'toast.providerTimeout': '{provider} did not respond in time.',
+        'toast.providerError': '{provider}: {message}',
+        'toast.providerFailed': 'Failed to search {provider}.',
+        'toast.responseIssues': '{provider}: {issues} (details in the console).',
+        'toast.rowsSkipped': {
+            one: 'skipped {count} malformed row',
+            other: 'skipped {count} malformed rows'
+        },
+        'toast.rowsInvalid': {
+            one: '{count} row has an invalid email or phone',
+            other: '{count} rows have an invalid email or phone'
+        },
+        'toast.batchFileUnreadable': 'Could not read that file. Use CSV or Excel.',
+        'toast.batchEmpty': 'Add at least one row of criteria.',
+        'toast.batchTooLarge': 'A batch can have at most {max} rows.',
+        'toast.batchStopped': 'Batch stopped: {summary}.',
+        'toast.batchFinished': 'Batch finished: {summary}.',
+        'toast.batchRowsFailed': {
+            one: 'Batch finished: {summary}. A source failed for {count} row (see the list).',
+            other: 'Batch finished: {summary}. A source failed for {count} rows (see the list).'
+        },
+        'toast.noEmails': 'None of the selected leads have an email.',
+        'toast.emailsCopied': {
+            one: 'Copied {count} email',
+            other: 'Copied {count} emails'
+        },
+        'toast.copied': 'Copied to the clipboard',
+        'toast.copyFailed': 'Could not copy to the clipboard.',
+        'toast.leadsRemoved': {
+            one: 'Removed {count} lead',
+            other: 'Removed {count} leads'
+        },
+        'toast.tagMissing': 'Type or pick a tag first.',
+        'toast.leadsTagged': {
+            one: 'Tagged {count} lead "{tag}"',
+            other: 'Tagged {count} leads "{tag}"'
+        },
+        'toast.aliasSyntax': 'Use "Technology: alias, alias" on each line ("{line}")',
+        'toast.aliasesSaveFailed': 'Could not save aliases.',
+        'toast.aliasesSaved': 'Technology aliases saved',
+        'toast.retryFailed': 'Could not retry these submissions.',
+        'toast.submissionQueueFull': 'Too many uploads are waiting to be delivered, so this one is sent once without retries.',
+        'toast.imageUnreadable': 'Could not read that image.',
+        'toast.settingsInvalid': 'Please fix the highlighted settings.',
+        'toast.settingsSaved': 'Settings saved',
+        'toast.settingsLocked': 'Unlock the workspace before changing auth tokens or headers.',
+        'toast.settingsSaveFailed': 'Could not save the settings.',
+        'toast.settingsNotJson': 'That file is not valid JSON.',
+        'toast.settingsImported': 'Settings imported. Review them and click Save.',
+        'toast.settingsImportedWithProblems': 'Settings imported with problems. Review them before saving.',
+        'toast.leadsShortlisted': {
+            one: 'Shortlisted {count} lead',
+            other: 'Shortlisted {count} leads'
+        },
+        'toast.shortlistFailed': 'Could not save leads to your workspace.',
+        'toast.searchSaved': 'Search saved to your workspace',
+        'toast.searchSaveFailed': 'Could not save this search.',
+        'toast.workspaceOpenFailed': 'Could not open your workspace.',
+        'toast.changeSaveFailed': 'Could not save your change.',
+        'toast.leadRemoveFailed': 'Could not remove this lead.',
+        'toast.searchOpenFailed': 'Could not open this saved search.',
+        'toast.searchRenameFailed': 'Could not rename this search.',
+        'toast.workspaceSaveFailed': 'Could not save to your workspace.',
+        'toast.encrypted': 'Your workspace is now encrypted',
+        'toast.unlocked': 'Workspace unlocked',
+        'toast.encryptionOff': 'Encryption turned off',
+        'toast.encryptionOffFailed': 'Could not turn off encryption. Your workspace is still encrypted.',
+        'toast.purgeFailed': 'Could not delete the workspace. Close this app in other tabs and try again.',
+        'toast.purgeBlocked': 'Close this app in other tabs to finish deleting.',
+        'toast.groupMerged': 'Merged {count} leads',
+        'toast.groupsMerged': {
+            one: 'Merged {count} duplicate group',
+            other: 'Merged {count} duplicate groups'
+        },
+        'toast.columnsUnreadable': 'Could not read the columns in this file.',
+        'toast.pdfNoLeads': 'No leads could be found in this PDF.',
+        'toast.noHeaderRow': 'This file has no header row to map.',
+        'toast.noSheets': 'Select at least one sheet to search.',
+        'toast.sheetUnmapped': 'Map at least one column to a lead field in "{sheet}".',
+        'toast.mappingSaved': {
+            one: 'Column mapping saved',
+            other: 'Column mapping saved for {count} sheets'
+        },
+        'toast.noLeadsToExport': 'No leads to export.',
+        'toast.noColumns': 'Select at least one column to export.',
+        'toast.csvDownloaded': 'CSV Downloaded',
+        'toast.excelDownloaded': 'Excel Downloaded',
+        'toast.pdfDownloaded': 'PDF Downloaded',
+        'toast.jsonDownloaded': 'JSON Downloaded',
+        'toast.ndjsonDownloaded': 'NDJSON Downloaded',
+        'toast.crmDownloaded': '{crm} CSV Downloaded',
+        'toast.contactsDownloaded': {
+            one: '{count} contact downloaded',
+            other: '{count} contacts downloaded'
+        }
+    },
+    es: {
+        'app.documentTitle': 'Búsqueda de datos de leads',
+        'app.title': 'Búsqueda de leads',
+        'app.tagline': 'Encuentra tu próximo contacto potencial',
+        'common.cancel': 'Cancelar',
+        'common.close': 'Cerrar',
+        'common.save': 'Guardar',
+        'common.leads': {
+            one: '{count} lead',
+            other: '{count} leads'
+        },
+        'common.notGiven': 'Sin indicar',
+        'common.unknown': 'Desconocida',
+        'common.other': 'Otros',
+        'header.language': 'Idioma',
+        'header.workspace': 'Espacio de trabajo',
+        'header.workspaceTitle': 'Leads preseleccionados y búsquedas guardadas',
+        'header.pendingTitle': 'Envíos aún no entregados',
+        'header.settings': 'Ajustes',
+        'header.settingsTitle': 'Endpoints, autenticación y opciones de exportación',
+
+        'field.name': 'Nombre',
+        'field.location': 'Ubicación',
+        'field.technology': 'Tecnología',
+        'field.email': 'Correo',
+        'field.phone': 'Teléfono',
+        'field.phoneE164': 'Teléfono (internacional)',
+        'field.sheet': 'Hoja',
+        'field.score': 'Coincidencia',
+        'field.source': 'Fuente',
+        'field.tags': 'Etiquetas',
+        'field.quality': 'Calidad',
+        'field.batchCriteria': 'Criterios coincidentes',
+        'field.mergedFrom': 'Fusionado de',
+        'field.notes': 'Notas',
+        'field.events': 'Contactos',
+
+        'status.shortlisted': 'preseleccionado',
+        'status.contacted': 'contactado',
+        'status.responded': 'respondió',
+        'status.interviewing': 'en entrevistas',
+        'status.placed': 'colocado',
+        'status.not_interested': 'no interesado',
+
+        'providerStatus.pending': 'Buscando',
+        'providerStatus.retrying': 'Reintentando',
+        'providerStatus.done': 'Listo',
+        'providerStatus.failed': 'Error',
+        'providerStatus.timeout': 'Sin respuesta',
+        'providerStatus.cancelled': 'Cancelado',
+        'providerStatus.attempt': 'intento {attempt} de {attempts}',
+        'providerStatus.skipped': '{count} omitidas',
+        'provider.notSetUp': 'Configúralo en Ajustes',
+        'provider.needsFile': 'Sube un archivo para usarlo',
+        'providerName.sheets': 'Hojas de cálculo',
+        'providerName.file': 'Archivo subido',
+        'providerName.redrob': 'Redrob',
+        'providerName.n8n': 'Flujo de n8n',
+        'submissionStatus.queued': 'En cola',
+        'submissionStatus.sending': 'Enviando',
+        'submissionStatus.sent': 'Entregado',
+        'submissionStatus.failed': 'Error',
+        'auditAction.reveal': 'Mostrado',
+        'auditAction.copy': 'Copiado',
+        'auditAction.export': 'Exportado',
+        'audit.emails': 'Correos',
+        'audit.shortlistCsv': 'CSV de preselección',
+        'audit.shortlistExcel': 'Excel de preselección',
+        'audit.pdfReport': 'Informe PDF',
+
+        'search.namePlaceholder': 'p. ej. Juan Pérez',
+        'search.locationPlaceholder': 'p. ej. Madrid, España',
+        'search.technologyPlaceholder': 'p. ej. React OR Vue, o escribe lo que quieras',
+        'search.manageAliases': 'Gestionar alias de tecnologías',
+        'search.syntax': 'Sintaxis de búsqueda',
+        'search.syntaxOr': '<code>React OR Vue</code> cualquiera de las dos palabras (<code>|</code> también funciona)',
+        'search.syntaxNot': '<code>NOT Bangalore</code> o <code>-Bangalore</code> excluye una palabra',
+        'search.syntaxPhrase': '<code>"New York"</code> busca la frase exacta',
+        'search.syntaxWildcards': '<code>Java*</code> / <code>Jav?</code> comodines para cualquier número de caracteres / un carácter',
+        'search.syntaxWholeWords': 'Se buscan palabras completas, así que <code>Java</code> no encuentra JavaScript',
+        'search.syntaxAccents': 'Se ignoran mayúsculas y acentos: <code>Sao Paulo</code> encuentra São Paulo',
+        'search.syntaxAliases': 'La tecnología también encuentra alias y erratas: <code>golang</code> encuentra Go, <code>Reactjs</code> encuentra React',
+        'search.upload': 'Subir archivo (opcional)',
+        'search.editMapping': 'Editar asignación de columnas',
+        'search.sources': 'Buscar en',
+        'search.keepResults': 'Añadir a los resultados actuales (combinar fuentes y buscar duplicados)',
+        'search.submit': 'Buscar',
+        'search.searching': 'Buscando...',
+        'search.batch': 'Búsqueda por lotes a partir de una lista de criterios',
+        'search.loading': 'Buscando en la base de datos...',
+        'search.criteriaFile': 'Archivo: {name}',
+        'search.noCriteria': 'Sin criterios',
+        'search.untitled': 'Búsqueda sin título',
+        'file.prompt': 'Haz clic o arrastra para subir un PDF, CSV o Excel',
+        'file.selected': 'Archivo seleccionado',
+        'file.remove': 'Quitar archivo',
+        'fileParse.read': 'Leyendo archivo… {percent} %',
+        'fileParse.pdf': 'Leyendo página {done} de {total}…',
+        'fileParse.parse': 'Analizando libro…',
+        'fileParse.index': 'Leyendo hoja {done} de {total}…',
+        'fileParse.failed': 'No se pudo leer el archivo.',
+
+        'results.title': 'Resultados de la búsqueda',
+        'results.saveSearch': 'Guardar búsqueda',
+        'results.saveSearchTitle': 'Guardar esta búsqueda en tu espacio de trabajo',
+        'results.exportScopeTitle': 'Qué exportar',
+        'results.exportAll': 'Exportar todo',
+        'results.exportFiltered': 'Exportar vista filtrada',
+        'results.exportSelected': 'Exportar selección',
+        'results.exportSelectedCount': 'Exportar selección ({count})',
+        'results.skipPoor': 'Omitir filas deficientes',
+        'results.skipPoorTitle': 'Excluir las filas con una insignia de calidad deficiente',
+        'results.more': 'Más…',
+        'results.moreTitle': 'Más formatos y elección de columnas',
+        'results.reviewDuplicates': 'Revisar y fusionar',
+        'results.duplicates': {
+            one: '{count} grupo de posibles duplicados ({leads} leads)',
+            other: '{count} grupos de posibles duplicados ({leads} leads)'
+        },
+        'results.newSinceLastRun': {
+            one: '{count} lead nuevo desde la última ejecución ({since})',
+            other: '{count} leads nuevos desde la última ejecución ({since})'
+        },
+        'results.noneNewSinceLastRun': 'Ningún lead nuevo desde la última ejecución ({since})',
+        'results.goneSinceLastRun': '{count} de la última vez no aparecen',
+        'results.onlyNew': 'Mostrar solo nuevos',
+        'results.analytics': 'Análisis',
+        'results.analyticsTitle': 'Gráficos de los resultados por ubicación, tecnología y fuente',
+        'results.analyticsHint': 'Haz clic en una barra o recuadro para mostrar solo esos leads en la tabla.',
+        'results.quickFilter': 'Filtrar resultados',
+        'results.clearSegment': 'Quitar filtro del gráfico',
+        'results.summary': 'Mostrando {range} de {count} leads',
+        'results.summaryFiltered': 'Mostrando {range} de {count} leads (filtrados de {total})',
+        'results.noMatches': 'Ningún lead coincide con estos filtros.',
+        'table.selectAll': 'Seleccionar todas las filas filtradas',
+        'table.filter': 'Filtrar',
+        'table.rowTitle': 'Haz clic para ver los detalles',
+        'table.new': 'nuevo',
+        'table.newTitle': 'No estaba en la ejecución anterior de esta búsqueda',
+        'table.merged': 'fusionado',
+        'table.removeTag': 'Quitar etiqueta',
+        'table.reveal': 'Mostrar correo y teléfono',
+        'pager.rowsPerPage': 'Filas por página',
+        'pager.previous': 'Página anterior',
+        'pager.next': 'Página siguiente',
+        'pager.indicator': 'Página {page} de {pages}',
+        'bulk.selected': {
+            one: '{count} seleccionado',
+            other: '{count} seleccionados'
+        },
+        'bulk.copyEmails': 'Copiar correos',
+        'bulk.copyEmailsTitle': 'Copiar los correos seleccionados',
+        'bulk.tag': 'Etiquetar',
+        'bulk.tagTitle': 'Etiquetar las filas seleccionadas',
+        'bulk.tagPlaceholder': 'Etiqueta, p. ej. contactado',
+        'bulk.shortlist': 'Preseleccionar',
+        'bulk.shortlistTitle': 'Añadir los leads seleccionados a tu espacio de trabajo',
+        'bulk.remove': 'Quitar',
+        'bulk.removeTitle': 'Quitar las filas seleccionadas de los resultados',
+        'bulk.clearSelection': 'Borrar selección',
+        'noData.title': 'No se encontraron leads',
+        'noData.message': 'No encontramos resultados en nuestras hojas ni en tu archivo.',
+        'noData.redrobTitle': 'Sigue sin haber resultados',
+        'noData.redrobMessage': 'También buscamos en Redrob, pero no encontramos nada.',
+        'noData.searchRedrob': '¿Quieres que busque en Redrob?',
+        'analytics.leads': 'Leads',
+        'analytics.chart.location': 'Por ubicación',
+        'analytics.chart.technology': 'Por tecnología',
+        'analytics.chart.source': 'Por fuente',
+        'analytics.coverage.email': 'Con correo',
+        'analytics.coverage.phone': 'Con teléfono',
+        'analytics.coverage.none': 'Sin datos de contacto',
+        'analytics.showOnly': 'Mostrar solo estos leads',
+        'analytics.noData': 'Sin datos',
+        'quality.good': 'Buena',
+        'quality.fair': 'Aceptable',
+        'quality.poor': 'Mala',
+        'quality.noIssues': 'No se encontraron problemas',
+        'qualityIssue.noName': 'Sin nombre',
+        'qualityIssue.noLocation': 'Sin ubicación',
+        'qualityIssue.noEmail': 'Sin correo',
+        'qualityIssue.invalidEmail': 'Correo no válido',
+        'qualityIssue.disposableEmail': 'Dominio de correo desechable',
+        'qualityIssue.noPhone': 'Sin teléfono',
+        'qualityIssue.noCountryCode': 'Sin prefijo de país',
+        'qualityIssue.unparsedPhone': 'No se pudo interpretar el teléfono',
+        'qualityIssue.noContact': 'Sin forma de contacto',
+        'qualityIssue.noTechnology': 'Sin tecnología',
+
+        'export.csv': 'CSV',
+        'export.excel': 'Excel',
+        'export.pdf': 'PDF',
+        'export.downloadCsv': 'Descargar CSV',
+        'export.downloadExcel': 'Descargar Excel',
+        'export.downloadPdf': 'Descargar PDF',
+        'export.title': 'Exportar leads',
+        'export.subtitle': 'Exporta las filas elegidas junto a los botones de exportación (todas, filtradas o seleccionadas).',
+        'export.format': 'Formato',
+        'export.columns': 'Columnas',
+        'export.resetColumns': 'Restablecer',
+        'export.download': 'Descargar',
+        'export.sourceColumn': 'columna de la fuente',
+        'export.moveUp': 'Subir',
+        'export.moveDown': 'Bajar',
+        'export.noteCrm': 'Las columnas siguen el formato de importación de {crm} ({headers}) y después las columnas adicionales de la fuente.',
+        'export.noteVcf': 'Un contacto por lead. La tecnología y las etiquetas pasan a ser categorías; la fuente y las columnas adicionales van en la nota.',
+        'export.noteColumns': 'Marca las columnas que quieres exportar y usa las flechas para reordenarlas. Tu elección también se aplica a los botones CSV, Excel y PDF.',
+        'exportFormat.csv': 'CSV',
+        'exportFormat.xlsx': 'Excel',
+        'exportFormat.pdf': 'PDF',
+        'exportFormat.json': 'JSON',
+        'exportFormat.ndjson': 'NDJSON (un lead por línea)',
+        'exportFormat.vcf': 'Contactos vCard (.vcf)',
+        'exportFormat.crmGroup': 'Importación a CRM',
+        'exportFormat.crm': 'CSV de {crm}',
+        'report.generated': 'Generado el {date}',
+        'report.leftOut': '({count} de {total} resultados excluidos por las opciones de exportación)',
+        'report.criteria': 'Criterios de búsqueda',
+        'report.sources': 'Fuentes consultadas',
+        'report.searchedAt': 'Fecha de búsqueda',
+        'report.notRecorded': 'No registrado para estos resultados',
+        'report.sentToWorkflow': 'enviado al flujo de trabajo',
+        'report.leads': 'Leads',
+
+        'mapping.title': 'Asigna tus columnas',
+        'mapping.subtitle': 'Hemos asignado las columnas de tu archivo a campos de lead. Revisa las sugerencias y cambia lo que no sea correcto.',
+        'mapping.sheets': 'Hojas en las que buscar',
+        'mapping.allSheets': 'Todas las hojas',
+        'mapping.sheetSelect': 'Asignar columnas de la hoja',
+        'mapping.preview': 'Vista previa',
+        'mapping.confirm': 'Confirmar asignación',
+        'mapping.rowCount': {
+            one: '{count} fila',
+            other: '{count} filas'
+        },
+        'aliases.title': 'Alias de tecnologías',
+        'aliases.subtitle': 'Al buscar una tecnología también se encuentran sus alias y errores ortográficos cercanos. Añade los tuyos, una tecnología por línea, p. ej. <code>Spring Boot: springboot, spring-boot</code>.',
+        'aliases.builtin': 'Alias incluidos',
+        'aliases.save': 'Guardar alias',
+        'duplicates.title': 'Posibles duplicados',
+        'duplicates.subtitle': 'Estos leads comparten correo, teléfono o un nombre y una ubicación muy parecidos. Elige el valor que quieres conservar en cada campo y fusiónalos.',
+        'duplicates.mergeAll': 'Fusionar todo',
+        'duplicates.field': 'Campo',
+        'duplicates.dismiss': 'No son duplicados',
+        'duplicates.merge': 'Fusionar',
+        'duplicates.fieldFrom': '{field} de {source}',
+
+        'workspace.subtitle': 'Los leads preseleccionados y las búsquedas guardadas se conservan en este navegador entre sesiones.',
+        'workspace.tabSearches': 'Búsquedas',
+        'workspace.tabActivity': 'Actividad',
+        'workspace.tabAudit': 'Auditoría',
+        'workspace.filter': 'Filtrar preselección',
+        'workspace.statusFilter': 'Filtrar por estado',
+        'workspace.allStatuses': 'Todos los estados',
+        'workspace.colLead': 'Lead',
+        'workspace.colContact': 'Contacto',
+        'workspace.colStatus': 'Estado',
+        'workspace.colLastContacted': 'Último contacto',
+        'workspace.empty': 'No hay leads preseleccionados. Selecciona filas en los resultados y elige «Preseleccionar».',
+        'workspace.saved': 'Guardadas',
+        'workspace.history': 'Historial',
+        'workspace.activityHint': 'Las búsquedas enviadas a flujos de trabajo se ponen en cola aquí y se reintentan hasta entregarse.',
+        'workspace.retryFailed': 'Reintentar fallidos',
+        'workspace.clearDelivered': 'Borrar entregados',
+        'workspace.auditHint': 'Leads mostrados en modo privado, copiados o exportados desde este navegador, los más recientes primero.',
+        'workspace.removeLead': 'Quitar del espacio de trabajo',
+        'workspace.savedEmpty': 'Aún no hay búsquedas guardadas. Fija una del historial o usa «Guardar búsqueda» en unos resultados.',
+        'workspace.historyEmpty': 'Aquí aparecen las búsquedas que ejecutas.',
+        'workspace.renameSearch': 'Cambiar nombre',
+        'workspace.searchLastRun': {
+            one: '{count} resultado · última ejecución {date}',
+            other: '{count} resultados · última ejecución {date}'
+        },
+        'workspace.searchSaved': {
+            one: '{count} resultado · guardada {date}',
+            other: '{count} resultados · guardada {date}'
+        },
+        'workspace.runSearch': 'Ejecutar',
+        'workspace.pinSearch': 'Fijar como búsqueda guardada',
+        'workspace.unpinSearch': 'Desfijar (pasar al historial)',
+        'workspace.deleteSearch': 'Eliminar búsqueda',
+        'workspace.activityEmpty': 'Todavía no se ha enviado nada.',
+        'workspace.auditEmpty': 'Todavía no se ha mostrado, copiado ni exportado ningún lead.',
+        'workspace.auditMore': '{names} y {count} más',
+        'submission.attempts': {
+            one: 'Solicitud {id} · {count} intento',
+            other: 'Solicitud {id} · {count} intentos'
+        },
+        'submission.nextTry': 'próximo intento a las {time}',
+        'submission.retry': 'Reintentar ahora',
+        'submission.notSetUp': 'Esta fuente ya no está configurada. Revisa los ajustes.',
+        'submission.networkError': 'Error de red (sin conexión, bloqueado o CORS)',
+        'batch.title': 'Búsqueda por lotes',
+        'batch.subtitle': 'Pega una búsqueda por fila o sube una lista CSV o Excel. Usa una fila de encabezado con las columnas Name, Location y Technology (o Role); sin ella, las columnas se leen como Technology, Location, Name. Cada fila se busca en las fuentes marcadas en «Buscar en».',
+        'batch.upload': 'Subir lista',
+        'batch.stop': 'Detener',
+        'batch.run': 'Ejecutar lote',
+        'batch.summary': {
+            one: '{finished} de {total} filas buscadas, {count} lead',
+            other: '{finished} de {total} filas buscadas, {count} leads'
+        },
+        'batch.submission': {
+            one: 'Lote de {count} búsqueda',
+            other: 'Lote de {count} búsquedas'
+        },
+        'batch.rowCount': {
+            one: '{count} fila de criterios',
+            other: '{count} filas de criterios'
+        },
+        'batch.rowLimit': '(como máximo {max} por lote)',
+        'batch.waiting': 'En espera',
+        'batch.sourceFailed': 'falló una fuente',
+        'batch.progress': {
+            one: '{finished} de {total} filas · {count} lead',
+            other: '{finished} de {total} filas · {count} leads'
+        },
+        'drawer.details': 'Detalles',
+        'drawer.notesPlaceholder': 'Cualquier cosa que merezca recordar sobre este lead',
+        'drawer.hint': 'Las notas y los contactos se guardan en tu espacio de trabajo (esto preselecciona el lead) y se incluyen en las exportaciones.',
+        'drawer.eventType': 'Tipo de contacto',
+        'drawer.eventDate': 'Fecha',
+        'drawer.eventNotePlaceholder': '¿Qué pasó? (opcional)',
+        'drawer.log': 'Registrar',
+        'drawer.unnamed': 'Lead sin nombre',
+        'drawer.reveal': 'Mostrar datos de contacto',
+        'drawer.email': 'Correo',
+        'drawer.copyEmail': 'Copiar correo',
+        'drawer.call': 'Llamar',
+        'drawer.copyPhone': 'Copiar teléfono',
+        'drawer.noContact': 'Este lead no tiene correo ni teléfono.',
+        'drawer.qualityIssues': 'Problemas de calidad',
+        'drawer.fromSource': 'De la fuente',
+        'drawer.removeEvent': 'Quitar de la cronología',
+        'drawer.noEvents': 'Todavía no se ha registrado ningún contacto.',
+        'outreach.email': 'Correo',
+        'outreach.call': 'Llamada',
+        'outreach.message': 'Mensaje',
+        'outreach.meeting': 'Reunión',
+        'outreach.other': 'Otro',
+
+        'settings.subtitle': 'Los ajustes se guardan en este navegador. Expórtalos como archivo para compartir una configuración con tu equipo.',
+        'settings.sources': 'Fuentes',
+        'settings.exportColumns': 'Columnas de exportación predeterminadas',
+        'settings.exportColumnsHint': 'Deja todas sin marcar para exportar las columnas presentes en los resultados.',
+        'settings.report': 'Informe PDF',
+        'settings.reportTitle': 'Título',
+        'settings.reportHeader': 'Texto de cabecera (en todas las páginas)',
+        'settings.reportHeaderPlaceholder': 'p. ej. el nombre de tu empresa',
+        'settings.orientation': 'Orientación',
+        'settings.orientationAuto': 'Automática (horizontal para tablas anchas)',
+        'settings.orientationPortrait': 'Vertical',
+        'settings.orientationLandscape': 'Horizontal',
+        'settings.groupBy': 'Agrupar leads por',
+        'settings.noGrouping': 'Sin agrupar',
+        'settings.chooseLogo': 'Elegir logotipo',
+        'settings.removeLogo': 'Quitar logotipo',
+        'settings.privacy': 'Privacidad y datos locales',
+        'settings.privacyMode': 'Modo privado: oculta correos y teléfonos hasta que se muestre el lead (cada vez que se muestra queda registrado en la auditoría del espacio de trabajo)',
+        'settings.encryption': 'Cifrado del espacio de trabajo:',
+        'settings.encryptionOff': 'Desactivado: tu espacio de trabajo se guarda sin cifrar en este navegador.',
+        'settings.encryptionUnlocked': 'Activado, desbloqueado en esta sesión.',
+        'settings.encryptionLocked': 'Activado, bloqueado.',
+        'settings.encrypt': 'Cifrar con una frase de contraseña',
+        'settings.lockNow': 'Bloquear ahora',
+        'settings.unlock': 'Desbloquear',
+        'settings.decrypt': 'Desactivar cifrado',
+        'settings.encryptionNote': 'El cifrado cubre los leads guardados, las búsquedas, el último archivo, los envíos en cola, la auditoría y los tokens y cabeceras de autenticación de estos ajustes. El resto de ajustes no se cifra.',
+        'settings.purge': 'Borrar todos los datos locales',
+        'settings.import': 'Importar',
+        'settings.export': 'Exportar',
+        'settings.includeTokens': 'Incluir tokens de autenticación y cabeceras adicionales',
+        'settings.reset': 'Restablecer valores predeterminados',
+        'settings.endpoint': 'URL del endpoint',
+        'settings.token': 'Token de autenticación (se envía como token Bearer)',
+        'settings.headers': 'Cabeceras adicionales (una «Nombre: valor» por línea)',
+        'settings.timeout': 'Tiempo de espera (segundos)',
+        'settings.retries': 'Reintentos',
+        'settings.test': 'Probar conexión',
+        'settings.testNoEndpoint': 'Introduce primero una URL de endpoint.',
+        'settings.testing': 'Probando...',
+        'settings.testOk': 'Conectado (HTTP {status}, {elapsed} ms)',
+        'settings.testHttpError': 'Se llegó al servidor, pero respondió HTTP {status}',
+        'settings.testFailed': 'No se pudo conectar (revisa la URL, la red o la configuración CORS)',
+        'settingsError.notObject': 'Los ajustes deben ser un objeto JSON.',
+        'settingsError.unknownSource': 'Se ignoró la fuente desconocida «{id}».',
+        'settingsError.endpoint': 'El endpoint debe ser una URL http(s).',
+        'settingsError.headerName': '«{name}» no es un nombre de cabecera válido.',
+        'settingsError.headers': 'Las cabeceras deben ser pares nombre/valor.',
+        'settingsError.timeout': 'El tiempo de espera debe estar entre 1 y 300 segundos.',
+        'settingsError.retries': 'Los reintentos deben ser un número entero de 0 a 5.',
+        'settingsError.exportFields': 'Las columnas de exportación deben ser una lista.',
+        'settingsError.exportField': 'Se ignoró la columna de exportación desconocida «{field}».',
+        'settingsError.logoType': 'El logotipo del informe debe ser una imagen PNG o JPEG.',
+        'settingsError.logoSize': 'El logotipo del informe debe ocupar menos de {size} KB.',
+        'settingsError.orientation': 'Orientación de informe desconocida «{orientation}».',
+        'settingsError.groupBy': 'Los informes no se pueden agrupar por «{field}».',
+        'serverError.notJson': 'El servidor no devolvió JSON.',
+        'serverError.requestFailed': 'La solicitud falló',
+        'serverError.http': '{detail} (HTTP {status})',
+        'serverError.reported': 'El servidor informó de un error.',
+        'serverError.noLeadList': 'La respuesta no contenía una lista de leads.',
+        'serverError.timeout': 'Sin respuesta tras {seconds} s',
+
+        'passphrase.label': 'Frase de contraseña',
+        'passphrase.repeat': 'Repite la frase de contraseña',
+        'passphrase.createTitle': 'Cifrar espacio de trabajo',
+        'passphrase.unlockTitle': 'Desbloquear espacio de trabajo',
+        'passphrase.createMessage': 'Los leads guardados, las búsquedas, el último archivo y la auditoría se cifrarán con esta frase de contraseña (al menos {min} caracteres). No se puede recuperar: sin ella, la única salida es borrar todos los datos locales.',
+        'passphrase.unlockMessage': 'Tu espacio de trabajo está cifrado. Introduce tu frase de contraseña para abrir los leads guardados, las búsquedas y tu último archivo.',
+        'passphrase.encrypt': 'Cifrar',
+        'passphrase.unlock': 'Desbloquear',
+        'passphrase.notNow': 'Ahora no',
+        'passphrase.tooShort': 'Usa al menos {min} caracteres.',
+        'passphrase.mismatch': 'Las frases de contraseña no coinciden.',
+        'passphrase.wrong': 'La frase de contraseña no es correcta.',
+        'passphrase.failed': 'Algo salió mal; tu espacio de trabajo se quedó como estaba.',
+        'confirm.disableEncryption': '¿Desactivar el cifrado? Tus leads guardados, búsquedas y archivo se guardarán sin cifrar en este navegador.',
+        'confirm.purge': '¿Borrar todos los datos locales? Se eliminarán de este navegador tus leads guardados, búsquedas, el último archivo, la auditoría, los ajustes y la frase de contraseña. No se puede deshacer.',
+
+        'toast.fileFailed': 'No se pudo procesar el archivo',
+        'toast.fileLockedNotSaved': 'Desbloquea tu espacio de trabajo para conservar este archivo al recargar; la búsqueda seguirá funcionando.',
+        'toast.fileTooLarge': 'El archivo es demasiado grande para conservarlo al recargar, pero la búsqueda funcionará.',
+        'toast.noCriteria': 'Introduce al menos un criterio de búsqueda o sube un archivo.',
+        'toast.noSources': 'Elige al menos una fuente en la que buscar.',
+        'toast.noNewLeads': 'No se encontraron leads nuevos. Se muestran tus resultados anteriores.',
+        'toast.searchCancelled': 'Búsqueda cancelada.',
+        'toast.redrobNotSetUp': 'Redrob aún no está configurado. Añade su URL de webhook en Ajustes.',
+        'toast.redrobNoData': 'Tampoco se encontraron datos en Redrob.',
+        'toast.providerTimeout': '{provider} no respondió a tiempo.',
+        'toast.providerError': '{provider}: {message}',
+        'toast.providerFailed': 'No se pudo buscar en {provider}.',
+        'toast.responseIssues': '{provider}: {issues} (detalles en la consola).',
+        'toast.rowsSkipped': {
+            one: 'se omitió {count} fila mal formada',
+            other: 'se omitieron {count} filas mal formadas'
+        },
+        'toast.rowsInvalid': {
+            one: '{count} fila tiene un correo o teléfono no válido',
+            other: '{count} filas tienen un correo o teléfono no válido'
+        },
+        'toast.batchFileUnreadable': 'No se pudo leer ese archivo. Usa CSV o Excel.',
+        'toast.batchEmpty': 'Añade al menos una fila de criterios.',
+        'toast.batchTooLarge': 'Un lote puede tener como máximo {max} filas.',
+        'toast.batchStopped': 'Lote detenido: {summary}.',
+        'toast.batchFinished': 'Lote terminado: {summary}.',
+        'toast.batchRowsFailed': {
+            one: 'Lote terminado: {summary}. Una fuente falló en {count} fila (consulta la lista).',
+            other: 'Lote terminado: {summary}. Una fuente falló en {count} filas (consulta la lista).'
+        },
+        'toast.noEmails': 'Ninguno de los leads seleccionados tiene correo.',
+        'toast.emailsCopied': {
+            one: '{count} correo copiado',
+            other: '{count} correos copiados'
+        },
+        'toast.copied': 'Copiado al portapapeles',
+        'toast.copyFailed': 'No se pudo copiar al portapapeles.',
+        'toast.leadsRemoved': {
+            one: '{count} lead quitado',
+            other: '{count} leads quitados'
+        },
+        'toast.tagMissing': 'Escribe o elige una etiqueta primero.',
+        'toast.leadsTagged': {
+            one: '{count} lead etiquetado «{tag}»',
+            other: '{count} leads etiquetados «{tag}»'
+        },
+        'toast.aliasSyntax': 'Usa «Tecnología: alias, alias» en cada línea («{line}»)',
+        'toast.aliasesSaveFailed': 'No se pudieron guardar los alias.',
+        'toast.aliasesSaved': 'Alias de tecnologías guardados',
+        'toast.retryFailed': 'No se pudieron reintentar estos envíos.',
+        'toast.submissionQueueFull': 'Hay demasiados archivos pendientes de entrega, así que este se envía una sola vez, sin reintentos.',
+        'toast.imageUnreadable': 'No se pudo leer esa imagen.',
+        'toast.settingsInvalid': 'Corrige los ajustes marcados.',
+        'toast.settingsSaved': 'Ajustes guardados',
+        'toast.settingsLocked': 'Desbloquea el espacio de trabajo antes de cambiar tokens o cabeceras de autenticación.',
+        'toast.settingsSaveFailed': 'No se pudieron guardar los ajustes.',
+        'toast.settingsNotJson': 'Ese archivo no es un JSON válido.',
+        'toast.settingsImported': 'Ajustes importados. Revísalos y haz clic en Guardar.',
+        'toast.settingsImportedWithProblems': 'Ajustes importados con problemas. Revísalos antes de guardar.',
+        'toast.leadsShortlisted': {
+            one: '{count} lead preseleccionado',
+            other: '{count} leads preseleccionados'
+        },
+        'toast.shortlistFailed': 'No se pudieron guardar los leads en tu espacio de trabajo.',
+        'toast.searchSaved': 'Búsqueda guardada en tu espacio de trabajo',
+        'toast.searchSaveFailed': 'No se pudo guardar esta búsqueda.',
+        'toast.workspaceOpenFailed': 'No se pudo abrir tu espacio de trabajo.',
+        'toast.changeSaveFailed': 'No se pudo guardar el cambio.',
+        'toast.leadRemoveFailed': 'No se pudo quitar este lead.',
+        'toast.searchOpenFailed': 'No se pudo abrir esta búsqueda guardada.',
+        'toast.searchRenameFailed': 'No se pudo renombrar esta búsqueda.',
+        'toast.workspaceSaveFailed': 'No se pudo guardar en tu espacio de trabajo.',
+        'toast.encrypted': 'Tu espacio de trabajo ahora está cifrado',
+        'toast.unlocked': 'Espacio de trabajo desbloqueado',
+        'toast.encryptionOff': 'Cifrado desactivado',
+        'toast.encryptionOffFailed': 'No se pudo desactivar el cifrado. Tu espacio de trabajo sigue cifrado.',
+        'toast.purgeFailed': 'No se pudo borrar el espacio de trabajo. Cierra esta aplicación en otras pestañas y vuelve a intentarlo.',
+        'toast.purgeBlocked': 'Cierra esta aplicación en otras pestañas para terminar de borrar.',
+        'toast.groupMerged': '{count} leads fusionados',
+        'toast.groupsMerged': {
+            one: '{count} grupo de duplicados fusionado',
+            other: '{count} grupos de duplicados fusionados'
+        },
+        'toast.columnsUnreadable': 'No se pudieron leer las columnas de este archivo.',
+        'toast.pdfNoLeads': 'No se encontraron leads en este PDF.',
+        'toast.noHeaderRow': 'Este archivo no tiene una fila de encabezado que asignar.',
+        'toast.noSheets': 'Selecciona al menos una hoja en la que buscar.',
+        'toast.sheetUnmapped': 'Asigna al menos una columna a un campo de lead en «{sheet}».',
+        'toast.mappingSaved': {
+            one: 'Asignación de columnas guardada',
+            other: 'Asignación de columnas guardada para {count} hojas'
+        },
+        'toast.noLeadsToExport': 'No hay leads que exportar.',
+        'toast.noColumns': 'Selecciona al menos una columna para exportar.',
+        'toast.csvDownloaded': 'CSV descargado',
+        'toast.excelDownloaded': 'Excel descargado',
+        'toast.pdfDownloaded': 'PDF descargado',
+        'toast.jsonDownloaded': 'JSON descargado',
+        'toast.ndjsonDownloaded': 'NDJSON descargado',
+        'toast.crmDownloaded': 'CSV de {crm} descargado',
+        'toast.contactsDownloaded': {
+            one: '{count} contacto descargado',
+            other: '{count} contactos descargados'
+        }
+    }
+};
+
+// Interface language (see I18N); read first, as loading settings may report problems in it
+let currentLocale = loadLocale();
+// User settings (see SETTINGS); providers fall back to their built-in defaults
+let settings = loadSettings();
 
 // ================= DOM ELEMENTS =================
 const searchForm = document.getElementById('searchForm');
 const searchBtn = document.getElementById('searchBtn');
 const resultsSection = document.getElementById('resultsSection');
 const resultsTableBody = document.querySelector('#resultsTable tbody');
+const resultsTableHead = document.querySelector('#resultsTable thead');
+const quickFilterInput = document.getElementById('quickFilterInput');
+const resultsSummary = document.getElementById('resultsSummary');
+const pageSizeSelect = document.getElementById('pageSizeSelect');
+const prevPageBtn = document.getElementById('prevPageBtn');
+const nextPageBtn = document.getElementById('nextPageBtn');
+const pageIndicator = document.getElementById('pageIndicator');
+const exportScopeSelect = document.getElementById('exportScopeSelect');
+const excludeLowQualityToggle = document.getElementById('excludeLowQualityToggle');
+const openExportDialogBtn = document.getElementById('openExportDialogBtn');
+
+// Export Dialog Elements
+const exportModal = document.getElementById('exportModal');
+const exportFormatSelect = document.getElementById('exportFormatSelect');
+const exportFormatNote = document.getElementById('exportFormatNote');
+const exportColumnsSection = document.getElementById('exportColumnsSection');
+const exportColumnList = document.getElementById('exportColumnList');
+const resetExportColumnsBtn = document.getElementById('resetExportColumnsBtn');
+const exportConfirmBtn = document.getElementById('exportConfirmBtn');
+const exportCancelBtn = document.getElementById('exportCancelBtn');
+const exportCloseBtn = document.getElementById('exportCloseBtn');
+const exportSelectedOption = exportScopeSelect.querySelector('option[value="selected"]');
+
+// Bulk Action Elements
+const bulkActionBar = document.getElementById('bulkActionBar');
+const selectionCount = document.getElementById('selectionCount');
+const copyEmailsBtn = document.getElementById('copyEmailsBtn');
+const removeSelectedBtn = document.getElementById('removeSelectedBtn');
+const tagInput = document.getElementById('tagInput');
+const tagOptions = document.getElementById('tag-options');
+const applyTagBtn = document.getElementById('applyTagBtn');
+const clearSelectionBtn = document.getElementById('clearSelectionBtn');
+const shortlistBtn = document.getElementById('shortlistBtn');
+const saveSearchBtn = document.getElementById('saveSearchBtn');
+
+// Workspace Elements
+const openWorkspaceBtn = document.getElementById('openWorkspaceBtn');
+const workspaceModal = document.getElementById('workspaceModal');
+const workspaceCloseBtn = document.getElementById('workspaceCloseBtn');
+const workspaceTabs = document.getElementById('workspaceTabs');
+const workspaceLeadsPanel = document.getElementById('workspaceLeadsPanel');
+const workspaceSearchesPanel = document.getElementById('workspaceSearchesPanel');
+const workspaceActivityPanel = document.getElementById('workspaceActivityPanel');
+const workspaceAuditPanel = document.getElementById('workspaceAuditPanel');
+const auditLogList = document.getElementById('auditLogList');
+const submissionLog = document.getElementById('submissionLog');
+const activityBadge = document.getElementById('activityBadge');
+const retryFailedSubmissionsBtn = document.getElementById('retryFailedSubmissionsBtn');
+const clearSentSubmissionsBtn = document.getElementById('clearSentSubmissionsBtn');
+const workspaceLeadFilter = document.getElementById('workspaceLeadFilter');
+const workspaceStatusFilter = document.getElementById('workspaceStatusFilter');
+const workspaceLeadsBody = document.querySelector('#workspaceLeadsTable tbody');
+const workspaceLeadsEmpty = document.getElementById('workspaceLeadsEmpty');
+const workspaceSearchList = document.getElementById('workspaceSearchList');
+const workspaceHistoryList = document.getElementById('workspaceHistoryList');
+const workspaceExportCsvBtn = document.getElementById('workspaceExportCsvBtn');
+const workspaceExportExcelBtn = document.getElementById('workspaceExportExcelBtn');
+
+const languageSelect = document.getElementById('languageSelect');
+
+// Settings Elements
+const openSettingsBtn = document.getElementById('openSettingsBtn');
+const settingsModal = document.getElementById('settingsModal');
+const settingsCloseBtn = document.getElementById('settingsCloseBtn');
+const settingsProviderList = document.getElementById('settingsProviderList');
+const settingsExportFields = document.getElementById('settingsExportFields');
+const settingsIncludeTokens = document.getElementById('settingsIncludeTokens');
+const settingsImportInput = document.getElementById('settingsImportInput');
+const settingsImportBtn = document.getElementById('settingsImportBtn');
+const settingsExportBtn = document.getElementById('settingsExportBtn');
+const settingsResetBtn = document.getElementById('settingsResetBtn');
+const settingsCancelBtn = document.getElementById('settingsCancelBtn');
+const settingsSaveBtn = document.getElementById('settingsSaveBtn');
+const settingsReportSection = document.getElementById('settingsReportSection');
+const settingsReportTitle = document.getElementById('settingsReportTitle');
+const settingsReportHeader = document.getElementById('settingsReportHeader');
+const settingsReportOrientation = document.getElementById('settingsReportOrientation');
+const settingsReportGroupBy = document.getElementById('settingsReportGroupBy');
+const settingsReportLogoPreview = document.getElementById('settingsReportLogoPreview');
+const settingsReportLogoInput = document.getElementById('settingsReportLogoInput');
+const settingsReportLogoBtn = document.getElementById('settingsReportLogoBtn');
+const settingsReportLogoRemoveBtn = document.getElementById('settingsReportLogoRemoveBtn');
+const settingsPrivacyMode = document.getElementById('settingsPrivacyMode');
+const settingsEncryptionStatus = document.getElementById('settingsEncryptionStatus');
+const settingsEncryptBtn = document.getElementById('settingsEncryptBtn');
+const settingsLockBtn = document.getElementById('settingsLockBtn');
+const settingsDecryptBtn = document.getElementById('settingsDecryptBtn');
+const purgeDataBtn = document.getElementById('purgeDataBtn');
+
+// Passphrase Dialog Elements
+const passphraseModal = document.getElementById('passphraseModal');
+const passphraseTitle = document.getElementById('passphraseTitle');
+const passphraseMessage = document.getElementById('passphraseMessage');
+const passphraseForm = document.getElementById('passphraseForm');
+const passphraseInput = document.getElementById('passphraseInput');
+const passphraseConfirmLabel = document.getElementById('passphraseConfirmLabel');
+const passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+const passphraseError = document.getElementById('passphraseError');
+const passphraseSubmitBtn = document.getElementById('passphraseSubmitBtn');
+const passphraseCancelBtn = document.getElementById('passphraseCancelBtn');
+const passphraseCloseBtn = document.getElementById('passphraseCloseBtn');
+const techOptions = document.getElementById('tech-options');
+const keepResultsToggle = document.getElementById('keepResultsToggle');
+const openBatchBtn = document.getElementById('openBatchBtn');
+
+// Lead Detail Drawer Elements
+const leadDrawer = document.getElementById('leadDrawer');
+const leadDrawerTitle = document.getElementById('leadDrawerTitle');
+const leadDrawerSubtitle = document.getElementById('leadDrawerSubtitle');
+const leadDrawerCloseBtn = document.getElementById('leadDrawerCloseBtn');
+const leadDrawerActions = document.getElementById('leadDrawerActions');
+const leadDrawerFields = document.getElementById('leadDrawerFields');
+const leadNotesInput = document.getElementById('leadNotesInput');
+const leadEventForm = document.getElementById('leadEventForm');
+const leadEventType = document.getElementById('leadEventType');
+const leadEventDate = document.getElementById('leadEventDate');
+const leadEventNote = document.getElementById('leadEventNote');
+const leadTimeline = document.getElementById('leadTimeline');
+
+// Batch Search Dialog Elements
+const batchModal = document.getElementById('batchModal');
+const batchCriteriaInput = document.getElementById('batchCriteriaInput');
+const batchFileInput = document.getElementById('batchFileInput');
+const batchUploadBtn = document.getElementById('batchUploadBtn');
+const batchRowCount = document.getElementById('batchRowCount');
+const batchProgress = document.getElementById('batchProgress');
+const batchProgressBar = document.getElementById('batchProgressBar');
+const batchProgressText = document.getElementById('batchProgressText');
+const batchRowList = document.getElementById('batchRowList');
+const batchRunBtn = document.getElementById('batchRunBtn');
+const batchStopBtn = document.getElementById('batchStopBtn');
+const batchCloseBtn = document.getElementById('batchCloseBtn');
+const searchDiffBanner = document.getElementById('searchDiffBanner');
+const searchDiffSummary = document.getElementById('searchDiffSummary');
+const onlyNewToggle = document.getElementById('onlyNewToggle');
+const analyticsToggleBtn = document.getElementById('analyticsToggleBtn');
+const analyticsPanel = document.getElementById('analyticsPanel');
+const analyticsCoverage = document.getElementById('analyticsCoverage');
+const analyticsCharts = document.getElementById('analyticsCharts');
+const segmentFilterChip = document.getElementById('segmentFilterChip');
+const segmentFilterLabel = document.getElementById('segmentFilterLabel');
+
+// Duplicate Review Elements
+const duplicateBanner = document.getElementById('duplicateBanner');
+const duplicateSummary = document.getElementById('duplicateSummary');
+const reviewDuplicatesBtn = document.getElementById('reviewDuplicatesBtn');
+const duplicateModal = document.getElementById('duplicateModal');
+const duplicateGroupList = document.getElementById('duplicateGroupList');
+const mergeAllBtn = document.getElementById('mergeAllBtn');
+const duplicateCloseBtn = document.getElementById('duplicateCloseBtn');
+
+// Technology Alias Dialog Elements
+const manageAliasesBtn = document.getElementById('manageAliasesBtn');
+const aliasModal = document.getElementById('aliasModal');
+const aliasTextarea = document.getElementById('aliasTextarea');
+const builtinAliasList = document.getElementById('builtinAliasList');
+const aliasSaveBtn = document.getElementById('aliasSaveBtn');
+const aliasCancelBtn = document.getElementById('aliasCancelBtn');
+const aliasCloseBtn = document.getElementById('aliasCloseBtn');
 const noDataSection = document.getElementById('noDataSection');
 const redrobSearchBtn = document.getElementById('redrobSearchBtn');
+const providerOptions = document.getElementById('providerOptions');
+const searchStatusBar = document.getElementById('searchStatusBar');
+const providerStatusList = document.getElementById('providerStatusList');
+const cancelSearchBtn = document.getElementById('cancelSearchBtn');
 const notificationContainer = document.getElementById('notificationContainer');
 const loadingState = document.getElementById('loadingState');
 
@@ -28,9 +1619,25 @@ const fileUploadWrapper = document.getElementById('fileUploadWrapper');
 const fileInput = document.getElementById('fileInput');
 const fileLabelText = document.getElementById('fileLabelText');
 const fileNameDisplay = document.getElementById('fileName');
+const fileParseStatus = document.getElementById('fileParseStatus');
+const fileParseProgress = document.getElementById('fileParseProgress');
+const fileParseText = document.getElementById('fileParseText');
 const removeFileBtn = document.getElementById('removeFileBtn');
 const fileIcon = document.querySelector('.file-icon');
 const fileSuccessIcon = document.querySelector('.file-success-icon');
+const editMappingBtn = document.getElementById('editMappingBtn');
+
+// Column Mapping Dialog Elements
+const mappingModal = document.getElementById('mappingModal');
+const mappingFields = document.getElementById('mappingFields');
+const mappingPreviewTable = document.getElementById('mappingPreviewTable');
+const mappingConfirmBtn = document.getElementById('mappingConfirmBtn');
+const mappingCancelBtn = document.getElementById('mappingCancelBtn');
+const mappingCloseBtn = document.getElementById('mappingCloseBtn');
+const sheetPicker = document.getElementById('sheetPicker');
+const allSheetsToggle = document.getElementById('allSheetsToggle');
+const sheetOptions = document.getElementById('sheetOptions');
+const mappingSheetSelect = document.getElementById('mappingSheetSelect');
 
 // ================= EVENT LISTENERS =================
 
@@ -39,6 +1646,17 @@ searchForm.addEventListener('submit', handleSearch);
 
 // Handle "Search on Redrob" button click
 redrobSearchBtn.addEventListener('click', handleRedrobSearch);
+providerOptions.addEventListener('change', handleProviderSelectionChange);
+cancelSearchBtn.addEventListener('click', cancelSearch);
+
+// Batch Search Dialog
+openBatchBtn.addEventListener('click', openBatchDialog);
+batchCriteriaInput.addEventListener('input', updateBatchRowCount);
+batchUploadBtn.addEventListener('click', () => batchFileInput.click());
+batchFileInput.addEventListener('change', importBatchFile);
+batchRunBtn.addEventListener('click', runBatchSearch);
+batchStopBtn.addEventListener('click', cancelSearch);
+batchCloseBtn.addEventListener('click', closeBatchDialog);
 
 // File Upload Interaction
 fileUploadWrapper.addEventListener('click', () => fileInput.click());
@@ -48,6 +1666,141 @@ removeFileBtn.addEventListener('click', (e) => {
     removeFile();
 });
 
+// Column Mapping Dialog
+editMappingBtn.addEventListener('click', handleEditMapping);
+mappingConfirmBtn.addEventListener('click', confirmColumnMapping);
+mappingCancelBtn.addEventListener('click', closeMappingDialog);
+mappingCloseBtn.addEventListener('click', closeMappingDialog);
+allSheetsToggle.addEventListener('change', toggleAllSheets);
+sheetOptions.addEventListener('change', handleSheetSelectionChange);
+mappingSheetSelect.addEventListener('change', () => switchMappingSheet(mappingSheetSelect.value));
+
+// Technology Alias Dialog
+manageAliasesBtn.addEventListener('click', openAliasDialog);
+aliasSaveBtn.addEventListener('click', saveAliasDialog);
+aliasCancelBtn.addEventListener('click', closeAliasDialog);
+aliasCloseBtn.addEventListener('click', closeAliasDialog);
+
+// Results Table
+resultsTableHead.addEventListener('click', handleTableHeaderClick);
+resultsTableHead.addEventListener('input', handleColumnFilterInput);
+quickFilterInput.addEventListener('input', () => {
+    tableState.quickFilter = quickFilterInput.value;
+    scheduleTableRefresh();
+});
+pageSizeSelect.addEventListener('change', () => {
+    tableState.pageSize = Number(pageSizeSelect.value);
+    tableState.page = 1;
+    refreshTable();
+});
+onlyNewToggle.addEventListener('change', () => {
+    tableState.onlyNew = onlyNewToggle.checked;
+    tableState.page = 1;
+    refreshTable();
+});
+analyticsToggleBtn.addEventListener('click', toggleAnalyticsPanel);
+analyticsPanel.addEventListener('click', handleAnalyticsClick);
+analyticsPanel.addEventListener('keydown', e => {
+    // Chart bars are SVG groups, so Enter and Space are wired up by hand
+    if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('g[data-dimension]')) {
+        e.preventDefault();
+        handleAnalyticsClick(e);
+    }
+});
+segmentFilterChip.addEventListener('click', () => setAnalyticsSegment(null));
+prevPageBtn.addEventListener('click', () => goToPage(tableState.page - 1));
+nextPageBtn.addEventListener('click', () => goToPage(tableState.page + 1));
+
+// Row Selection & Bulk Actions
+resultsTableHead.addEventListener('change', handleSelectAllChange);
+resultsTableBody.addEventListener('change', handleRowSelectChange);
+resultsTableBody.addEventListener('click', handleTagRemoveClick);
+resultsTableBody.addEventListener('click', handleRevealClick);
+
+// Lead Detail Drawer
+resultsTableBody.addEventListener('click', handleResultRowClick);
+leadDrawerCloseBtn.addEventListener('click', closeLeadDrawer);
+leadDrawer.addEventListener('click', (e) => {
+    if (e.target === leadDrawer) closeLeadDrawer();
+});
+leadDrawerActions.addEventListener('click', handleLeadDrawerCopy);
+leadDrawerActions.addEventListener('click', handleRevealClick);
+leadNotesInput.addEventListener('change', saveLeadNotes);
+leadEventForm.addEventListener('submit', logLeadEvent);
+leadTimeline.addEventListener('click', handleLeadEventRemove);
+copyEmailsBtn.addEventListener('click', copySelectedEmails);
+removeSelectedBtn.addEventListener('click', removeSelectedLeads);
+applyTagBtn.addEventListener('click', tagSelectedLeads);
+tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        tagSelectedLeads();
+    }
+});
+clearSelectionBtn.addEventListener('click', clearSelection);
+shortlistBtn.addEventListener('click', shortlistSelectedLeads);
+saveSearchBtn.addEventListener('click', saveCurrentSearch);
+
+// Export Dialog
+openExportDialogBtn.addEventListener('click', openExportDialog);
+exportFormatSelect.addEventListener('change', updateExportFormatNote);
+exportColumnList.addEventListener('click', handleExportColumnMove);
+resetExportColumnsBtn.addEventListener('click', resetExportColumns);
+exportConfirmBtn.addEventListener('click', confirmExport);
+exportCancelBtn.addEventListener('click', closeExportDialog);
+exportCloseBtn.addEventListener('click', closeExportDialog);
+
+// Lead Workspace
+openWorkspaceBtn.addEventListener('click', openWorkspace);
+workspaceCloseBtn.addEventListener('click', closeWorkspace);
+workspaceTabs.addEventListener('click', handleWorkspaceTabClick);
+workspaceLeadFilter.addEventListener('input', renderWorkspaceLeads);
+workspaceStatusFilter.addEventListener('change', renderWorkspaceLeads);
+workspaceLeadsBody.addEventListener('change', handleWorkspaceLeadChange);
+workspaceLeadsBody.addEventListener('click', handleWorkspaceLeadRemove);
+workspaceLeadsBody.addEventListener('click', handleRevealClick);
+workspaceSearchList.addEventListener('click', handleWorkspaceSearchAction);
+workspaceSearchList.addEventListener('change', handleWorkspaceSearchRename);
+workspaceHistoryList.addEventListener('click', handleWorkspaceSearchAction);
+workspaceHistoryList.addEventListener('change', handleWorkspaceSearchRename);
+workspaceExportCsvBtn.addEventListener('click', () => exportWorkspaceLeads('csv'));
+workspaceExportExcelBtn.addEventListener('click', () => exportWorkspaceLeads('xlsx'));
+submissionLog.addEventListener('click', handleSubmissionLogClick);
+retryFailedSubmissionsBtn.addEventListener('click', retryFailedSubmissions);
+clearSentSubmissionsBtn.addEventListener('click', clearSentSubmissions);
+
+// Outbound submissions: resume the queue when the connection returns (on load, see restoreWorkspace)
+window.addEventListener('online', processSubmissionQueue);
+
+// Settings
+openSettingsBtn.addEventListener('click', openSettings);
+settingsCloseBtn.addEventListener('click', closeSettings);
+settingsCancelBtn.addEventListener('click', closeSettings);
+settingsSaveBtn.addEventListener('click', saveSettings);
+settingsResetBtn.addEventListener('click', resetSettingsForm);
+settingsExportBtn.addEventListener('click', exportSettingsFile);
+settingsImportBtn.addEventListener('click', () => settingsImportInput.click());
+settingsImportInput.addEventListener('change', importSettingsFile);
+settingsProviderList.addEventListener('click', handleSettingsTest);
+settingsReportLogoBtn.addEventListener('click', () => settingsReportLogoInput.click());
+settingsReportLogoInput.addEventListener('change', handleReportLogoSelect);
+settingsReportLogoRemoveBtn.addEventListener('click', () => setReportLogoPreview(''));
+settingsEncryptBtn.addEventListener('click', () => openPassphraseDialog('create'));
+settingsLockBtn.addEventListener('click', handleLockClick);
+settingsDecryptBtn.addEventListener('click', disableEncryption);
+purgeDataBtn.addEventListener('click', purgeLocalData);
+
+// Passphrase Dialog
+passphraseForm.addEventListener('submit', submitPassphrase);
+passphraseCancelBtn.addEventListener('click', closePassphraseDialog);
+passphraseCloseBtn.addEventListener('click', closePassphraseDialog);
+
+// Duplicate Review
+reviewDuplicatesBtn.addEventListener('click', openDuplicateDialog);
+mergeAllBtn.addEventListener('click', mergeAllDuplicateGroups);
+duplicateCloseBtn.addEventListener('click', closeDuplicateDialog);
+duplicateGroupList.addEventListener('click', handleDuplicateGroupAction);
+
 // Drag and Drop support
 fileUploadWrapper.addEventListener('dragover', (e) => {
     e.preventDefault();
@@ -68,8 +1821,19 @@ fileUploadWrapper.addEventListener('drop', (e) => {
     }
 });
 
-// Initialize Persistence
-window.addEventListener('load', loadFileFromStorage);
+languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+
+// Initialize Persistence (asks for the passphrase first if the workspace is encrypted)
+window.addEventListener('load', initWorkspace);
+window.addEventListener('load', renderProviderOptions);
+
+// Show the page in the saved or browser language
+renderLanguageOptions();
+applyTranslations();
+
+// Build the technology dictionary from the suggestions list and saved aliases
+rebuildTechAliasIndex();
+renderExportFormatOptions();
 
 // ================= FUNCTIONS =================
 
@@ -81,106 +1845,73 @@ async function handleSearch(e) {
     e.preventDefault();
 
     // Get form values
-    const name = document.getElementById('name').value;
-    const location = document.getElementById('location').value;
-    const technology = document.getElementById('technology').value;
+    const criteria = getSearchCriteria();
 
     // Check for file
     let filePayload = {};
-    if (fileInput.files.length > 0) {
-        // Option A: New file selected by user
+    const file = fileInput.files.length > 0 ? fileInput.files[0] : cachedFile;
+    if (file) {
+        // New file selected by user, or the upload restored from the workspace
         try {
-            const file = fileInput.files[0];
-            const base64 = await toBase64(file);
-            filePayload = {
-                fileData: base64,
-                fileName: file.name,
-                fileMimeType: file.type
-            };
-
-            // Allow persistence for next time (even though handleFileSelect does it, 
-            // doing it here ensures we have the latest if something changed)
-            saveFileToStorage(filePayload);
-
-            console.log("File attached (New):", file.name);
+            filePayload = await readFilePayload(file);
+            console.log(`File attached (${file === cachedFile ? 'Cached' : 'New'}):`, file.name);
         } catch (err) {
             console.error("File processing error:", err);
-            showNotification("Failed to process file", "error");
+            showNotification(t('toast.fileFailed'), "error");
             return;
         }
-    } else if (cachedFilePayload) {
-        // Option B: Use cached file from previous session/refresh
-        filePayload = cachedFilePayload;
-        console.log("File attached (Cached):", filePayload.fileName);
     }
 
-    const payload = { ...{ name, location, technology }, ...filePayload };
+    const context = buildSearchContext(criteria, filePayload, file);
 
     // Validation: Ensure at least one criteria is provided
-    if (!name && !location && !technology && !payload.fileData) {
-        showNotification("Please enter at least one search criteria or upload a file.", "error");
+    if (!criteria.name && !criteria.location && !criteria.technology && !filePayload.fileName) {
+        showNotification(t('toast.noCriteria'), "error");
         return;
     }
 
-    console.log("Searching with payload:", payload);
-
-    // --- NEW: WEBHOOK SUBMISSION (FormData) ---
-    try {
-        const formData = new FormData();
-        formData.append('name', name);
-        formData.append('location', location);
-        formData.append('technology', technology);
-
-        if (fileInput.files.length > 0) {
-            formData.append('file', fileInput.files[0]);
-        }
+    const providers = getSelectedProviders(context);
+    if (!providers.some(provider => !provider.passive)) {
+        showNotification(t('toast.noSources'), "error");
+        return;
+    }
 
-        // Send to new webhook (silently, fire and forget)
-        fetch("https://technoedge.app.n8n.cloud/webhook-test/tels-leads", {
-            method: "POST",
-            body: formData
-        });
+    console.log("Searching with:", context, providers.map(provider => provider.id));
 
-    } catch (err) {
-        console.warn("Webhook preparation error:", err);
-    }
-    // ------------------------------------------
+    // Results to combine with, when searching several sources in turn
+    const previousResults = keepResultsToggle.checked ? currentData : [];
+    // "New" compares one run with its own previous run, so earlier results lose the flag
+    previousResults.forEach(lead => { delete lead.isNew; });
 
     // Reset UI
     resetUI();
     showLoading();
 
-    try {
-        let data = [];
-
-        // LOGIC: Use Local File if present, otherwise use Primary Webhook (legacy)
-        if (payload.fileData) {
-            // Local Search Mode
-            const fileType = payload.fileMimeType || '';
-            const isExcelOrCsv = fileType.includes('sheet') || fileType.includes('excel') || fileType.includes('csv') || payload.fileName.endsWith('.csv') || payload.fileName.endsWith('.xlsx');
+    const { received, failures, cancelled, superseded } = await runProviderSearch(providers, context, previousResults);
+    if (superseded) return;
 
-            if (isExcelOrCsv) {
-                data = await processLocalFile(payload.fileData, { name, location, technology });
-            } else {
-                data = await searchData(SHEET_WEBHOOK, payload);
-            }
-        } else {
-            // No file -> Use Primary Webhook (Vercel)
-            data = await searchData(SHEET_WEBHOOK, payload);
-        }
+    hideLoading();
+    notifyProviderFailures(failures);
 
-        hideLoading();
+    const searched = providers.filter(provider => !provider.passive);
+    if (!cancelled && !failures.length) {
+        // Remember the search and compare with its previous run; a partial run would
+        // make a poor baseline, so only complete runs are recorded
+        const earlier = new Set(previousResults);
+        await recordSearchRun(context, providers, currentData.filter(lead => !earlier.has(lead)));
+        if (received > 0) refreshResults();
+    }
 
-        if (data && data.length > 0) {
-            renderTable(data);
-        } else {
-            showNoData();
-        }
+    if (received > 0) return;
 
-    } catch (error) {
-        hideLoading();
-        console.error("Search failed:", error);
-        showNotification("An error occurred while searching.", "error");
+    if (previousResults.length) {
+        renderTable(previousResults);
+        if (!cancelled) showNotification(t('toast.noNewLeads'), "error");
+    } else if (cancelled) {
+        showNotification(t('toast.searchCancelled'), "error");
+    } else if (failures.length < searched.length) {
+        // Offer Redrob only when it was not part of this search
+        showNoData(!providers.some(provider => provider.id === 'redrob'));
     }
 }
 
@@ -188,437 +1919,7358 @@ async function handleSearch(e) {
  * Handles the secondary Redrob search
  */
 async function handleRedrobSearch() {
-    // Get values again (they are still in the form)
-    const name = document.getElementById('name').value;
-    const location = document.getElementById('location').value;
-    const technology = document.getElementById('technology').value;
+    const redrob = searchProviders.get('redrob');
+    if (!isProviderConfigured(redrob)) {
+        showNotification(t('toast.redrobNotSetUp'), "error");
+        openSettings();
+        return;
+    }
 
-    const payload = { name, location, technology };
+    // Get values again (they are still in the form)
+    const context = buildSearchContext(getSearchCriteria(), {}, null);
+    const previousResults = keepResultsToggle.checked ? currentData : [];
 
     // Update UI
     noDataSection.classList.add('hidden');
     showLoading();
 
-    try {
-        // Call the Secondary Webhook
-        const data = await searchData(REDROB_WEBHOOK, payload);
+    const { received, failures, cancelled, superseded } = await runProviderSearch([redrob], context, previousResults);
+    if (superseded) return;
 
-        hideLoading();
+    hideLoading();
+    notifyProviderFailures(failures);
 
-        if (data && data.length > 0) {
-            renderTable(data);
-        } else {
-            showNotification("No data found on Redrob either.", "error");
-            showNoData();
-            document.querySelector('.no-data-content h3').innerText = "Still no results";
-            document.querySelector('.no-data-content p').innerText = "We checked Redrob too, but found nothing.";
-            redrobSearchBtn.classList.add('hidden');
-        }
+    if (received === 0 && !failures.length && !cancelled) {
+        showNotification(t('toast.redrobNoData'), "error");
+        showNoData();
+        setTranslatedText(document.querySelector('.no-data-content h3'), 'noData.redrobTitle');
+        setTranslatedText(document.querySelector('.no-data-content p'), 'noData.redrobMessage');
+        redrobSearchBtn.classList.add('hidden');
+    }
+}
 
-    } catch (error) {
-        hideLoading();
-        console.error("Redrob search failed:", error);
+/**
+ * Reads the search criteria from the form
+ * @returns {{name: string, location: string, technology: string}}
+ */
+function getSearchCriteria() {
+    return {
+        name: document.getElementById('name').value,
+        location: document.getElementById('location').value,
+        technology: document.getElementById('technology').value
+    };
+}
 
-        if (REDROB_WEBHOOK === "YOUR_REDROB_WEBHOOK_URL_HERE") {
-            showNotification("Error: Please replace Redrob Webhook URL in script.js.", "error");
-        } else {
-            showNotification("Failed to search Redrob.", "error");
-        }
-    }
+/**
+ * Everything a provider needs to run one search
+ * @param {object} criteria - Form values
+ * @param {object} filePayload - See readFilePayload ({} when no file)
+ * @param {File|null} file - The raw upload, for multipart requests
+ * @returns {object}
+ */
+function buildSearchContext(criteria, filePayload, file) {
+    return {
+        criteria,
+        query: buildCriteriaQuery(criteria),
+        filePayload,
+        file
+    };
 }
 
+// ================= I18N =================
+
 /**
- * Generic function to POST data to a webhook
- * @param {string} url - The n8n webhook URL
- * @param {object} payload - The JSON payload
- * @returns {Promise<Array>} - The array of results
+ * Saved interface language, else the browser's if there is a catalog for it
+ * @returns {string} Key of LOCALES
  */
-async function searchData(url, payload) {
-    const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(payload)
-    });
+function loadLocale() {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES[saved]) return saved;
+    const browser = (navigator.language || '').split('-')[0].toLowerCase();
+    return LOCALES[browser] ? browser : DEFAULT_LOCALE;
+}
 
-    if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+/**
+ * @param {string} key
+ * @returns {boolean}
+ */
+function hasMessage(key) {
+    return key in MESSAGES[DEFAULT_LOCALE];
+}
+
+/**
+ * Translates a message key in the current locale, e.g. t('toast.leadsRemoved', { count: 3 }).
+ * Numbers are formatted for the locale; the result is plain text, so escape
+ * untrusted parameters before using it as HTML.
+ * @param {string} key - Key of MESSAGES
+ * @param {object} [params] - Values for the {name} placeholders; "count" also picks the plural form
+ * @returns {string}
+ */
+function t(key, params = {}) {
+    let message = MESSAGES[currentLocale][key] ?? MESSAGES[DEFAULT_LOCALE][key];
+    if (message === undefined) {
+        console.warn(`Missing message "${key}"`);
+        return key;
+    }
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(currentLocale).select(params.count ?? 0);
+        message = message[form] ?? message.other;
     }
+    return message.replace(/\{(\w+)\}/g, (match, name) => {
+        if (!(name in params)) return match;
+        const value = params[name];
+        return typeof value === 'number' ? formatNumber(value) : String(value);
+    });
+}
 
-    const data = await response.json();
-    return data;
-    // Assumes n8n returns an array of objects e.g. [{name, location, technology, email, phone}, ...]
+/**
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return value.toLocaleString(currentLocale);
 }
 
 /**
- * Renders the data into the HTML table
- * @param {Array} data 
+ * Translates the static page: data-i18n sets the text, data-i18n-html the markup
+ * (catalog text only), data-i18n-title and data-i18n-placeholder those attributes
+ * @param {ParentNode} [root]
  */
-function renderTable(data) {
-    currentData = data; // Store for export
-    resultsTableBody.innerHTML = ''; // Clear previous
-
-    data.forEach(row => {
-        const tr = document.createElement('tr');
-        tr.innerHTML = `
-            <td>${escapeHtml(row.name || '-')}</td>
-            <td>${escapeHtml(row.location || '-')}</td>
-            <td>${escapeHtml(row.technology || '-')}</td>
-            <td>${escapeHtml(row.email || '-')}</td>
-            <td>${escapeHtml(row.phone || '-')}</td>
-        `;
-        resultsTableBody.appendChild(tr);
+function applyTranslations(root = document) {
+    document.documentElement.lang = currentLocale;
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(el => {
+        el.innerHTML = t(el.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(el => {
+        el.title = t(el.dataset.i18nTitle);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+        el.placeholder = t(el.dataset.i18nPlaceholder);
     });
-
-    resultsSection.classList.remove('hidden');
-    // Scroll to results
-    resultsSection.scrollIntoView({ behavior: 'smooth' });
 }
 
 /**
- * Shows the loading spinner and state
+ * Sets an element's text from the catalog and remembers the key, so a language
+ * switch translates it again
+ * @param {HTMLElement} el
+ * @param {string} key
  */
-function showLoading() {
-    searchBtn.disabled = true;
-    searchBtn.querySelector('.btn-text').textContent = 'Searching...';
-    searchBtn.querySelector('.btn-icon').classList.add('hidden');
-    searchBtn.querySelector('.spinner').classList.remove('hidden');
+function setTranslatedText(el, key) {
+    el.dataset.i18n = key;
+    el.textContent = t(key);
+}
 
-    // Optional: Show full overlay loading state if desired, 
-    // but button state might be enough. 
-    // The requirement said "Show a 'Searching...' animation".
-    // We already have a logic for this in the button, but let's show the big one too for clarity
-    // if the previous results are hidden.
-    if (resultsSection.classList.contains('hidden')) {
-        loadingState.classList.remove('hidden');
-    }
+function renderLanguageOptions() {
+    languageSelect.innerHTML = Object.entries(LOCALES)
+        .map(([locale, name]) => `<option value="${locale}" lang="${locale}">${escapeHtml(name)}</option>`)
+        .join('');
+    languageSelect.value = currentLocale;
 }
 
 /**
- * Hides the loading spinner and state
+ * Switches the interface language and re-renders the text built in code
+ * @param {string} locale - Key of LOCALES
  */
-function hideLoading() {
-    searchBtn.disabled = false;
-    searchBtn.querySelector('.btn-text').textContent = 'Search';
-    searchBtn.querySelector('.btn-icon').classList.remove('hidden');
-    searchBtn.querySelector('.spinner').classList.add('hidden');
+function setLocale(locale) {
+    if (!LOCALES[locale]) return;
+    currentLocale = locale;
+    localStorage.setItem(LOCALE_STORAGE_KEY, locale);
 
-    loadingState.classList.add('hidden');
+    applyTranslations();
+    languageSelect.value = locale;
+    renderEncryptionStatus();
+    renderProviderOptions();
+    const exportFormat = exportFormatSelect.value;
+    renderExportFormatOptions();
+    exportFormatSelect.value = exportFormat;
+    // Chart segments are keyed by translated labels such as "Not given"
+    if (tableState.segment) {
+        tableState.segment = null;
+        updateSegmentFilterChip();
+    }
+    if (tableState.columns.length) {
+        renderTableHead();
+        refreshResults();
+    }
 }
 
 /**
- * Shows the "No Data" section with Redrob option
+ * Status of a shortlisted lead in the current language
+ * @param {string} status - One of LEAD_STATUSES
+ * @returns {string}
  */
-function showNoData() {
-    // Reset the text just in case it was changed by secondary search failure
-    document.querySelector('.no-data-content h3').innerText = "No matching leads found";
-    document.querySelector('.no-data-content p').innerText = "We couldn't find any results in our sheets or your uploaded file.";
-    redrobSearchBtn.classList.remove('hidden');
-
-    noDataSection.classList.remove('hidden');
+function getStatusLabel(status) {
+    const key = `status.${status.replace(/ /g, '_')}`;
+    return hasMessage(key) ? t(key) : status;
 }
 
 /**
- * Resets the UI (hides results, no-data, etc.)
+ * Type of an outreach event in the current language
+ * @param {string} type - One of OUTREACH_EVENT_TYPES
+ * @returns {string}
  */
-function resetUI() {
-    resultsSection.classList.add('hidden');
-    noDataSection.classList.add('hidden');
-    currentData = [];
+function getOutreachLabel(type) {
+    return hasMessage(`outreach.${type}`) ? t(`outreach.${type}`) : type;
 }
 
 /**
- * Shows a toast notification
- * @param {string} message 
- * @param {string} type - 'error' or 'success'
+ * Data quality issue in the current language; issues saved before they were keyed are kept as written
+ * @param {string} issue - Key set by applyQualityChecks
+ * @returns {string}
  */
-function showNotification(message, type = 'success') {
-    const toast = document.createElement('div');
-    toast.className = `toast ${type}`;
-    toast.innerHTML = `
-        <i class="fa-solid ${type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}"></i>
-        <span>${message}</span>
-    `;
+function getQualityIssueLabel(issue) {
+    return hasMessage(`qualityIssue.${issue}`) ? t(`qualityIssue.${issue}`) : issue;
+}
 
-    notificationContainer.appendChild(toast);
+// ================= SEARCH PROVIDERS =================
 
-    // Remove after 3 seconds
-    setTimeout(() => {
-        toast.style.opacity = '0';
-        setTimeout(() => toast.remove(), 300);
-    }, 4000);
+/**
+ * Registers a source of leads. Providers declare:
+ *  - id, label: identity and the source name stored on each lead; the name shown is the
+ *    providerName.<id> message (see getProviderLabel)
+ *  - endpoint: where requests go by default (see getProviderConfig for Settings overrides)
+ *  - authHeaders(config): the headers a request needs, from the saved token and extra headers
+ *  - buildRequest(context): the request body (JSON object or FormData)
+ *  - mapResponse(data): optional, reshapes an unusual response before normalization
+ *    (see RESPONSE NORMALIZATION for the envelopes and field names understood by default)
+ *  - search(context, signal): optional, replaces the HTTP request entirely (local file)
+ *  - sourceLabel(context): optional, overrides the label written to each lead
+ *  - isAvailable(context): whether the provider can run for this search
+ *  - timeoutMs, retries, backoffMs: default request limits (see fetchWithRetry)
+ *  - passive: the search is delivered through the submission queue and returns no leads
+ *  - defaultEnabled(context): whether it is selected before the user changes anything
+ * @param {object} provider
+ */
+function registerSearchProvider(provider) {
+    searchProviders.set(provider.id, {
+        endpoint: '',
+        authHeaders: config => ({
+            ...(config.token ? { Authorization: `Bearer ${config.token}` } : {}),
+            ...config.headers
+        }),
+        buildRequest: context => ({ ...context.criteria, query: context.query }),
+        mapResponse: data => data,
+        isAvailable: () => true,
+        timeoutMs: PROVIDER_TIMEOUT_MS,
+        retries: PROVIDER_RETRIES,
+        backoffMs: PROVIDER_RETRY_BACKOFF_MS,
+        passive: false,
+        defaultEnabled: () => true,
+        ...provider
+    });
 }
 
 /**
- * Security helper to prevent XSS
+ * Name of a provider in the current language
+ * @param {object} provider
+ * @returns {string}
  */
-function escapeHtml(text) {
-    if (text === null || text === undefined) return '';
-    return String(text)
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#039;");
+function getProviderLabel(provider) {
+    return hasMessage(`providerName.${provider.id}`) ? t(`providerName.${provider.id}`) : provider.label;
 }
 
 /**
- * Handles file selection event
+ * A lead's source in the current language. Leads keep the provider label they were tagged
+ * with (merged leads a list of them); uploaded file names are shown as written
+ * @param {string} source
+ * @returns {string}
  */
-async function handleFileSelect() {
-    if (fileInput.files.length > 0) {
-        const file = fileInput.files[0];
+function getSourceLabel(source) {
+    if (!source) return '';
+    return source.split(', ').map(name => {
+        const provider = [...searchProviders.values()].find(candidate => !candidate.sourceLabel && candidate.label === name);
+        return provider ? getProviderLabel(provider) : name;
+    }).join(', ');
+}
 
-        // Update UI
-        updateFileUI(file.name);
+registerSearchProvider({
+    id: 'sheets',
+    label: SOURCE_SHEETS,
+    endpoint: SHEET_WEBHOOK,
+    // An attached spreadsheet or PDF is searched on its own unless the user also picks Sheets
+    defaultEnabled: context => !(context.filePayload.fileName && isLocalSearchFile(context.filePayload)),
+    buildRequest: context => ({
+        ...context.criteria,
+        query: context.query,
+        // Files the browser cannot search itself are handed to the webhook
+        ...(context.filePayload.fileData ? context.filePayload : {})
+    })
+});
 
-        // Persist
+registerSearchProvider({
+    id: 'file',
+    label: 'Uploaded file',
+    sourceLabel: context => context.filePayload.fileName,
+    isAvailable: context => Boolean(context.filePayload.fileName) && isLocalSearchFile(context.filePayload),
+    search: (context, signal) => untilAborted(processLocalFile(context.filePayload, context.criteria), signal)
+});
+
+registerSearchProvider({
+    id: 'redrob',
+    label: SOURCE_REDROB,
+    endpoint: REDROB_WEBHOOK
+});
+
+registerSearchProvider({
+    id: 'n8n',
+    label: 'n8n workflow',
+    endpoint: N8N_WEBHOOK,
+    passive: true,
+    buildRequest: context => {
+        const formData = new FormData();
+        // Lets the workflow ignore a submission it already received before a retry
+        formData.append('requestId', context.requestId);
+        if (context.batch) {
+            // A batch search is sent once, with every row's criteria
+            formData.append('batch', JSON.stringify(context.batch.map(criteria => ({ ...criteria, query: buildCriteriaQuery(criteria) }))));
+        } else {
+            formData.append('name', context.criteria.name);
+            formData.append('location', context.criteria.location);
+            formData.append('technology', context.criteria.technology);
+            formData.append('query', JSON.stringify(context.query));
+        }
+
+        if (context.file) {
+            formData.append('file', context.file);
+        }
+        return formData;
+    }
+});
+
+/**
+ * A provider's endpoint, auth and limits: its built-in defaults overridden by Settings
+ * @param {object} provider
+ * @returns {{endpoint: string, token: string, headers: object, timeoutMs: number, retries: number, backoffMs: number}}
+ */
+function getProviderConfig(provider) {
+    const saved = settings.providers[provider.id] || {};
+    return {
+        endpoint: saved.endpoint !== undefined ? saved.endpoint : provider.endpoint,
+        token: saved.token || '',
+        headers: saved.headers || {},
+        timeoutMs: saved.timeoutSeconds !== undefined ? saved.timeoutSeconds * 1000 : provider.timeoutMs,
+        retries: saved.retries !== undefined ? saved.retries : provider.retries,
+        backoffMs: provider.backoffMs
+    };
+}
+
+/**
+ * Local providers are always ready; webhook providers need an endpoint
+ * @param {object} provider
+ * @returns {boolean}
+ */
+function isProviderConfigured(provider) {
+    return Boolean(provider.search || getProviderConfig(provider).endpoint);
+}
+
+/**
+ * Providers whose endpoint and auth are edited in Settings
+ * @returns {Array}
+ */
+function getConfigurableProviders() {
+    return [...searchProviders.values()].filter(provider => !provider.search);
+}
+
+/**
+ * Ids of the providers the user chose, or the defaults for this search when nothing was saved
+ * @param {object} context - See buildSearchContext
+ * @returns {Set<string>}
+ */
+function getProviderSelection(context) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVIDER_SELECTION_STORAGE_KEY));
+        if (Array.isArray(saved)) return new Set(saved);
+    } catch (e) {
+        console.warn("Could not load provider selection:", e);
+    }
+    return new Set([...searchProviders.values()].filter(provider => provider.defaultEnabled(context)).map(provider => provider.id));
+}
+
+/**
+ * Selected providers that can run for this search
+ * @param {object} context - See buildSearchContext
+ * @returns {Array}
+ */
+function getSelectedProviders(context) {
+    const selection = getProviderSelection(context);
+    return [...searchProviders.values()].filter(provider =>
+        selection.has(provider.id) && isProviderConfigured(provider) && provider.isAvailable(context));
+}
+
+/**
+ * Renders a checkbox per provider; providers that cannot run right now are disabled
+ */
+function renderProviderOptions() {
+    const context = getProviderPickerContext();
+    const selection = getProviderSelection(context);
+
+    providerOptions.innerHTML = [...searchProviders.values()].map(provider => {
+        const configured = isProviderConfigured(provider);
+        const available = configured && provider.isAvailable(context);
+        const hint = !configured ? t('provider.notSetUp') : !available ? t('provider.needsFile') : '';
+        return `
+            <label class="checkbox-label${available ? '' : ' disabled'}" title="${escapeHtml(getProviderConfig(provider).endpoint)}">
+                <input type="checkbox" value="${escapeHtml(provider.id)}"
+                    ${selection.has(provider.id) ? 'checked' : ''} ${available ? '' : 'disabled'}>
+                ${escapeHtml(getProviderLabel(provider))}
+                ${hint ? `<span class="provider-hint">${escapeHtml(hint)}</span>` : ''}
+            </label>
+        `;
+    }).join('');
+}
+
+/**
+ * Search context for showing the provider picker, from the form and the attached file.
+ * Availability only depends on the file's type, so its contents are not read here.
+ * @returns {object} See buildSearchContext
+ */
+function getProviderPickerContext() {
+    const file = fileInput.files.length > 0 ? fileInput.files[0] : cachedFile;
+    const filePayload = file ? { fileName: file.name, fileMimeType: file.type } : {};
+    return buildSearchContext(getSearchCriteria(), filePayload, file);
+}
+
+function handleProviderSelectionChange() {
+    const selection = getProviderSelection(getProviderPickerContext());
+    providerOptions.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        if (input.checked) {
+            selection.add(input.value);
+        } else {
+            selection.delete(input.value);
+        }
+    });
+    localStorage.setItem(PROVIDER_SELECTION_STORAGE_KEY, JSON.stringify([...selection]));
+}
+
+/**
+ * Queries all providers at once. Each provider's leads are added to the table as
+ * soon as they arrive, and a failing provider does not stop the others.
+ * @param {Array} providers
+ * @param {object} context - See buildSearchContext
+ * @param {Array} previousResults - Rows to keep above the new results
+ * @returns {Promise<{received: number, failures: Array, cancelled: boolean, superseded: boolean}>}
+ *   superseded: a newer search took over, which now owns the loading state and table
+ */
+async function runProviderSearch(providers, context, previousResults) {
+    // A new search replaces any search still running
+    cancelSearch();
+    const controller = new AbortController();
+    activeSearch = controller;
+
+    const searching = providers.filter(provider => !provider.passive);
+    const failures = [];
+    let received = 0;
+
+    // Remembered for the PDF report cover; combined results keep the earlier searches
+    const record = {
+        criteria: context.criteria,
+        fileName: context.file ? context.file.name : '',
+        at: new Date().toISOString(),
+        sources: []
+    };
+    reportSearches = previousResults.length ? [...reportSearches, record] : [record];
+
+    providers.filter(provider => provider.passive).forEach(provider => {
+        // The workflow does not return leads; the queue delivers it in the background
+        enqueueSubmission(provider, context).catch(error => console.error(`${provider.label} submission failed:`, error));
+        record.sources.push({ providerId: provider.id, label: provider.label, state: 'queued', count: 0 });
+    });
+
+    renderSearchStatus(searching);
+    searchStatusBar.classList.remove('hidden');
+    cancelSearchBtn.classList.remove('hidden');
+
+    await Promise.all(searching.map(async provider => {
         try {
-            const base64 = await toBase64(file);
-            const payload = {
-                fileData: base64,
-                fileName: file.name,
-                fileMimeType: file.type
-            };
-            saveFileToStorage(payload);
-        } catch (e) {
-            console.warn("Could not save file to storage (likely too big):", e);
+            const { leads, issues } = await queryProvider(provider, context, controller.signal,
+                attempt => setProviderStatus(provider, 'retrying',
+                    t('providerStatus.attempt', { attempt: attempt + 1, attempts: getProviderConfig(provider).retries + 1 })));
+            const skipped = issues.filter(issue => issue.skipped).length;
+            setProviderStatus(provider, 'done', t('common.leads', { count: leads.length })
+                + (skipped ? ` · ${t('providerStatus.skipped', { count: skipped })}` : ''));
+            notifyResponseIssues(provider, issues);
+            record.sources.push({ providerId: provider.id, label: provider.label, state: 'done', count: leads.length });
+
+            if (leads.length) {
+                if (received === 0) {
+                    // First results replace the loading state; the search button stays busy
+                    loadingState.classList.add('hidden');
+                    renderTable([...previousResults, ...leads]);
+                } else {
+                    currentData = [...currentData, ...leads];
+                    refreshResults();
+                }
+                received += leads.length;
+            }
+        } catch (error) {
+            const state = controller.signal.aborted ? 'cancelled' : error.name === 'TimeoutError' ? 'timeout' : 'failed';
+            setProviderStatus(provider, state);
+            record.sources.push({ providerId: provider.id, label: provider.label, state, count: 0 });
+            if (state !== 'cancelled') {
+                console.error(`${provider.label} search failed:`, error);
+                failures.push({ provider, state, message: error.name === 'ServerError' ? error.message : '' });
+            }
         }
+    }));
+
+    const superseded = isSuperseded(controller);
+    if (activeSearch === controller) {
+        activeSearch = null;
+        cancelSearchBtn.classList.add('hidden');
     }
+
+    return { received, failures, cancelled: controller.signal.aborted, superseded };
 }
 
 /**
- * Clears the selected file
+ * Runs one provider for a search and returns its leads tagged with their source and ranked
+ * @param {object} provider
+ * @param {object} context - See buildSearchContext
+ * @param {AbortSignal} signal
+ * @param {Function} [onRetry] - Called with the attempt number before each retry
+ * @returns {Promise<{leads: Array, issues: Array}>} issues: see normalizeLeadRows
  */
-function removeFile() {
-    fileInput.value = ''; // clear input
-    cachedFilePayload = null;
-    clearFileStorage();
+async function queryProvider(provider, context, signal, onRetry) {
+    let data;
+    let issues = [];
+    if (provider.search) {
+        data = await provider.search(context, signal);
+    } else {
+        const rows = await fetchProvider(provider, context, signal, onRetry);
+        ({ leads: data, issues } = normalizeLeadRows(rows));
+    }
+    if (signal.aborted) throw createAbortError();
 
-    // Reset UI
-    fileLabelText.textContent = "Click or Drag to Upload PDF, CSV, Excel";
-    fileNameDisplay.textContent = '';
-    fileNameDisplay.classList.add('hidden');
+    const source = provider.sourceLabel ? provider.sourceLabel(context) : provider.label;
+    return { leads: rankLeads(tagSource(data, source), context.query), issues };
+}
 
-    fileIcon.classList.remove('hidden');
-    fileSuccessIcon.classList.add('hidden');
+/**
+ * Whether a newer search has replaced this one (as opposed to the user cancelling it)
+ * @param {AbortController} controller
+ * @returns {boolean}
+ */
+function isSuperseded(controller) {
+    return activeSearch !== null && activeSearch !== controller;
+}
 
-    fileUploadWrapper.classList.remove('active');
-    removeFileBtn.classList.add('hidden');
+/**
+ * Aborts the search in progress, keeping whatever results already arrived
+ */
+function cancelSearch() {
+    if (!activeSearch) return;
+
+    activeSearch.abort();
+    activeSearch = null;
+    cancelSearchBtn.classList.add('hidden');
 }
 
 /**
- * Updates UI to show selected file
+ * Renders one status chip per provider, all pending
+ * @param {Array} providers
  */
-function updateFileUI(fileName) {
-    fileLabelText.textContent = "File Selected";
-    fileNameDisplay.textContent = fileName;
-    fileNameDisplay.classList.remove('hidden');
+function renderSearchStatus(providers) {
+    providerStatusList.innerHTML = providers.map(provider => `
+        <span class="provider-status" data-provider="${escapeHtml(provider.id)}" data-state="pending">
+            <i class="fa-solid fa-circle-notch fa-spin"></i>
+            <strong>${escapeHtml(getProviderLabel(provider))}</strong>
+            <span class="provider-status-text">${t('providerStatus.pending')}</span>
+        </span>
+    `).join('');
+}
 
-    fileIcon.classList.add('hidden');
-    fileSuccessIcon.classList.remove('hidden');
+/**
+ * @param {object} provider
+ * @param {string} state - pending, retrying, done, failed, timeout or cancelled
+ * @param {string} [detail] - e.g. "12 leads"
+ */
+function setProviderStatus(provider, state, detail) {
+    const chip = [...providerStatusList.children].find(el => el.dataset.provider === provider.id);
+    if (!chip) return;
 
-    fileUploadWrapper.classList.add('active');
-    removeFileBtn.classList.remove('hidden');
+    const icons = {
+        pending: 'fa-circle-notch fa-spin',
+        retrying: 'fa-rotate fa-spin',
+        done: 'fa-circle-check',
+        failed: 'fa-circle-xmark',
+        timeout: 'fa-clock',
+        cancelled: 'fa-ban'
+    };
+    chip.dataset.state = state;
+    chip.querySelector('i').className = `fa-solid ${icons[state]}`;
+    const label = t(`providerStatus.${state}`);
+    chip.querySelector('.provider-status-text').textContent = detail ? `${label} · ${detail}` : label;
 }
 
-// ================= STORAGE =================
+/**
+ * POSTs a provider's request to its endpoint, with the provider's timeout and retries,
+ * following pagination for up to PROVIDER_MAX_PAGES pages. Next-page links are
+ * fetched with GET, and only on the endpoint's own origin.
+ * @param {object} provider
+ * @param {object} context
+ * @param {AbortSignal} [signal] - Cancels the request
+ * @param {Function} [onRetry] - Called with the attempt number before each retry
+ * @returns {Promise<Array>} - The raw rows of every page (see normalizeLeadRows)
+ */
+async function fetchProvider(provider, context, signal, onRetry) {
+    const config = getProviderConfig(provider);
+    const rows = [];
+    const endpoint = new URL(config.endpoint, location.href);
+    let url = endpoint.href;
+    let request = buildProviderRequest(provider, context, config);
 
-function saveFileToStorage(payload) {
-    try {
-        sessionStorage.setItem('leads_file_payload', JSON.stringify(payload));
-        cachedFilePayload = payload;
-    } catch (e) {
-        console.warn("SessionStorage Error (Quota exceeded?):", e);
-        showNotification("File too large to save for refresh, but search will work.", "error");
+    for (let page = 1; page <= PROVIDER_MAX_PAGES; page++) {
+        const response = await fetchWithRetry(url, request, {
+            timeoutMs: config.timeoutMs,
+            retries: config.retries,
+            backoffMs: config.backoffMs,
+            signal,
+            onRetry
+        });
+
+        const envelope = unwrapLeadsResponse(provider.mapResponse(await readProviderResponse(response)));
+        rows.push(...envelope.rows);
+
+        if (!envelope.next || !envelope.rows.length) break;
+        if (envelope.next.url) {
+            const nextUrl = new URL(envelope.next.url, url);
+            // Never send credentials or the search body to a host the response names
+            if (nextUrl.origin !== endpoint.origin) {
+                console.warn(`${provider.label}: not following next page on another origin (${nextUrl.origin})`);
+                break;
+            }
+            url = nextUrl.href;
+            // The link carries its own cursor; only the auth headers go along
+            request = { method: 'GET', headers: provider.authHeaders(config) };
+        } else {
+            request = buildProviderRequest(provider, context, config, envelope.next.params);
+        }
+        if (page === PROVIDER_MAX_PAGES) {
+            console.warn(`${provider.label}: stopped after ${PROVIDER_MAX_PAGES} pages`);
+        }
+    }
+
+    return rows;
+}
+
+/**
+ * fetch() options for a provider's POST: its body plus JSON and auth headers
+ * @param {object} provider
+ * @param {object} context
+ * @param {object} config - See getProviderConfig
+ * @param {object} [pageParams] - Pagination fields added to the body (cursor, page)
+ * @returns {object}
+ */
+function buildProviderRequest(provider, context, config, pageParams = {}) {
+    let body = provider.buildRequest(context);
+    const isForm = body instanceof FormData;
+    if (isForm) {
+        Object.entries(pageParams).forEach(([key, value]) => body.set(key, value));
+    } else {
+        body = { ...body, ...pageParams };
+    }
+
+    return {
+        method: 'POST',
+        headers: {
+            ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+            ...provider.authHeaders(config)
+        },
+        body: isForm ? body : JSON.stringify(body)
+    };
+}
+
+/**
+ * fetch() with a per-attempt timeout and exponential backoff between retries.
+ * Timeouts, network errors and RETRYABLE_STATUSES are retried; a cancelled
+ * signal stops at once.
+ * @param {string} url
+ * @param {object} options - fetch options
+ * @param {object} limits
+ * @param {number} limits.timeoutMs
+ * @param {number} limits.retries - Attempts after the first
+ * @param {number} limits.backoffMs - Delay before the first retry, doubled after each
+ * @param {AbortSignal} [limits.signal]
+ * @param {Function} [limits.onRetry]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithRetry(url, options, { timeoutMs, retries, backoffMs, signal, onRetry }) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetchWithTimeout(url, options, timeoutMs, signal);
+            if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+                return response;
+            }
+            console.warn(`${url} returned ${response.status}, retrying`);
+        } catch (error) {
+            if ((signal && signal.aborted) || attempt >= retries) throw error;
+            console.warn(`${url} failed, retrying:`, error);
+        }
+
+        if (onRetry) onRetry(attempt + 1);
+        await delay(backoffMs * 2 ** attempt, signal);
     }
 }
 
-function loadFileFromStorage() {
+/**
+ * fetch() that gives up after timeoutMs with a TimeoutError
+ * @param {string} url
+ * @param {object} options
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Response>}
+ */
+async function fetchWithTimeout(url, options, timeoutMs, signal) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+    }, timeoutMs);
+    const forwardAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', forwardAbort);
+
     try {
-        const saved = sessionStorage.getItem('leads_file_payload');
-        if (saved) {
-            cachedFilePayload = JSON.parse(saved);
-            updateFileUI(cachedFilePayload.fileName);
-            console.log("Restored file from storage:", cachedFilePayload.fileName);
+        return await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new DOMException(t('serverError.timeout', { seconds: Math.round(timeoutMs / 1000) }), 'TimeoutError');
         }
-    } catch (e) {
-        console.error("Error loading from storage:", e);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', forwardAbort);
     }
 }
 
-function clearFileStorage() {
-    sessionStorage.removeItem('leads_file_payload');
+/**
+ * Waits for ms, or rejects early if the signal is aborted
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return untilAborted(new Promise(resolve => setTimeout(resolve, ms)), signal);
 }
 
 /**
- * Converts a file to Base64 string
- * @param {File} file 
- * @returns {Promise<string>}
+ * Rejects with an AbortError as soon as the signal aborts, otherwise settles like promise
+ * @param {Promise} promise
+ * @param {AbortSignal} [signal]
+ * @returns {Promise}
  */
-function toBase64(file) {
+function untilAborted(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(createAbortError());
+
     return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.readAsDataURL(file);
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = error => reject(error);
+        const onAbort = () => reject(createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
     });
 }
 
+function createAbortError() {
+    return new DOMException('Search cancelled', 'AbortError');
+}
+
 /**
- * Processes a local file (Excel/CSV) and filters data based on criteria
- * @param {string} base64Data 
- * @param {object} criteria {name, location, technology}
- * @returns {Promise<Array>}
+ * Tells the user which providers could not be searched, with the server's own message when it sent one
+ * @param {Array} failures - [{ provider, state, message }]
  */
-async function processLocalFile(base64Data, criteria) {
-    return new Promise((resolve, reject) => {
-        try {
-            // Parse Base64 to Workbook
-            // SheetJS can read base64 directly with type: 'base64'
-            // But our base64 string might have the data prefix "data:application/vnd...;base64,"
-            // We need to strip that.
-            const cleanBase64 = base64Data.split(',')[1] || base64Data;
-
-            const workbook = XLSX.read(cleanBase64, { type: 'base64' });
-
-            // Assume data is in the first sheet
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
-
-            // Convert to JSON
-            const jsonData = XLSX.utils.sheet_to_json(worksheet, { defval: "" }); // defval ensures empty cells are strings
-
-            // Normalize keys to lowercase for consistent search
-            // (Assumes existing headers like Name, Location, etc.)
-            // We'll try to fuzzy match headers or just assume standard ones? 
-            // Let's assume the user's file might have 'Name', 'Location' etc.
-
-            // Filter Data
-            const results = jsonData.filter(row => {
-                // Helper to safely get value from any likely key
-                const getValue = (keyPrefix) => {
-                    const key = Object.keys(row).find(k => k.toLowerCase().includes(keyPrefix));
-                    return key ? String(row[key]).toLowerCase() : "";
-                };
+function notifyProviderFailures(failures) {
+    failures.forEach(({ provider, state, message }) => {
+        if (state === 'timeout') {
+            showNotification(t('toast.providerTimeout', { provider: getProviderLabel(provider) }), "error");
+        } else if (message) {
+            showNotification(t('toast.providerError', { provider: getProviderLabel(provider), message }), "error");
+        } else {
+            showNotification(t('toast.providerFailed', { provider: getProviderLabel(provider) }), "error");
+        }
+    });
+}
 
-                const rowName = getValue('name');
-                const rowLocation = getValue('location'); // or 'city', 'country'
-                const rowTech = getValue('tech') || getValue('skill');
+// ================= BATCH SEARCH =================
+//
+// Runs a list of criteria rows (pasted or uploaded) against the sources ticked under
+// "Search In", a few rows at a time, and consolidates the leads into one result set.
 
-                // Criteria (case insensitive)
-                const searchName = (criteria.name || "").toLowerCase();
-                const searchLocation = (criteria.location || "").toLowerCase();
-                const searchTech = (criteria.technology || "").toLowerCase();
+function openBatchDialog() {
+    updateBatchRowCount();
+    batchModal.classList.remove('hidden');
+}
 
-                // Logic: MATCH inputs if they exist.
-                // If a criteria is EMPTY, it acts as a wildcard (matches anything).
-                // But at least one criteria MUST match (validated earlier).
+function closeBatchDialog() {
+    // Closing does not stop a running batch; its results still arrive in the table
+    batchModal.classList.add('hidden');
+}
 
-                const matchName = !searchName || rowName.includes(searchName);
-                const matchLocation = !searchLocation || rowLocation.includes(searchLocation);
-                const matchTech = !searchTech || rowTech.includes(searchTech);
+/**
+ * Reads criteria rows from a table of cells. A first row with a Name, Location or
+ * Technology (or Role) column is a header; otherwise columns are Technology, Location, Name.
+ * @param {Array<Array>} matrix
+ * @returns {Array<{name: string, location: string, technology: string}>}
+ */
+function parseBatchCriteria(matrix) {
+    const rows = matrix
+        .map(cells => cells.map(cell => cell === undefined || cell === null ? '' : String(cell).trim()))
+        .filter(cells => cells.some(Boolean));
+    if (!rows.length) return [];
 
-                return matchName && matchLocation && matchTech;
-            });
+    // Only exact header names count, so a data row like "Pune City" is not taken for a header
+    const headers = rows[0];
+    const fields = ['name', 'location', 'technology'];
+    const columns = {};
+    fields.forEach(field => {
+        columns[field] = headers.findIndex(header => scoreHeaderForField(header, field) >= 200);
+    });
+    if (columns.technology === -1) columns.technology = headers.findIndex(header => BATCH_ROLE_HEADER.test(header));
 
-            // Map results to standard format for renderTable
-            const mappedResults = results.map(row => {
-                // Try to resolve standard fields
-                const findVal = (keyPart) => {
-                    const key = Object.keys(row).find(k => k.toLowerCase().includes(keyPart));
-                    return row[key] || '';
-                };
+    const hasHeader = fields.some(field => columns[field] !== -1);
+    if (!hasHeader) fields.forEach(field => { columns[field] = BATCH_COLUMN_ORDER.indexOf(field); });
 
-                return {
-                    name: findVal('name'),
-                    location: findVal('location') || findVal('city'),
-                    technology: findVal('tech') || findVal('skill'),
-                    email: findVal('email') || findVal('mail'),
-                    phone: findVal('phone') || findVal('mobile') || findVal('contact')
-                };
-            });
+    return (hasHeader ? rows.slice(1) : rows)
+        .map(cells => {
+            const criteria = {};
+            fields.forEach(field => { criteria[field] = columns[field] === -1 ? '' : cells[columns[field]] || ''; });
+            return criteria;
+        })
+        .filter(criteria => criteria.name || criteria.location || criteria.technology);
+}
 
-            resolve(mappedResults);
+/**
+ * Parses the pasted list (CSV, semicolon- or tab-separated)
+ * @returns {Array} See parseBatchCriteria
+ */
+function getBatchCriteria() {
+    const text = batchCriteriaInput.value.trim();
+    if (!text) return [];
 
-        } catch (e) {
-            reject(e);
+    const workbook = XLSX.read(text, { type: 'string' });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    return parseBatchCriteria(XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '', raw: false }));
+}
+
+function updateBatchRowCount() {
+    const count = getBatchCriteria().length;
+    batchRowCount.textContent = count
+        ? t('batch.rowCount', { count }) + (count > BATCH_MAX_ROWS ? ` ${t('batch.rowLimit', { max: BATCH_MAX_ROWS })}` : '')
+        : '';
+}
+
+/**
+ * Loads a CSV or Excel list of criteria into the text box, where it can still be edited
+ */
+async function importBatchFile() {
+    const file = batchFileInput.files[0];
+    batchFileInput.value = '';
+    if (!file) return;
+
+    try {
+        const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        batchCriteriaInput.value = XLSX.utils.sheet_to_csv(sheet, { blankrows: false });
+        updateBatchRowCount();
+    } catch (e) {
+        console.error("Could not read criteria list:", e);
+        showNotification(t('toast.batchFileUnreadable'), "error");
+    }
+}
+
+/**
+ * Searches every criteria row and shows the consolidated leads, each tagged with the
+ * rows that found it
+ */
+async function runBatchSearch() {
+    const rows = getBatchCriteria();
+    if (!rows.length) return showNotification(t('toast.batchEmpty'), "error");
+    if (rows.length > BATCH_MAX_ROWS) return showNotification(t('toast.batchTooLarge', { max: BATCH_MAX_ROWS }), "error");
+
+    let filePayload = {};
+    const file = fileInput.files.length > 0 ? fileInput.files[0] : cachedFile;
+    if (file) {
+        try {
+            filePayload = await readFilePayload(file);
+        } catch (err) {
+            console.error("File processing error:", err);
+            showNotification(t('toast.fileFailed'), "error");
+            return;
         }
+    }
+
+    const providers = getSelectedProviders(buildSearchContext(rows[0], filePayload, file));
+    if (!providers.some(provider => !provider.passive)) {
+        showNotification(t('toast.noSources'), "error");
+        return;
+    }
+
+    // A batch replaces any search still running, and can be stopped like one
+    cancelSearch();
+    const controller = new AbortController();
+    activeSearch = controller;
+
+    const previousResults = keepResultsToggle.checked ? currentData : [];
+    if (!previousResults.length) reportSearches = [];
+    const consolidated = new Map();
+    let finished = 0;
+    let failedRows = 0;
+
+    // Workflows get the whole batch in one submission rather than one per row
+    const batchContext = { ...buildSearchContext({ name: '', location: '', technology: '' }, filePayload, file), batch: rows };
+    providers.filter(provider => provider.passive).forEach(provider => {
+        enqueueSubmission(provider, batchContext).catch(error => console.error(`${provider.label} submission failed:`, error));
     });
-}
 
-// ================= EXPORT FUNCTIONS =================
+    renderBatchRows(rows);
+    batchProgress.classList.remove('hidden');
+    batchRunBtn.disabled = true;
+    batchStopBtn.classList.remove('hidden');
+    updateBatchProgress(0, rows.length, 0);
 
-function downloadCSV() {
-    if (!currentData.length) return;
+    await runWithConcurrency(rows, BATCH_CONCURRENCY, async (criteria, index) => {
+        if (controller.signal.aborted) return;
 
-    // Convert data to CSV string
-    const headers = Object.keys(currentData[0]).join(','); // Assumes all objects have same keys
-    // Better safely map specific fields to ensure order
-    const fields = ['name', 'location', 'technology', 'email', 'phone'];
+        const label = `#${index + 1} ${getDefaultSearchName(criteria)}`;
+        const context = buildSearchContext(criteria, filePayload, file);
+        const record = { criteria, fileName: file ? file.name : '', at: new Date().toISOString(), sources: [] };
+        reportSearches.push(record);
+        setBatchRowState(index, 'running', t('providerStatus.pending'));
 
-    const csvRows = [];
-    csvRows.push(fields.join(',')); // Header row
+        let found = 0;
+        let failed = false;
+        await Promise.all(providers.map(async provider => {
+            if (provider.passive) {
+                record.sources.push({ providerId: provider.id, label: provider.label, state: 'queued', count: 0 });
+                return;
+            }
+            try {
+                const { leads, issues } = await queryProvider(provider, context, controller.signal);
+                record.sources.push({ providerId: provider.id, label: provider.label, state: 'done', count: leads.length });
+                if (issues.length) console.warn(`${provider.label} (${label}): ${issues.length} malformed rows`, issues);
+                leads.forEach(lead => addBatchLead(consolidated, lead, label));
+                found += leads.length;
+            } catch (error) {
+                const state = controller.signal.aborted ? 'cancelled' : error.name === 'TimeoutError' ? 'timeout' : 'failed';
+                record.sources.push({ providerId: provider.id, label: provider.label, state, count: 0 });
+                if (state !== 'cancelled') {
+                    console.error(`${provider.label} search failed for ${label}:`, error);
+                    failed = true;
+                }
+            }
+        }));
 
-    for (const row of currentData) {
-        const values = fields.map(field => {
-            const val = row[field] || '';
-            // Escape quotes and wrap in quotes to handle commas in data
-            return `"${String(val).replace(/"/g, '""')}"`;
-        });
-        csvRows.push(values.join(','));
+        if (failed) failedRows++;
+        if (controller.signal.aborted) {
+            setBatchRowState(index, 'cancelled', t('providerStatus.cancelled'));
+            return;
+        }
+        finished++;
+        setBatchRowState(index, failed ? 'failed' : 'done',
+            t('common.leads', { count: found }) + (failed ? ` · ${t('batch.sourceFailed')}` : ''));
+        updateBatchProgress(finished, rows.length, consolidated.size);
+    });
+
+    const cancelled = controller.signal.aborted;
+    batchRunBtn.disabled = false;
+    batchStopBtn.classList.add('hidden');
+    // Another search or batch has taken over the table
+    if (isSuperseded(controller)) return;
+    if (activeSearch === controller) activeSearch = null;
+
+    const leads = [...consolidated.values()].sort((a, b) => (b.score || 0) - (a.score || 0));
+    if (leads.length) {
+        noDataSection.classList.add('hidden');
+        renderTable([...previousResults, ...leads]);
+        closeBatchDialog();
     }
 
-    const csvString = csvRows.join('\n');
-    const blob = new Blob([csvString], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
+    const summary = t('batch.summary', { finished, total: rows.length, count: leads.length });
+    if (cancelled) {
+        showNotification(t('toast.batchStopped', { summary }), "error");
+    } else if (failedRows) {
+        showNotification(t('toast.batchRowsFailed', { summary, count: failedRows }), "error");
+    } else {
+        showNotification(t('toast.batchFinished', { summary }), leads.length ? "success" : "error");
+    }
+}
 
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `leads_export_${new Date().toISOString().slice(0, 10)}.csv`;
-    a.click();
-    window.URL.revokeObjectURL(url);
-    showNotification("CSV Downloaded");
+/**
+ * Adds a lead to the batch results. The same person from the same source found by
+ * several rows is kept once, listing every matching row.
+ * @param {Map} consolidated - source + lead key -> lead
+ * @param {object} lead
+ * @param {string} label - Criteria row label ("#3 React · Pune")
+ */
+function addBatchLead(consolidated, lead, label) {
+    const key = `${lead.source}|${getLeadKey(lead)}`;
+    const existing = consolidated.get(key);
+    if (!existing) {
+        lead.batchCriteria = [label];
+        consolidated.set(key, lead);
+        return;
+    }
+    if (!existing.batchCriteria.includes(label)) existing.batchCriteria.push(label);
+    existing.score = Math.max(existing.score || 0, lead.score || 0);
 }
 
-function downloadExcel() {
-    if (!currentData.length) return;
+/**
+ * Calls worker for every item, with at most `limit` calls running at once
+ * @param {Array} items
+ * @param {number} limit
+ * @param {function(*, number): Promise} worker - Receives the item and its index
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let next = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+}
 
-    // Use SheetJS (XLSX)
-    const worksheet = XLSX.utils.json_to_sheet(currentData);
-    const workbook = XLSX.utils.book_new();
-    XLSX.utils.book_append_sheet(workbook, worksheet, "Leads");
+/**
+ * @param {Array} rows - Criteria rows
+ */
+function renderBatchRows(rows) {
+    batchRowList.innerHTML = rows.map((criteria, index) => `
+        <li class="batch-row" data-state="pending">
+            <span class="batch-row-label">#${index + 1} ${escapeHtml(describeCriteria(criteria))}</span>
+            <span class="batch-row-status">${t('batch.waiting')}</span>
+        </li>
+    `).join('');
+}
 
-    XLSX.writeFile(workbook, `leads_export_${new Date().toISOString().slice(0, 10)}.xlsx`);
-    showNotification("Excel Downloaded");
+/**
+ * @param {number} index
+ * @param {string} state - pending, running, done, failed or cancelled
+ * @param {string} text
+ */
+function setBatchRowState(index, state, text) {
+    const item = batchRowList.children[index];
+    if (!item) return;
+    item.dataset.state = state;
+    item.querySelector('.batch-row-status').textContent = text;
 }
 
-function downloadPDF() {
-    if (!currentData.length) return;
+function updateBatchProgress(finished, total, leadCount) {
+    batchProgressBar.max = total;
+    batchProgressBar.value = finished;
+    batchProgressText.textContent = t('batch.progress', { finished, total, count: leadCount });
+}
 
-    // Use jsPDF + AutoTable
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF();
+// ================= RESPONSE NORMALIZATION =================
+//
+// Webhooks answer in many shapes. All of these are understood:
+//   [ {...}, ... ]                               bare list
+//   { data: [...] }, { results: [...] }, ...     wrapped (see RESPONSE_LIST_KEYS), also nested once
+//   { data: [...], next: "https://..." }         paginated by URL, cursor or page number
+//   { error: "..." }, { success: false, message } server errors, reported to the user
+// Row keys are matched to lead fields with the same hints as spreadsheet headers,
+// so "Full Name", "fullName", "city" or "skills" all work.
+
+/**
+ * Reads a response body, turning HTTP errors and error envelopes into ServerErrors
+ * @param {Response} response
+ * @returns {Promise<any>} The parsed JSON (null for an empty body)
+ */
+async function readProviderResponse(response) {
+    const text = await response.text();
+    let data = null;
+    if (text.trim()) {
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            if (response.ok) throw createServerError(t('serverError.notJson'));
+        }
+    }
 
-    doc.text("Leads Search Results", 14, 20);
+    const message = getServerErrorMessage(data);
+    if (!response.ok) {
+        // Plain-text error bodies are shown too, but not HTML error pages
+        const detail = message || (data === null && !text.trim().startsWith('<') ? text.trim().slice(0, 200) : '');
+        throw createServerError(t('serverError.http', { detail: detail || t('serverError.requestFailed'), status: response.status }));
+    }
+    if (message) throw createServerError(message);
 
-    const tableData = currentData.map(row => [
-        row.name,
-        row.location,
-        row.technology,
-        row.email,
-        row.phone
-    ]);
+    return data;
+}
 
-    doc.autoTable({
-        head: [['Name', 'Location', 'Technology', 'Email', 'Phone']],
-        body: tableData,
-        startY: 30,
-    });
+/**
+ * Finds an error message in a response envelope
+ * @param {*} data
+ * @returns {string} '' when the response is not an error
+ */
+function getServerErrorMessage(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return '';
 
-    doc.save(`leads_export_${new Date().toISOString().slice(0, 10)}.pdf`);
-    showNotification("PDF Downloaded");
+    if (data.error) {
+        return typeof data.error === 'string' ? data.error : String(data.error.message || JSON.stringify(data.error));
+    }
+    if (Array.isArray(data.errors) && data.errors.length) {
+        return data.errors.map(error => (typeof error === 'string' ? error : error.message || JSON.stringify(error))).join('; ');
+    }
+    if (data.success === false || data.ok === false || data.status === 'error') {
+        return String(data.message || t('serverError.reported'));
+    }
+    return '';
 }
 
+/**
+ * @param {string} message
+ * @returns {Error}
+ */
+function createServerError(message) {
+    const error = new Error(message);
+    error.name = 'ServerError';
+    return error;
+}
 
+/**
+ * Finds the list of rows in a response and where the next page is, if any
+ * @param {*} data
+ * @returns {{rows: Array, next: ({url: string}|{params: object}|null)}}
+ */
+function unwrapLeadsResponse(data) {
+    if (data === null || data === undefined) return { rows: [], next: null };
+    if (Array.isArray(data)) return { rows: data, next: null };
+    if (typeof data !== 'object') throw createServerError(t('serverError.noLeadList'));
+
+    for (const key of RESPONSE_LIST_KEYS) {
+        const value = data[key];
+        if (Array.isArray(value)) return { rows: value, next: getNextPage(data) };
+
+        // One level of nesting: { data: { items: [...], next_cursor: ... } }
+        if (value && typeof value === 'object' && RESPONSE_LIST_KEYS.some(inner => Array.isArray(value[inner]))) {
+            const inner = unwrapLeadsResponse(value);
+            return { rows: inner.rows, next: getNextPage(value) || getNextPage(data) };
+        }
+    }
+
+    // A single lead on its own
+    const mapping = suggestColumnMapping(Object.keys(data).map(humanizeKey));
+    if (mapping.name || mapping.email || mapping.phone) {
+        return { rows: [data], next: null };
+    }
+
+    throw createServerError(t('serverError.noLeadList'));
+}
+
+/**
+ * Reads pagination hints from an envelope
+ * @param {object} data
+ * @returns {({url: string}|{params: object}|null)}
+ */
+function getNextPage(data) {
+    const meta = data.meta || data.pagination || data.paging || {};
+    const links = data.links || {};
+
+    const url = [data.next, data.next_page_url, data.nextPageUrl, links.next, meta.next]
+        .find(value => typeof value === 'string' && value);
+    if (url) return { url };
+
+    const cursor = [data.nextCursor, data.next_cursor, meta.nextCursor, meta.next_cursor].find(Boolean);
+    if (cursor) return { params: { cursor } };
+
+    const page = Number(data.page || meta.page || meta.current_page);
+    const totalPages = Number(data.totalPages || data.total_pages || meta.totalPages || meta.total_pages || meta.last_page);
+    if (page && totalPages && page < totalPages) return { params: { page: page + 1 } };
+
+    return null;
+}
+
+/**
+ * Turns an API key into header-like words ("fullName" -> "full Name", "e_mail" -> "e mail")
+ * @param {string} key
+ * @returns {string}
+ */
+function humanizeKey(key) {
+    return String(key).replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_.-]+/g, ' ');
+}
+
+/**
+ * Flattens a response value to display text (lists and nested objects become comma-separated)
+ * @param {*} value
+ * @returns {string}
+ */
+function toLeadText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(toLeadText).filter(Boolean).join(', ');
+    if (typeof value === 'object') return Object.values(value).map(toLeadText).filter(Boolean).join(', ');
+    return String(value).trim();
+}
+
+/**
+ * Matches a row's keys to lead fields, like spreadsheet headers (see suggestColumnMapping).
+ * Separate first and last name keys together make up the name.
+ * @param {string[]} keys
+ * @returns {object} { field: key | [firstNameKey, lastNameKey] | '' }
+ */
+function getResponseKeyMapping(keys) {
+    const byLabel = new Map(keys.map(key => [humanizeKey(key), key]));
+    const firstNameKey = keys.find(key => normalizeHeader(humanizeKey(key)) === 'first name');
+    const lastNameKey = keys.find(key => ['last name', 'surname'].includes(normalizeHeader(humanizeKey(key))));
+
+    const suggested = suggestColumnMapping([...byLabel.keys()]);
+    const mapping = {};
+    LEAD_FIELDS.forEach(field => { mapping[field] = byLabel.get(suggested[field]) || ''; });
+
+    // "First name" alone would otherwise be taken as the whole name
+    const hasFullName = mapping.name && mapping.name !== firstNameKey;
+    if (firstNameKey && lastNameKey && !hasFullName) mapping.name = [firstNameKey, lastNameKey];
+    return mapping;
+}
+
+/**
+ * Maps raw response rows onto lead fields and checks them against the lead schema.
+ * Rows that are not objects or have no name, email or phone are skipped; rows with a
+ * malformed email or phone are kept and reported.
+ * @param {Array} rows
+ * @returns {{leads: Array, issues: Array<{row: number, problem: string, skipped: boolean}>}}
+ */
+function normalizeLeadRows(rows) {
+    const leads = [];
+    const issues = [];
+    // Rows usually share one shape, so mappings are worked out once per set of keys
+    const mappings = new Map();
+    const emailPattern = new RegExp(`^${PDF_EMAIL_PATTERN.source}$`, 'i');
+
+    rows.forEach((row, index) => {
+        if (!row || typeof row !== 'object' || Array.isArray(row)) {
+            issues.push({ row: index + 1, problem: 'not an object', skipped: true });
+            return;
+        }
+
+        const keys = Object.keys(row);
+        const signature = getHeaderSignature(keys);
+        if (!mappings.has(signature)) mappings.set(signature, getResponseKeyMapping(keys));
+        const mapping = mappings.get(signature);
+
+        const lead = {};
+        LEAD_FIELDS.forEach(field => {
+            const key = mapping[field];
+            lead[field] = Array.isArray(key)
+                ? key.map(part => toLeadText(row[part])).filter(Boolean).join(' ')
+                : key ? toLeadText(row[key]) : '';
+        });
+
+        // Provenance and labels the webhook may already send
+        if (typeof row.source === 'string' && row.source) lead.source = row.source;
+        if (Array.isArray(row.tags)) lead.tags = row.tags.map(String);
+
+        // Anything else the webhook sent is kept for exports
+        const mappedKeys = new Set([...Object.values(mapping).flat(), 'source', 'tags']);
+        const extra = {};
+        keys.forEach(key => {
+            const value = toLeadText(row[key]);
+            if (!mappedKeys.has(key) && value) extra[key] = value;
+        });
+        if (Object.keys(extra).length) lead.extra = extra;
+
+        if (!lead.name && !lead.email && !lead.phone) {
+            issues.push({ row: index + 1, problem: 'no name, email or phone', skipped: true });
+            return;
+        }
+        if (lead.email && !emailPattern.test(lead.email)) {
+            issues.push({ row: index + 1, problem: `invalid email "${lead.email}"`, skipped: false });
+        }
+        if (lead.phone && lead.phone.replace(/\D/g, '').length < LEAD_MIN_PHONE_DIGITS) {
+            issues.push({ row: index + 1, problem: `invalid phone "${lead.phone}"`, skipped: false });
+        }
+        leads.push(lead);
+    });
+
+    return { leads, issues };
+}
+
+/**
+ * Summarizes malformed rows in a toast; the full list goes to the console
+ * @param {object} provider
+ * @param {Array} issues - See normalizeLeadRows
+ */
+function notifyResponseIssues(provider, issues) {
+    if (!issues.length) return;
+
+    console.warn(`${provider.label} returned malformed rows:`, issues);
+    const skipped = issues.filter(issue => issue.skipped).length;
+    const flagged = new Set(issues.filter(issue => !issue.skipped).map(issue => issue.row)).size;
+    const parts = [];
+    if (skipped) parts.push(t('toast.rowsSkipped', { count: skipped }));
+    if (flagged) parts.push(t('toast.rowsInvalid', { count: flagged }));
+    showNotification(t('toast.responseIssues', { provider: getProviderLabel(provider), issues: parts.join(', ') }), "error");
+}
+
+/**
+ * Labels each result with where it came from, keeping any source the webhook already set
+ * @param {Array} leads
+ * @param {string} source
+ * @returns {Array}
+ */
+function tagSource(leads, source) {
+    if (!Array.isArray(leads)) return leads;
+    leads.forEach(lead => {
+        if (!lead.source) lead.source = source;
+    });
+    return leads;
+}
+
+/**
+ * Renders the data into the HTML table
+ * @param {Array} data 
+ */
+function renderTable(data) {
+    currentData = data; // Store for export
+    tableState.page = 1;
+
+    refreshResults();
+
+    resultsSection.classList.remove('hidden');
+    // Scroll to results
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Re-renders after currentData changed in place (merge, remove, tag),
+ * keeping the current page, sort and filters
+ */
+function refreshResults() {
+    // Every row gets an id so selections survive sorting, paging and merges
+    currentData.forEach(lead => {
+        if (!lead._id) {
+            lead._id = nextLeadId++;
+            lead.workspaceKey = getLeadKey(lead);
+            applyLeadActivity(lead);
+        }
+        if (lead.quality === undefined) applyQualityChecks(lead);
+    });
+
+    // Forget selections of rows that no longer exist
+    const ids = new Set(currentData.map(lead => lead._id));
+    selectedLeadIds.forEach(id => {
+        if (!ids.has(id)) selectedLeadIds.delete(id);
+    });
+
+    // Look for the same person arriving from several sources or rows
+    updateDuplicateGroups();
+    updateDuplicateBanner();
+    updateSearchDiffBanner();
+    if (!analyticsPanel.classList.contains('hidden')) renderAnalytics();
+
+    // Columns depend on the data; filters on columns that went away are dropped
+    const columns = getTableColumns(currentData);
+    const columnsChanged = columns.join() !== tableState.columns.join();
+    tableState.columns = columns;
+    if (columnsChanged) {
+        Object.keys(tableState.filters).forEach(field => {
+            if (!columns.includes(field)) delete tableState.filters[field];
+        });
+        renderTableHead();
+    }
+
+    refreshTable();
+}
+
+/**
+ * Columns to show for a result set
+ * @param {Array} data
+ * @returns {string[]}
+ */
+function getTableColumns(data) {
+    const columns = [...LEAD_FIELDS];
+    // Sheet column only when results came from a multi-sheet workbook
+    if (data.some(row => row.sheet)) columns.push('sheet');
+    if (data.some(row => typeof row.score === 'number')) columns.push('score');
+    if (data.some(row => typeof row.quality === 'number')) columns.push('quality');
+    // Show which provider or uploaded file each row came from
+    if (data.some(row => row.source)) columns.push('source');
+    // Which criteria rows of a batch search found each lead
+    if (data.some(row => row.batchCriteria)) columns.push('batchCriteria');
+    if (data.some(row => row.tags && row.tags.length)) columns.push('tags');
+    return columns;
+}
+
+/**
+ * Renders the header row (sortable) and the per-column filter row
+ */
+function renderTableHead() {
+    resultsTableHead.innerHTML = `
+        <tr>
+            <th class="select-cell">
+                <input type="checkbox" id="selectAllRows" title="${t('table.selectAll')}">
+            </th>
+            ${tableState.columns.map(field => `
+                <th>
+                    <button type="button" class="sort-btn" data-sort="${field}">
+                        ${escapeHtml(getFieldLabel(field))}
+                        <i class="fa-solid fa-sort sort-icon"></i>
+                    </button>
+                </th>`).join('')}
+        </tr>
+        <tr class="filter-row">
+            <th></th>
+            ${tableState.columns.map(field => `
+                <th>
+                    ${field === 'score' ? '' : `<input type="text" class="column-filter" data-filter="${field}"
+                        placeholder="${t('table.filter')}" value="${escapeHtml(tableState.filters[field] || '')}">`}
+                </th>`).join('')}
+        </tr>
+    `;
+    updateSortIndicators();
+}
+
+function updateSortIndicators() {
+    resultsTableHead.querySelectorAll('.sort-btn').forEach(button => {
+        const active = button.dataset.sort === tableState.sortField;
+        const icon = button.querySelector('.sort-icon');
+        button.classList.toggle('active', active);
+        icon.className = `fa-solid sort-icon ${!active ? 'fa-sort' : tableState.sortDirection === 'asc' ? 'fa-sort-up' : 'fa-sort-down'}`;
+    });
+}
+
+/**
+ * Cycles a column through ascending, descending and unsorted
+ * @param {Event} e
+ */
+function handleTableHeaderClick(e) {
+    const button = e.target.closest('.sort-btn');
+    if (!button) return;
+
+    const field = button.dataset.sort;
+    if (tableState.sortField !== field) {
+        tableState.sortField = field;
+        // Best matches first is the useful default for relevance
+        tableState.sortDirection = field === 'score' ? 'desc' : 'asc';
+    } else if (tableState.sortDirection === (field === 'score' ? 'desc' : 'asc')) {
+        tableState.sortDirection = field === 'score' ? 'asc' : 'desc';
+    } else {
+        tableState.sortField = null;
+    }
+
+    updateSortIndicators();
+    refreshTable();
+}
+
+/**
+ * @param {Event} e
+ */
+function handleColumnFilterInput(e) {
+    const input = e.target.closest('.column-filter');
+    if (!input) return;
+
+    tableState.filters[input.dataset.filter] = input.value;
+    scheduleTableRefresh();
+}
+
+/**
+ * Re-filters shortly after typing stops, so large result sets stay responsive
+ */
+function scheduleTableRefresh() {
+    clearTimeout(tableFilterTimer);
+    tableFilterTimer = setTimeout(() => {
+        tableState.page = 1;
+        refreshTable();
+    }, 150);
+}
+
+/**
+ * Results after the quick filter, column filters and sort are applied
+ * @returns {Array}
+ */
+function getFilteredData() {
+    const quick = foldText(tableState.quickFilter.trim());
+    const filters = Object.entries(tableState.filters)
+        .map(([field, value]) => [field, foldText(value.trim())])
+        .filter(([, value]) => value);
+
+    let rows = tableState.onlyNew ? currentData.filter(row => row.isNew) : currentData;
+    if (tableState.segment) rows = rows.filter(row => matchesAnalyticsSegment(row, tableState.segment));
+    if (quick || filters.length) {
+        rows = rows.filter(row => {
+            if (quick && !tableState.columns.some(field => getFoldedCell(row, field).includes(quick))) {
+                return false;
+            }
+            return filters.every(([field, value]) => getFoldedCell(row, field).includes(value));
+        });
+    }
+
+    if (tableState.sortField) {
+        const field = tableState.sortField;
+        const direction = tableState.sortDirection === 'asc' ? 1 : -1;
+        rows = [...rows].sort((a, b) => {
+            const numeric = field === 'score' || field === 'quality';
+            const x = numeric ? a[field] : formatFieldValue(a, field);
+            const y = numeric ? b[field] : formatFieldValue(b, field);
+            // Blanks always sink to the bottom
+            const xBlank = x === undefined || x === null || x === '';
+            const yBlank = y === undefined || y === null || y === '';
+            if (xBlank || yBlank) return xBlank - yBlank;
+            if (typeof x === 'number' && typeof y === 'number') return (x - y) * direction;
+            return String(x).localeCompare(String(y), currentLocale, { numeric: true, sensitivity: 'base' }) * direction;
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * Renders the current page of filtered results, the pager and the row count summary
+ */
+function refreshTable() {
+    const rows = getFilteredData();
+    const pageCount = Math.max(1, Math.ceil(rows.length / tableState.pageSize));
+    tableState.page = Math.min(Math.max(tableState.page, 1), pageCount);
+
+    const start = (tableState.page - 1) * tableState.pageSize;
+    const pageRows = rows.slice(start, start + tableState.pageSize);
+
+    resultsTableBody.innerHTML = pageRows.map(row => `
+        <tr class="${selectedLeadIds.has(row._id) ? 'selected' : ''}" data-id="${row._id}" title="${t('table.rowTitle')}">
+            <td class="select-cell">
+                <input type="checkbox" data-id="${row._id}" ${selectedLeadIds.has(row._id) ? 'checked' : ''}>
+            </td>
+            ${tableState.columns.map(field => `<td>${renderCell(row, field)}</td>`).join('')}
+        </tr>
+    `).join('') || `<tr><td class="empty-cell" colspan="${tableState.columns.length + 1}">${t('results.noMatches')}</td></tr>`;
+
+    const end = Math.min(start + tableState.pageSize, rows.length);
+    const range = rows.length ? `${formatNumber(start + 1)}–${formatNumber(end)}` : '0';
+    resultsSummary.textContent = rows.length === currentData.length
+        ? t('results.summary', { range, count: rows.length })
+        : t('results.summaryFiltered', { range, count: rows.length, total: currentData.length });
+
+    pageIndicator.textContent = t('pager.indicator', { page: tableState.page, pages: pageCount });
+    prevPageBtn.disabled = tableState.page <= 1;
+    nextPageBtn.disabled = tableState.page >= pageCount;
+
+    updateSelectionUI(rows);
+}
+
+/**
+ * @param {number} page
+ */
+function goToPage(page) {
+    tableState.page = page;
+    refreshTable();
+}
+
+/**
+ * Renders one table cell's HTML
+ * @param {object} row
+ * @param {string} field
+ * @returns {string}
+ */
+function renderCell(row, field) {
+    if (CONTACT_FIELDS.includes(field) && row[field] && isContactMasked(row)) return renderMaskedContact(row, field);
+    if (field === 'score') return formatScore(row.score);
+    if (field === 'quality') return formatQuality(row);
+    if (field === 'technology' && row.technologies && row.technologies.length) {
+        return row.technologies.map(tech => `<span class="tech-chip">${escapeHtml(tech)}</span>`).join('');
+    }
+    if (field === 'name' && row.isNew) {
+        return `${escapeHtml(row.name || '-')} <span class="new-badge" title="${t('table.newTitle')}">${t('table.new')}</span>`;
+    }
+    if (field === 'source' && row.mergedFrom) {
+        return `${escapeHtml(getSourceLabel(row.source) || '-')} <span class="merged-badge" title="${escapeHtml(formatMergedFrom(row.mergedFrom))}">${t('table.merged')}</span>`;
+    }
+    if (field === 'source') return escapeHtml(getSourceLabel(row.source) || '-');
+    if (field === 'tags') {
+        return (row.tags || []).map(tag => `
+            <span class="tag-chip">${escapeHtml(tag)}<button type="button" data-remove-tag="${escapeHtml(tag)}" data-id="${row._id}" title="${t('table.removeTag')}">&times;</button></span>
+        `).join('') || '-';
+    }
+    return escapeHtml(row[field] || '-');
+}
+
+/**
+ * Plain-text value of a result field, as filtered, sorted and exported
+ * @param {object} row
+ * @param {string} field
+ * @returns {string}
+ */
+function formatFieldValue(row, field) {
+    if (field === 'quality' && typeof row.quality === 'number') {
+        return `${t(`quality.${getQualityLevel(row.quality)}`)} (${row.quality})`;
+    }
+    if (field === 'events') return (row.events || []).map(formatLeadEvent).join('; ');
+    if (field === 'source') return getSourceLabel(row.source);
+    if (field === 'mergedFrom') return row.mergedFrom ? formatMergedFrom(row.mergedFrom) : '';
+    const value = isExtraField(field) ? (row.extra || {})[getExtraHeader(field)] : row[field];
+    if (Array.isArray(value)) return value.join(', ');
+    return value === undefined || value === null ? '' : String(value);
+}
+
+/**
+ * A cell's text folded for filtering (see foldText), cached per lead so filter
+ * keystrokes don't fold every cell again
+ * @param {object} row
+ * @param {string} field
+ * @returns {string}
+ */
+function getFoldedCell(row, field) {
+    const text = formatFieldValue(row, field);
+    let cells = foldedCellCache.get(row);
+    if (!cells) {
+        cells = new Map();
+        foldedCellCache.set(row, cells);
+    }
+    const cached = cells.get(field);
+    if (cached && cached.text === text) return cached.folded;
+
+    const folded = foldText(text);
+    cells.set(field, { text, folded });
+    return folded;
+}
+
+/**
+ * Column label for a result or extra source field
+ * @param {string} field
+ * @returns {string}
+ */
+function getFieldLabel(field) {
+    if (isExtraField(field)) return getExtraHeader(field);
+    return hasMessage(`field.${field}`) ? t(`field.${field}`) : field;
+}
+
+function isExtraField(field) {
+    return field.startsWith(EXTRA_FIELD_PREFIX);
+}
+
+function getExtraHeader(field) {
+    return field.slice(EXTRA_FIELD_PREFIX.length);
+}
+
+/**
+ * Extra source columns present in the rows, in first-seen order
+ * @param {Array} rows
+ * @returns {string[]} Fields such as "extra:Company"
+ */
+function getExtraFields(rows) {
+    const headers = new Set();
+    rows.forEach(row => Object.keys(row.extra || {}).forEach(header => headers.add(header)));
+    return [...headers].map(header => EXTRA_FIELD_PREFIX + header);
+}
+
+// ================= ROW SELECTION & BULK ACTIONS =================
+
+/**
+ * Syncs the select-all checkbox, bulk action bar and "Export selected" option
+ * @param {Array} filteredRows - Rows currently passing the table filters
+ */
+function updateSelectionUI(filteredRows = getFilteredData()) {
+    const count = selectedLeadIds.size;
+    const selectAll = document.getElementById('selectAllRows');
+    if (selectAll) {
+        const selectedVisible = filteredRows.filter(row => selectedLeadIds.has(row._id)).length;
+        selectAll.checked = filteredRows.length > 0 && selectedVisible === filteredRows.length;
+        selectAll.indeterminate = selectedVisible > 0 && selectedVisible < filteredRows.length;
+    }
+
+    bulkActionBar.classList.toggle('hidden', !count);
+    selectionCount.textContent = t('bulk.selected', { count });
+
+    exportSelectedOption.disabled = !count;
+    exportSelectedOption.textContent = count ? t('results.exportSelectedCount', { count }) : t('results.exportSelected');
+    if (!count && exportScopeSelect.value === 'selected') exportScopeSelect.value = 'all';
+}
+
+/**
+ * @returns {Array} Selected leads, in result order
+ */
+function getSelectedLeads() {
+    return currentData.filter(lead => selectedLeadIds.has(lead._id));
+}
+
+/**
+ * Ticks or clears every row that passes the current filters (all pages)
+ * @param {Event} e
+ */
+function handleSelectAllChange(e) {
+    if (e.target.id !== 'selectAllRows') return;
+
+    const rows = getFilteredData();
+    rows.forEach(row => {
+        if (e.target.checked) selectedLeadIds.add(row._id);
+        else selectedLeadIds.delete(row._id);
+    });
+
+    // Selecting rows is usually a step towards exporting just those
+    if (e.target.checked && rows.length) exportScopeSelect.value = 'selected';
+    refreshTable();
+}
+
+/**
+ * @param {Event} e
+ */
+function handleRowSelectChange(e) {
+    const checkbox = e.target.closest('input[type="checkbox"][data-id]');
+    if (!checkbox) return;
+
+    const id = Number(checkbox.dataset.id);
+    const wasEmpty = !selectedLeadIds.size;
+    if (checkbox.checked) selectedLeadIds.add(id);
+    else selectedLeadIds.delete(id);
+
+    checkbox.closest('tr').classList.toggle('selected', checkbox.checked);
+    updateSelectionUI();
+    if (wasEmpty && selectedLeadIds.size) exportScopeSelect.value = 'selected';
+}
+
+function clearSelection() {
+    selectedLeadIds.clear();
+    refreshTable();
+}
+
+/**
+ * Copies the selected leads' email addresses (one per line, duplicates removed)
+ */
+async function copySelectedEmails() {
+    const emails = Array.from(new Set(getSelectedLeads().map(lead => String(lead.email || '').trim()).filter(Boolean)));
+    if (!emails.length) {
+        showNotification(t('toast.noEmails'), "error");
+        return;
+    }
+
+    try {
+        await copyToClipboard(emails.join('\n'));
+        logAudit('copy', getSelectedLeads(), t('audit.emails'));
+        showNotification(t('toast.emailsCopied', { count: emails.length }));
+    } catch (err) {
+        console.error("Clipboard error:", err);
+        showNotification(t('toast.copyFailed'), "error");
+    }
+}
+
+/**
+ * Writes text to the clipboard, falling back to a hidden textarea where the
+ * async Clipboard API is unavailable (e.g. non-HTTPS pages)
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+async function copyToClipboard(text) {
+    if (navigator.clipboard && window.isSecureContext) {
+        return navigator.clipboard.writeText(text);
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+    const copied = document.execCommand('copy');
+    textarea.remove();
+    if (!copied) throw new Error('Copy command was rejected');
+}
+
+/**
+ * Removes the selected rows from the results
+ */
+function removeSelectedLeads() {
+    const count = selectedLeadIds.size;
+    currentData = currentData.filter(lead => !selectedLeadIds.has(lead._id));
+    selectedLeadIds.clear();
+
+    if (!currentData.length) {
+        resetUI();
+    } else {
+        refreshResults();
+    }
+    showNotification(t('toast.leadsRemoved', { count }));
+}
+
+/**
+ * Adds the tag typed in the bulk bar to every selected row
+ */
+function tagSelectedLeads() {
+    const tag = tagInput.value.trim().toLowerCase();
+    if (!tag) {
+        showNotification(t('toast.tagMissing'), "error");
+        return;
+    }
+
+    const leads = getSelectedLeads();
+    leads.forEach(lead => {
+        lead.tags = lead.tags || [];
+        if (!lead.tags.includes(tag)) lead.tags.push(tag);
+    });
+
+    // Offer the new tag next time
+    if (!Array.from(tagOptions.options).some(option => option.value === tag)) {
+        const option = document.createElement('option');
+        option.value = tag;
+        tagOptions.appendChild(option);
+    }
+
+    tagInput.value = '';
+    refreshResults();
+    showNotification(t('toast.leadsTagged', { count: leads.length, tag }));
+}
+
+/**
+ * Removes one tag from one row (the × on a tag chip)
+ * @param {Event} e
+ */
+function handleTagRemoveClick(e) {
+    const button = e.target.closest('button[data-remove-tag]');
+    if (!button) return;
+
+    const lead = currentData.find(row => row._id === Number(button.dataset.id));
+    if (!lead) return;
+
+    lead.tags = (lead.tags || []).filter(tag => tag !== button.dataset.removeTag);
+    refreshResults();
+}
+
+/**
+ * Formats a relevance score for display (0.75 -> "75%")
+ * @param {number} score
+ * @returns {string}
+ */
+function formatScore(score) {
+    return typeof score === 'number' ? `<span class="score-badge">${Math.round(score * 100)}%</span>` : '-';
+}
+
+/**
+ * Shows the loading spinner and state
+ */
+function showLoading() {
+    searchBtn.disabled = true;
+    setTranslatedText(searchBtn.querySelector('.btn-text'), 'search.searching');
+    searchBtn.querySelector('.btn-icon').classList.add('hidden');
+    searchBtn.querySelector('.spinner').classList.remove('hidden');
+
+    // Optional: Show full overlay loading state if desired, 
+    // but button state might be enough. 
+    // The requirement said "Show a 'Searching...' animation".
+    // We already have a logic for this in the button, but let's show the big one too for clarity
+    // if the previous results are hidden.
+    if (resultsSection.classList.contains('hidden')) {
+        loadingState.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hides the loading spinner and state
+ */
+function hideLoading() {
+    searchBtn.disabled = false;
+    setTranslatedText(searchBtn.querySelector('.btn-text'), 'search.submit');
+    searchBtn.querySelector('.btn-icon').classList.remove('hidden');
+    searchBtn.querySelector('.spinner').classList.add('hidden');
+
+    loadingState.classList.add('hidden');
+}
+
+/**
+ * Shows the "No Data" section with Redrob option
+ * @param {boolean} [offerRedrob] - false when Redrob was already searched
+ */
+function showNoData(offerRedrob = true) {
+    // Reset the text just in case it was changed by secondary search failure
+    setTranslatedText(document.querySelector('.no-data-content h3'), 'noData.title');
+    setTranslatedText(document.querySelector('.no-data-content p'), 'noData.message');
+    redrobSearchBtn.classList.toggle('hidden', !offerRedrob);
+
+    noDataSection.classList.remove('hidden');
+}
+
+/**
+ * Resets the UI (hides results, no-data, etc.)
+ */
+function resetUI() {
+    resultsSection.classList.add('hidden');
+    noDataSection.classList.add('hidden');
+    currentData = [];
+    duplicateGroups = [];
+    selectedLeadIds.clear();
+    searchDiff = null;
+    tableState.onlyNew = false;
+    onlyNewToggle.checked = false;
+    tableState.segment = null;
+    updateSegmentFilterChip();
+}
+
+/**
+ * Shows a toast notification
+ * @param {string} message - Plain text
+ * @param {string} type - 'error' or 'success'
+ */
+function showNotification(message, type = 'success') {
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.innerHTML = `
+        <i class="fa-solid ${type === 'success' ? 'fa-check-circle' : 'fa-exclamation-circle'}"></i>
+        <span></span>
+    `;
+    // Messages often quote file contents (sheet names, aliases, tags), so they are never parsed as HTML
+    toast.querySelector('span').textContent = message;
+
+    notificationContainer.appendChild(toast);
+
+    // Remove after 3 seconds
+    setTimeout(() => {
+        toast.style.opacity = '0';
+        setTimeout(() => toast.remove(), 300);
+    }, 4000);
+}
+
+/**
+ * Security helper to prevent XSS
+ */
+function escapeHtml(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+/**
+ * Handles file selection event
+ */
+async function handleFileSelect() {
+    if (fileInput.files.length > 0) {
+        const file = fileInput.files[0];
+
+        // Update UI
+        updateFileUI(file.name);
+
+        // A new file needs its own column mapping and sheet selection
+        columnMappings = {};
+        selectedSheets = null;
+
+        // Persist
+        saveFileToStorage(file);
+
+        let payload;
+        try {
+            payload = await readFilePayload(file);
+        } catch (e) {
+            console.error("File processing error:", e);
+            showNotification(t('toast.fileFailed'), "error");
+            return;
+        }
+
+        // Let the user confirm which columns hold which lead fields
+        if (isLocalSearchFile(payload)) {
+            openMappingDialog(payload);
+        }
+    }
+}
+
+/**
+ * Clears the selected file
+ */
+function removeFile() {
+    fileInput.value = ''; // clear input
+    cachedFile = null;
+    columnMappings = {};
+    selectedSheets = null;
+    clearFileStorage();
+
+    // Reset UI
+    setTranslatedText(fileLabelText, 'file.prompt');
+    fileNameDisplay.textContent = '';
+    fileNameDisplay.classList.add('hidden');
+
+    fileIcon.classList.remove('hidden');
+    fileSuccessIcon.classList.add('hidden');
+
+    fileUploadWrapper.classList.remove('active');
+    removeFileBtn.classList.add('hidden');
+    editMappingBtn.classList.add('hidden');
+    renderProviderOptions();
+}
+
+/**
+ * Updates UI to show selected file
+ */
+function updateFileUI(fileName) {
+    const canMapColumns = isLocalSearchFile({ fileName });
+
+    setTranslatedText(fileLabelText, 'file.selected');
+    fileNameDisplay.textContent = fileName;
+    fileNameDisplay.classList.remove('hidden');
+
+    fileIcon.classList.add('hidden');
+    fileSuccessIcon.classList.remove('hidden');
+
+    fileUploadWrapper.classList.add('active');
+    removeFileBtn.classList.remove('hidden');
+    editMappingBtn.classList.toggle('hidden', !canMapColumns);
+    renderProviderOptions();
+}
+
+// ================= STORAGE =================
+
+/**
+ * Keeps the upload in the workspace so it survives refreshes and new sessions
+ * @param {File} file
+ */
+async function saveFileToStorage(file) {
+    try {
+        await workspacePut(WORKSPACE_STORES.files, { id: CURRENT_FILE_KEY, file, savedAt: new Date().toISOString() });
+        cachedFile = file;
+    } catch (e) {
+        console.warn("Workspace Error (Quota exceeded?):", e);
+        showNotification(t(e.name === 'WorkspaceLockedError' ? 'toast.fileLockedNotSaved' : 'toast.fileTooLarge'), "error");
+    }
+}
+
+async function loadFileFromStorage() {
+    try {
+        await migrateLegacyFileStorage();
+
+        const saved = await workspaceGet(WORKSPACE_STORES.files, CURRENT_FILE_KEY);
+        if (saved && !fileInput.files.length) {
+            cachedFile = saved.file;
+            updateFileUI(cachedFile.name);
+            console.log("Restored file from storage:", cachedFile.name);
+        }
+    } catch (e) {
+        console.error("Error loading from storage:", e);
+    }
+}
+
+async function clearFileStorage() {
+    try {
+        await workspaceDelete(WORKSPACE_STORES.files, CURRENT_FILE_KEY);
+    } catch (e) {
+        console.warn("Could not clear stored file:", e);
+    }
+}
+
+/**
+ * Moves a Base64 upload left in sessionStorage by older versions into the workspace as a blob
+ */
+async function migrateLegacyFileStorage() {
+    const legacy = sessionStorage.getItem(LEGACY_FILE_STORAGE_KEY);
+    if (!legacy) return;
+
+    const payload = JSON.parse(legacy);
+    const blob = new Blob([base64ToBytes(payload.fileData)], { type: payload.fileMimeType });
+    await workspacePut(WORKSPACE_STORES.files, {
+        id: CURRENT_FILE_KEY,
+        file: new File([blob], payload.fileName, { type: payload.fileMimeType }),
+        savedAt: new Date().toISOString()
+    });
+    // Only now that the workspace has it; a failure leaves the upload where it was
+    sessionStorage.removeItem(LEGACY_FILE_STORAGE_KEY);
+}
+
+/**
+ * Reads a file into the payload shape used for searching. Files searched in the browser
+ * keep the File itself (the file worker reads it once, see loadFileSheets); any other
+ * file is sent to the webhook inline as Base64.
+ * @param {File} file
+ * @returns {Promise<object>} {fileName, fileMimeType, file} or {fileName, fileMimeType, fileData}
+ */
+async function readFilePayload(file) {
+    const payload = { fileName: file.name, fileMimeType: file.type };
+    if (isLocalSearchFile(payload)) {
+        payload.file = file;
+    } else {
+        payload.fileData = await toBase64(file);
+    }
+    return payload;
+}
+
+/**
+ * Checks whether a file payload can be parsed locally as a spreadsheet
+ * @param {object} payload {fileName, fileMimeType}
+ * @returns {boolean}
+ */
+function isSpreadsheetFile(payload) {
+    const fileType = payload.fileMimeType || '';
+    const fileName = (payload.fileName || '').toLowerCase();
+    return fileType.includes('sheet') || fileType.includes('excel') || fileType.includes('csv') ||
+        fileName.endsWith('.csv') || fileName.endsWith('.xlsx') || fileName.endsWith('.xls');
+}
+
+/**
+ * Checks whether a file payload is a PDF
+ * @param {object} payload {fileName, fileMimeType}
+ * @returns {boolean}
+ */
+function isPdfFile(payload) {
+    return (payload.fileMimeType || '').includes('pdf') || (payload.fileName || '').toLowerCase().endsWith('.pdf');
+}
+
+/**
+ * Checks whether a file payload can be searched in the browser (spreadsheet or PDF)
+ * @param {object} payload {fileName, fileMimeType}
+ * @returns {boolean}
+ */
+function isLocalSearchFile(payload) {
+    return isSpreadsheetFile(payload) || isPdfFile(payload);
+}
+
+/**
+ * Converts a file to Base64 string
+ * @param {File} file 
+ * @returns {Promise<string>}
+ */
+function toBase64(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.readAsDataURL(file);
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = error => reject(error);
+    });
+}
+
+/**
+ * Reads a file into an ArrayBuffer
+ * @param {File} file
+ * @param {Function} [onProgress] - Called with (bytesRead, totalBytes)
+ * @returns {Promise<ArrayBuffer>}
+ */
+function readFileBuffer(file, onProgress) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.readAsArrayBuffer(file);
+        if (onProgress) reader.onprogress = e => onProgress(e.loaded, e.total);
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = error => reject(error);
+    });
+}
+
+/**
+ * Reads a worksheet into its header row and row objects keyed by those headers
+ * @param {object} worksheet
+ * @returns {object} {headers: string[], rows: object[]}
+ */
+function readSheetRows(worksheet) {
+    const matrix = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: "", blankrows: false });
+    if (!matrix.length) return { headers: [], rows: [] };
+
+    // Blank headers get a positional name, repeated headers get a counter so no column is lost
+    const seen = {};
+    const headers = matrix[0].map((h, i) => {
+        const base = String(h).trim() || `Column ${i + 1}`;
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] > 1 ? `${base} (${seen[base]})` : base;
+    });
+
+    const rows = matrix.slice(1).map(cells => {
+        const row = {};
+        headers.forEach((h, i) => {
+            row[h] = cells[i] === undefined ? "" : cells[i];
+        });
+        return row;
+    });
+
+    return { headers, rows };
+}
+
+/**
+ * Parses every sheet of an uploaded file in the file worker and returns their outline.
+ * Spreadsheets keep their tabs; a PDF becomes a single sheet of extracted rows.
+ * The worker keeps the rows, so repeat searches of the same upload skip parsing.
+ * @param {object} payload {file, fileName, fileMimeType}
+ * @returns {Promise<object>} {sheetNames: string[], sheets: { name: {headers, rowCount, preview} }}
+ */
+function loadFileSheets(payload) {
+    const key = getFileKey(payload.file);
+    if (!parsedFileCache || parsedFileCache.key !== key) {
+        const promise = parseFileSheets(payload, key);
+        parsedFileCache = { key, promise };
+        promise.catch(() => {
+            if (parsedFileCache && parsedFileCache.promise === promise) parsedFileCache = null;
+        });
+    }
+    return parsedFileCache.promise;
+}
+
+/**
+ * Identifies an upload by name, size and modification time
+ * @param {File} file
+ * @returns {string}
+ */
+function getFileKey(file) {
+    return [file.name, file.size, file.lastModified].join('|');
+}
+
+/**
+ * @param {object} payload {file, fileName, fileMimeType}
+ * @param {string} key - See getFileKey
+ * @returns {Promise<object>} See loadFileSheets
+ */
+async function parseFileSheets(payload, key) {
+    try {
+        const buffer = await readFileBuffer(payload.file, (done, total) => showFileParseProgress('read', done, total));
+
+        if (isPdfFile(payload)) {
+            // PDF.js already parses in its own worker; only the extracted rows go to ours
+            const lines = await extractPdfLines(buffer, (done, total) => showFileParseProgress('pdf', done, total));
+            const sheets = { [PDF_SHEET_NAME]: parsePdfLeadRows(lines) };
+            return await callFileWorker({ type: 'parse', key, sheetNames: [PDF_SHEET_NAME], sheets });
+        }
+
+        return await callFileWorker({ type: 'parse', key, buffer }, {
+            transfer: [buffer],
+            onProgress: ({ stage, done, total }) => showFileParseProgress(stage, done, total)
+        });
+    } finally {
+        fileParseStatus.classList.add('hidden');
+    }
+}
+
+/**
+ * Shows how far parsing the upload has got under the file picker
+ * @param {string} stage - read, pdf, parse or index (see the fileParse messages)
+ * @param {number} [done]
+ * @param {number} [total] - Leave out when the stage has no measurable progress
+ */
+function showFileParseProgress(stage, done, total) {
+    const percent = total ? Math.round(done / total * 100) : 0;
+    fileParseText.textContent = t(`fileParse.${stage}`, { done, total, percent });
+    if (total) {
+        fileParseProgress.max = total;
+        fileParseProgress.value = done;
+    } else {
+        fileParseProgress.removeAttribute('value');
+    }
+    fileParseStatus.classList.remove('hidden');
+}
+
+/**
+ * Searches the parsed upload (in the file worker) and returns matching leads, best first
+ * @param {object} payload {file, fileName, fileMimeType}
+ * @param {object} criteria {name, location, technology}
+ * @returns {Promise<Array>}
+ */
+async function processLocalFile(payload, criteria) {
+    const { sheetNames, sheets } = await loadFileSheets(payload);
+    const searched = getSearchSheetNames(sheetNames);
+
+    // The same mapping drives both the filter and the projection
+    const mappings = {};
+    searched.forEach(name => {
+        mappings[name] = columnMappings[name] || getColumnMapping(sheets[name].headers);
+    });
+
+    return callFileWorker({
+        type: 'search',
+        key: getFileKey(payload.file),
+        sheetNames: searched,
+        mappings,
+        criteria,
+        // Only tag rows with their sheet when there is more than one to tell apart
+        tagSheet: sheetNames.length > 1,
+        techAliases: [...techAliasIndex]
+    });
+}
+
+/**
+ * Resolves which sheets of a file to search, falling back to all of them
+ * @param {string[]} sheetNames
+ * @returns {string[]}
+ */
+function getSearchSheetNames(sheetNames) {
+    const chosen = (selectedSheets || []).filter(name => sheetNames.includes(name));
+    return chosen.length ? chosen : sheetNames;
+}
+
+/**
+ * Scores a lead against the parsed search criteria
+ * @param {object} lead {name, location, technology}
+ * @param {object} query - Output of buildCriteriaQuery
+ * @returns {number} 0 when the lead does not match, otherwise up to 1
+ */
+function scoreLead(lead, query) {
+    // Logic: MATCH inputs if they exist.
+    // If a criteria is EMPTY, it acts as a wildcard (matches anything).
+    // But at least one criteria MUST match (validated earlier).
+    const scores = [];
+    if (query.name) scores.push(scoreQuery(query.name, lead.name));
+    if (query.location) scores.push(scoreQuery(query.location, lead.location));
+    if (query.technology) scores.push(scoreQuery(query.technology, lead.technology, { technology: true }));
+
+    if (!scores.length) return 1;
+    if (scores.some(score => !score)) return 0;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+}
+
+/**
+ * Scores leads that have no relevance yet and sorts them best first.
+ * Webhook results are already filtered server-side, so they are ranked but never dropped.
+ * @param {Array} leads
+ * @param {object} query - Output of buildCriteriaQuery
+ * @returns {Array}
+ */
+function rankLeads(leads, query) {
+    if (!Array.isArray(leads)) return leads;
+
+    leads.forEach(lead => {
+        if (typeof lead.score !== 'number') lead.score = scoreLead(lead, query);
+    });
+
+    // Array.prototype.sort is stable, so equal scores keep their source order
+    return leads.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Projects a raw sheet row onto the standard lead fields
+ * @param {object} row - Row keyed by sheet headers
+ * @param {object} mapping - { field: header }
+ * @returns {object} {name, location, technology, email, phone, extra?}
+ */
+function mapRowToLead(row, mapping) {
+    const lead = {};
+    LEAD_FIELDS.forEach(field => {
+        const header = mapping[field];
+        lead[field] = header && row[header] !== undefined ? String(row[header]).trim() : '';
+    });
+
+    // Keep the remaining columns so exports don't lose them
+    const mappedHeaders = new Set(Object.values(mapping));
+    const extra = {};
+    Object.keys(row).forEach(header => {
+        const value = row[header] === undefined || row[header] === null ? '' : String(row[header]).trim();
+        if (!mappedHeaders.has(header) && header && value) extra[header] = value;
+    });
+    if (Object.keys(extra).length) lead.extra = extra;
+    return lead;
+}
+
+// ================= QUERY LANGUAGE =================
+//
+// The name, location and technology inputs accept a small query syntax:
+//   React Vue          both words (AND is implied; "AND" may also be written)
+//   React OR Vue       either word ("|" works too)
+//   NOT Bangalore      exclude a word ("-Bangalore" works too)
+//   "New York"         exact phrase
+//   Java*  Jav?        wildcards: any characters / one character
+//   (React OR Vue) NOT Angular
+// Words match whole words only, ignoring case and accents, so "Java" does not match "JavaScript"
+// and "Sao Paulo" matches "São Paulo".
+// Technology terms also match known aliases and small typos (see TECHNOLOGY MATCHING).
+//
+// Parsed queries are plain JSON trees, sent as-is to the webhooks:
+//   { type: 'term', value: 'java', phrase: false }
+//   { type: 'and' | 'or', children: [...] }
+//   { type: 'not', child: {...} }
+
+// Compiled term patterns, cached per parsed term node
+const queryPatternCache = new WeakMap();
+// Technology each parsed term node names (see resolveTermTech)
+const termTechCache = new WeakMap();
+
+/**
+ * Folds text for comparison: compatibility forms, no diacritics, lower case ("Zoë" -> "zoe").
+ * Only accents on Latin, Greek and Cyrillic letters are dropped; in scripts such as
+ * Devanagari the combining signs are vowels and tell names apart ("राम", "रमा").
+ * @param {string} text
+ * @returns {string}
+ */
+function foldText(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/([\p{Script=Latin}\p{Script=Greek}\p{Script=Cyrillic}])\p{Mn}+/gu, '$1')
+        .toLowerCase();
+}
+
+/**
+ * Parses every criteria field into a query tree (null when the field is empty)
+ * @param {object} criteria {name, location, technology}
+ * @returns {object} {name, location, technology}
+ */
+function buildCriteriaQuery(criteria) {
+    return {
+        name: parseQuery(criteria.name),
+        location: parseQuery(criteria.location),
+        technology: parseQuery(criteria.technology)
+    };
+}
+
+/**
+ * Splits query text into tokens
+ * @param {string} input
+ * @returns {Array} [{type: 'term'|'phrase'|'and'|'or'|'not'|'(' |')', value}]
+ */
+function tokenizeQuery(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        if (/[\s,]/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')') {
+            tokens.push({ type: char });
+            i++;
+        } else if (char === '|') {
+            tokens.push({ type: 'or' });
+            i++;
+        } else if ((char === '-' || char === '!') && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+            // Prefix negation: -Bangalore, !"New York"
+            tokens.push({ type: 'not' });
+            i++;
+        } else if (char === '"') {
+            // Unterminated quotes run to the end of the input
+            const end = input.indexOf('"', i + 1);
+            const value = input.slice(i + 1, end === -1 ? input.length : end).trim();
+            if (value) tokens.push({ type: 'phrase', value });
+            i = end === -1 ? input.length : end + 1;
+        } else {
+            let end = i;
+            while (end < input.length && !/[\s,()"|]/.test(input[end])) end++;
+            const value = input.slice(i, end);
+            i = end;
+
+            // Operators are only recognised in upper case so names like "Or" stay searchable
+            if (value === 'OR') tokens.push({ type: 'or' });
+            else if (value === 'AND') tokens.push({ type: 'and' });
+            else if (value === 'NOT') tokens.push({ type: 'not' });
+            else tokens.push({ type: 'term', value });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses query text into a query tree. Malformed input is read leniently
+ * (stray operators and unbalanced parentheses are ignored) rather than rejected.
+ * @param {string} input
+ * @returns {object|null} Query tree, or null for an empty query
+ */
+function parseQuery(input) {
+    const tokens = tokenizeQuery(String(input || ''));
+    let position = 0;
+
+    const peek = () => tokens[position];
+
+    // orExpr := andExpr (OR andExpr)*
+    const parseOr = () => {
+        const children = [];
+        let node = parseAnd();
+        if (node) children.push(node);
+
+        while (peek() && peek().type === 'or') {
+            position++;
+            node = parseAnd();
+            if (node) children.push(node);
+        }
+        return combineQueryNodes('or', children);
+    };
+
+    // andExpr := unary ((AND)? unary)*
+    const parseAnd = () => {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== ')') {
+            if (peek().type === 'and') {
+                position++;
+                continue;
+            }
+            const node = parseUnary();
+            if (node) children.push(node);
+        }
+        return combineQueryNodes('and', children);
+    };
+
+    // unary := NOT unary | primary
+    const parseUnary = () => {
+        const token = tokens[position++];
+
+        if (token.type === 'not') {
+            const child = peek() && peek().type !== 'or' && peek().type !== ')' ? parseUnary() : null;
+            return child ? { type: 'not', child } : null;
+        }
+        if (token.type === '(') {
+            const node = parseOr();
+            if (peek() && peek().type === ')') position++;
+            return node;
+        }
+        if (token.type === 'term' || token.type === 'phrase') {
+            return { type: 'term', value: token.value.toLowerCase(), phrase: token.type === 'phrase' };
+        }
+        return null;
+    };
+
+    let root = parseOr();
+    // Skip any unmatched closing parenthesis and keep reading
+    while (position < tokens.length) {
+        position++;
+        const rest = parseOr();
+        root = combineQueryNodes('and', [root, rest].filter(Boolean));
+    }
+    return root;
+}
+
+/**
+ * Joins query nodes under an operator, collapsing single-child groups
+ * @param {string} type - 'and' | 'or'
+ * @param {Array} children
+ * @returns {object|null}
+ */
+function combineQueryNodes(type, children) {
+    if (!children.length) return null;
+    if (children.length === 1) return children[0];
+    return { type, children };
+}
+
+/**
+ * Scores a query tree against a field value
+ * @param {object} node - Query tree
+ * @param {string} text - Field value
+ * @param {object} [options]
+ * @param {boolean} [options.technology] - Use alias and typo-tolerant technology matching
+ * @param {boolean} [options.fuzzy=true] - Allow typo-tolerant matches (technology only)
+ * @returns {number} 0 for no match, up to 1 for an exact match
+ */
+function scoreQuery(node, text, options = {}) {
+    switch (node.type) {
+        case 'and': {
+            const scores = node.children.map(child => scoreQuery(child, text, options));
+            return scores.some(score => !score) ? 0 : scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        }
+        case 'or':
+            return Math.max(...node.children.map(child => scoreQuery(child, text, options)));
+        case 'not':
+            // Exclusions stay strict so "NOT React" does not also drop "Preact"
+            return scoreQuery(node.child, text, { ...options, fuzzy: false }) ? 0 : 1;
+        default:
+            if (options.technology) return scoreTechTerm(node, foldText(text || ''), options.fuzzy !== false);
+            return getTermPattern(node).test(foldText(text || '')) ? 1 : 0;
+    }
+}
+
+/**
+ * Compiles a term into a whole-word pattern, to test against folded text (see foldText)
+ * @param {object} node - { type: 'term', value, phrase }
+ * @returns {RegExp}
+ */
+function getTermPattern(node) {
+    let pattern = queryPatternCache.get(node);
+    if (pattern) return pattern;
+
+    // The tree keeps the term as typed (webhooks receive it), so it is folded here
+    const value = foldText(node.value);
+    const escape = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    let body;
+    if (node.phrase) {
+        // Phrases match literally, with any run of whitespace between words
+        body = value.split(/\s+/).map(escape).join('\\s+');
+    } else {
+        body = [...value].map(char => {
+            if (char === '*') return '[^\\s,;/|]*';
+            if (char === '?') return '[^\\s,;/|]';
+            return escape(char);
+        }).join('');
+    }
+
+    // Word boundaries only where the term itself starts/ends with a letter or digit,
+    // so terms like ".NET" and "C++" still match
+    const startsWithWord = /^[\p{L}\p{N}*?]/u.test(value);
+    const endsWithWord = /[\p{L}\p{N}*?]$/u.test(value);
+    const source = `${startsWithWord ? '(?<![\\p{L}\\p{N}])' : ''}${body}${endsWithWord ? '(?![\\p{L}\\p{N}])' : ''}`;
+
+    pattern = new RegExp(source, 'iu');
+    queryPatternCache.set(node, pattern);
+    return pattern;
+}
+
+// ================= TECHNOLOGY MATCHING =================
+
+/**
+ * Reduces a technology name to a comparison key ("Node.js" / "node js" -> "nodejs")
+ * @param {string} text
+ * @returns {string}
+ */
+function techKey(text) {
+    return foldText(text).replace(/[\s._-]+/g, '');
+}
+
+function loadUserTechAliases() {
+    try {
+        return JSON.parse(localStorage.getItem(TECH_ALIAS_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn("Could not read saved technology aliases:", e);
+        return {};
+    }
+}
+
+/**
+ * Rebuilds the alias lookup from the suggestions list, the built-in aliases and
+ * the user's own aliases, and adds any new user technologies to the suggestions
+ */
+function rebuildTechAliasIndex() {
+    const userAliases = loadUserTechAliases();
+    const index = new Map();
+    // Start from the built-in suggestions, so deleted user technologies are no longer offered
+    techOptions.querySelectorAll('option[data-user]').forEach(option => option.remove());
+
+    const add = (canonical, aliases) => {
+        [canonical, ...aliases].forEach(alias => {
+            const key = techKey(alias);
+            // First definition wins so a user alias can't silently re-point a built-in name
+            if (key && !index.has(key)) index.set(key, canonical);
+        });
+    };
+
+    Array.from(techOptions.options).forEach(option => add(option.value, BUILTIN_TECH_ALIASES[option.value] || []));
+    Object.entries(BUILTIN_TECH_ALIASES).forEach(([canonical, aliases]) => add(canonical, aliases));
+    Object.entries(userAliases).forEach(([canonical, aliases]) => add(canonical, aliases));
+
+    // Offer user-defined technologies in the autocomplete too
+    const listed = new Set(Array.from(techOptions.options).map(option => option.value));
+    Object.keys(userAliases).forEach(canonical => {
+        if (listed.has(canonical)) return;
+        const option = document.createElement('option');
+        option.value = canonical;
+        option.dataset.user = 'true';
+        techOptions.appendChild(option);
+    });
+
+    techAliasIndex = index;
+}
+
+/**
+ * Maximum edit distance tolerated for a key of this length (short names must match exactly)
+ * @param {string} key
+ * @returns {number}
+ */
+function maxTechEdits(key) {
+    if (key.length < 4) return 0;
+    return key.length <= 6 ? 1 : 2;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swapped
+ * neighbours ("pyhton") as one edit each, giving up once it exceeds a limit
+ * @param {string} a
+ * @param {string} b
+ * @param {number} limit
+ * @returns {number} The distance, or limit + 1 if it is larger than limit
+ */
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Resolves a technology name to its canonical name, tolerating typos
+ * @param {string} text
+ * @param {boolean} fuzzy
+ * @returns {object|null} {name, exact}
+ */
+function resolveTech(text, fuzzy) {
+    const key = techKey(text);
+    if (techAliasIndex.has(key)) return { name: techAliasIndex.get(key), exact: true };
+    if (!fuzzy) return null;
+
+    const limit = maxTechEdits(key);
+    if (!limit) return null;
+
+    let best = null;
+    techAliasIndex.forEach((canonical, alias) => {
+        const distance = editDistance(key, alias, limit);
+        if (distance <= limit && (!best || distance < best.distance)) best = { name: canonical, distance };
+    });
+    return best ? { name: best.name, exact: false } : null;
+}
+
+/**
+ * Splits a technology cell into values to compare: each listed item, plus its
+ * single words and word pairs ("Senior Node JS dev" -> "node js", "node", ...)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function getTechCandidates(text) {
+    const candidates = [];
+    text.split(/[,;/|\n•]+|\s+(?:and|&)\s+/i).forEach(item => {
+        const trimmed = item.trim();
+        if (!trimmed) return;
+        candidates.push(trimmed);
+
+        const words = trimmed.split(/\s+/);
+        if (words.length > 1) {
+            words.forEach((word, i) => {
+                candidates.push(word);
+                if (words[i + 1]) candidates.push(`${word} ${words[i + 1]}`);
+            });
+        }
+    });
+    return candidates;
+}
+
+/**
+ * Resolves a query term to a technology once per term, rather than once per lead scored
+ * @param {object} node - { type: 'term', value, phrase }
+ * @param {boolean} fuzzy
+ * @returns {object|null} See resolveTech
+ */
+function resolveTermTech(node, fuzzy) {
+    let cached = termTechCache.get(node);
+    // Editing aliases replaces the index, so terms resolved against the old one resolve again
+    if (!cached || cached.index !== techAliasIndex) {
+        cached = { index: techAliasIndex };
+        termTechCache.set(node, cached);
+    }
+    const mode = fuzzy ? 'fuzzy' : 'exact';
+    if (!(mode in cached)) cached[mode] = resolveTech(node.value, fuzzy);
+    return cached[mode];
+}
+
+/**
+ * Scores a query term against a technology cell: exact word match, then a shared
+ * canonical technology (aliases), then a small edit distance (typos)
+ * @param {object} node - { type: 'term', value, phrase }
+ * @param {string} text
+ * @param {boolean} fuzzy
+ * @returns {number}
+ */
+function scoreTechTerm(node, text, fuzzy) {
+    if (getTermPattern(node).test(text)) return TECH_SCORE_EXACT;
+
+    // Phrases and wildcards are explicit about what they want
+    if (node.phrase || /[*?]/.test(node.value)) return 0;
+
+    const termKey = techKey(node.value);
+    const termTech = resolveTermTech(node, fuzzy);
+    const limit = fuzzy ? maxTechEdits(termKey) : 0;
+    let best = 0;
+
+    getTechCandidates(text).forEach(candidate => {
+        const candidateTech = resolveTech(candidate, false);
+        if (termTech && candidateTech && candidateTech.name === termTech.name) {
+            best = Math.max(best, termTech.exact ? TECH_SCORE_ALIAS : TECH_SCORE_FUZZY_ALIAS);
+        } else if (limit && editDistance(termKey, techKey(candidate), limit) <= limit) {
+            best = Math.max(best, TECH_SCORE_FUZZY);
+        }
+    });
+
+    return best;
+}
+
+/**
+ * Opens the dialog listing built-in aliases and the user's own
+ */
+function openAliasDialog() {
+    builtinAliasList.innerHTML = Object.entries(BUILTIN_TECH_ALIASES).map(([canonical, aliases]) => `
+        <li><strong>${escapeHtml(canonical)}</strong> ${escapeHtml(aliases.join(', '))}</li>
+    `).join('');
+
+    aliasTextarea.value = Object.entries(loadUserTechAliases())
+        .map(([canonical, aliases]) => `${canonical}: ${aliases.join(', ')}`)
+        .join('\n');
+
+    aliasModal.classList.remove('hidden');
+}
+
+/**
+ * Parses "Technology: alias, alias" lines and saves them
+ */
+function saveAliasDialog() {
+    const aliases = {};
+    const lines = aliasTextarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+        const separator = line.indexOf(':');
+        const canonical = (separator === -1 ? '' : line.slice(0, separator)).trim();
+        if (!canonical) {
+            showNotification(t('toast.aliasSyntax', { line }), "error");
+            return;
+        }
+        aliases[canonical] = line.slice(separator + 1).split(',').map(alias => alias.trim()).filter(Boolean);
+    }
+
+    try {
+        localStorage.setItem(TECH_ALIAS_STORAGE_KEY, JSON.stringify(aliases));
+    } catch (e) {
+        console.warn("Could not save technology aliases:", e);
+        showNotification(t('toast.aliasesSaveFailed'), "error");
+        return;
+    }
+
+    rebuildTechAliasIndex();
+    closeAliasDialog();
+    showNotification(t('toast.aliasesSaved'));
+}
+
+function closeAliasDialog() {
+    aliasModal.classList.add('hidden');
+}
+
+// ================= SUBMISSION QUEUE =================
+
+/**
+ * Stores a passive provider's submission and starts delivering it. The record keeps
+ * everything needed to rebuild the request, including the uploaded file, so it can be
+ * retried after a refresh or once the browser is back online. The file is dropped once
+ * the submission is delivered.
+ * @param {object} provider
+ * @param {object} context - See buildSearchContext
+ */
+async function enqueueSubmission(provider, context) {
+    const requestId = createRequestId();
+    const submission = {
+        id: requestId,
+        providerId: provider.id,
+        // The file goes in as a blob; the Base64 copy is not needed to rebuild the request
+        context: { ...context, filePayload: {}, requestId },
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        createdAt: new Date().toISOString(),
+        response: null
+    };
+
+    try {
+        if (await getPendingSubmissionBytes() + getSubmissionFileSize(submission) > SUBMISSION_MAX_PENDING_BYTES) {
+            showNotification(t('toast.submissionQueueFull'), "error");
+            await sendSubmission(submission, false);
+            return;
+        }
+        await workspacePut(WORKSPACE_STORES.submissions, submission);
+    } catch (e) {
+        // Without storage the submission is still sent once, it just cannot be retried later
+        console.warn("Could not queue submission:", e);
+        await sendSubmission(submission, false);
+        return;
+    }
+
+    // Queued: the queue sends it, so a failed prune must not send it again
+    try {
+        await pruneSubmissionLog();
+    } catch (e) {
+        console.warn("Could not prune the submission log:", e);
+    }
+    processSubmissionQueue();
+}
+
+/**
+ * @param {object} submission
+ * @returns {number} Bytes of the uploaded file the record keeps (0 once delivered)
+ */
+function getSubmissionFileSize(submission) {
+    const { file } = submission.context;
+    return file instanceof Blob ? file.size : 0;
+}
+
+/**
+ * @returns {Promise<number>} Bytes of uploaded files kept for undelivered submissions
+ */
+async function getPendingSubmissionBytes() {
+    const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+    return submissions
+        .filter(item => item.status !== 'sent')
+        .reduce((total, item) => total + getSubmissionFileSize(item), 0);
+}
+
+/**
+ * @returns {string} A unique id the receiving workflow can use to drop duplicates
+ */
+function createRequestId() {
+    if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Puts back submissions left "sending" by a page that closed mid-request, drops files still
+ * kept by delivered ones, then sends what is due
+ */
+async function initSubmissionQueue() {
+    try {
+        const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+        for (const submission of submissions.filter(item => item.status === 'sending')) {
+            submission.status = 'queued';
+            await workspacePut(WORKSPACE_STORES.submissions, submission);
+        }
+        for (const submission of submissions.filter(item => item.status === 'sent' && getSubmissionFileSize(item))) {
+            submission.context.file = { name: submission.context.file.name };
+            await workspacePut(WORKSPACE_STORES.submissions, submission);
+        }
+    } catch (e) {
+        console.warn("Could not restore submission queue:", e);
+        return;
+    }
+    processSubmissionQueue();
+}
+
+/**
+ * Sends every due submission, one at a time, then schedules the next retry
+ */
+async function processSubmissionQueue() {
+    // A locked workspace resumes the queue once it is unlocked (see restoreWorkspace)
+    if (submissionQueueRunning || isWorkspaceLocked()) return;
+    submissionQueueRunning = true;
+    clearTimeout(submissionTimer);
+
+    try {
+        // Offline: the 'online' event restarts the queue
+        while (navigator.onLine) {
+            const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+            const due = submissions.filter(item => item.status === 'queued' && item.nextAttemptAt <= Date.now());
+            if (!due.length) break;
+
+            for (const submission of due) {
+                await sendSubmission(submission, true);
+            }
+        }
+        await scheduleNextSubmission();
+    } catch (e) {
+        console.error("Submission queue failed:", e);
+    } finally {
+        submissionQueueRunning = false;
+    }
+
+    renderSubmissionLog();
+}
+
+/**
+ * Wakes the queue when the earliest waiting retry is due
+ */
+async function scheduleNextSubmission() {
+    const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+    const waiting = submissions.filter(item => item.status === 'queued');
+    if (!waiting.length) return;
+
+    const next = Math.min(...waiting.map(item => item.nextAttemptAt));
+    submissionTimer = setTimeout(processSubmissionQueue, Math.max(0, next - Date.now()));
+}
+
+/**
+ * Makes one delivery attempt and records the outcome. Retryable failures are queued
+ * again with exponential backoff; other HTTP errors fail at once.
+ * @param {object} submission
+ * @param {boolean} persist - Save progress to the queue (false when storage is unavailable)
+ */
+async function sendSubmission(submission, persist) {
+    const save = () => (persist ? workspacePut(WORKSPACE_STORES.submissions, submission) : Promise.resolve());
+    const provider = searchProviders.get(submission.providerId);
+    if (!provider || !isProviderConfigured(provider)) {
+        submission.status = 'failed';
+        submission.response = { error: t('submission.notSetUp') };
+        await save();
+        return;
+    }
+
+    const config = getProviderConfig(provider);
+    submission.status = 'sending';
+    submission.attempts++;
+    submission.updatedAt = new Date().toISOString();
+    await save();
+    renderSubmissionLog();
+
+    let retryable = true;
+    try {
+        const response = await fetchWithTimeout(config.endpoint,
+            buildProviderRequest(provider, submission.context, config), config.timeoutMs);
+        submission.response = { status: response.status, body: (await response.text()).slice(0, 500) };
+
+        if (response.ok) {
+            submission.status = 'sent';
+            // A delivered submission is never sent again, so only the file's name is kept for the log
+            if (submission.context.file) submission.context.file = { name: submission.context.file.name };
+            await save();
+            return;
+        }
+        retryable = RETRYABLE_STATUSES.includes(response.status);
+    } catch (error) {
+        console.warn(`${provider.label} submission failed:`, error);
+        submission.response = { error: error.name === 'TimeoutError' ? error.message : t('submission.networkError') };
+    }
+
+    if (retryable && submission.attempts < SUBMISSION_MAX_ATTEMPTS) {
+        submission.status = 'queued';
+        submission.nextAttemptAt = Date.now() +
+            Math.min(SUBMISSION_BACKOFF_MS * 2 ** (submission.attempts - 1), SUBMISSION_MAX_BACKOFF_MS);
+    } else {
+        submission.status = 'failed';
+    }
+    await save();
+}
+
+/**
+ * Keeps the log to SUBMISSION_LOG_LIMIT entries by dropping the oldest delivered ones
+ */
+async function pruneSubmissionLog() {
+    const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+    const excess = submissions.length - SUBMISSION_LOG_LIMIT;
+    if (excess <= 0) return;
+
+    const delivered = submissions
+        .filter(item => item.status === 'sent')
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .slice(0, excess);
+    for (const submission of delivered) {
+        await workspaceDelete(WORKSPACE_STORES.submissions, submission.id);
+    }
+}
+
+/**
+ * Renders the activity log and the badge counting undelivered submissions
+ */
+async function renderSubmissionLog() {
+    let submissions;
+    try {
+        submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+    } catch (e) {
+        console.warn("Could not read submission log:", e);
+        return;
+    }
+
+    const pending = submissions.filter(item => item.status !== 'sent').length;
+    activityBadge.textContent = pending;
+    activityBadge.classList.toggle('hidden', pending === 0);
+
+    submissions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    submissionLog.innerHTML = submissions.map(submission => {
+        const provider = searchProviders.get(submission.providerId);
+        const canRetry = submission.status === 'queued' || submission.status === 'failed';
+        return `
+            <li class="submission" data-id="${escapeHtml(submission.id)}" data-status="${submission.status}">
+                <div class="submission-info">
+                    <div>
+                        <strong>${escapeHtml(provider ? getProviderLabel(provider) : submission.providerId)}</strong>
+                        <span class="submission-status">${t(`submissionStatus.${submission.status}`)}</span>
+                    </div>
+                    <div class="workspace-muted">
+                        ${new Date(submission.createdAt).toLocaleString(currentLocale)}
+                        · ${escapeHtml(submission.context.batch
+                            ? t('batch.submission', { count: submission.context.batch.length })
+                            : describeCriteria(submission.context.criteria, submission.context.file ? submission.context.file.name : ''))}
+                    </div>
+                    <div class="workspace-muted">
+                        ${escapeHtml(t('submission.attempts', { id: submission.id, count: submission.attempts }))}
+                        ${submission.status === 'queued' && submission.attempts ? `· ${t('submission.nextTry', { time: new Date(submission.nextAttemptAt).toLocaleTimeString(currentLocale) })}` : ''}
+                    </div>
+                    ${submission.response ? `<pre class="submission-response">${escapeHtml(describeSubmissionResponse(submission.response))}</pre>` : ''}
+                </div>
+                ${canRetry ? `
+                    <button type="button" class="btn-sm btn-outline" data-action="retry">
+                        <i class="fa-solid fa-rotate-right"></i> ${t('submission.retry')}
+                    </button>` : ''}
+            </li>
+        `;
+    }).join('') || `<li class="workspace-muted">${t('workspace.activityEmpty')}</li>`;
+}
+
+/**
+ * @param {{status?: number, body?: string, error?: string}} response
+ * @returns {string}
+ */
+function describeSubmissionResponse(response) {
+    if (response.error) return response.error;
+    return `HTTP ${response.status}${response.body ? `: ${response.body}` : ''}`;
+}
+
+/**
+ * @param {Event} e
+ */
+async function handleSubmissionLogClick(e) {
+    const button = e.target.closest('[data-action="retry"]');
+    if (!button) return;
+
+    await requeueSubmissions(item => item.id === button.closest('.submission').dataset.id);
+}
+
+function retryFailedSubmissions() {
+    return requeueSubmissions(item => item.status === 'failed');
+}
+
+/**
+ * Makes matching submissions due now, with a fresh set of attempts
+ * @param {Function} predicate
+ */
+async function requeueSubmissions(predicate) {
+    try {
+        const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+        for (const submission of submissions.filter(item => item.status !== 'sent' && predicate(item))) {
+            submission.status = 'queued';
+            submission.attempts = 0;
+            submission.nextAttemptAt = Date.now();
+            await workspacePut(WORKSPACE_STORES.submissions, submission);
+        }
+    } catch (err) {
+        console.error("Could not retry submissions:", err);
+        showNotification(t('toast.retryFailed'), "error");
+        return;
+    }
+    processSubmissionQueue();
+}
+
+async function clearSentSubmissions() {
+    try {
+        const submissions = await workspaceGetAll(WORKSPACE_STORES.submissions);
+        for (const submission of submissions.filter(item => item.status === 'sent')) {
+            await workspaceDelete(WORKSPACE_STORES.submissions, submission.id);
+        }
+    } catch (err) {
+        console.error("Could not clear submissions:", err);
+    }
+    renderSubmissionLog();
+}
+
+// ================= SETTINGS =================
+
+/**
+ * Reads saved settings, falling back to empty overrides if they are missing or invalid
+ * @returns {{version: number, providers: object, exportFields: string[]}}
+ */
+function loadSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        if (saved) return validateSettings(saved, { strictProviders: false }).value;
+    } catch (e) {
+        console.warn("Could not load settings:", e);
+    }
+    return getDefaultSettings();
+}
+
+/**
+ * @returns {object} Settings with nothing customized
+ */
+function getDefaultSettings() {
+    return { version: SETTINGS_VERSION, providers: {}, exportFields: [], report: { ...REPORT_DEFAULTS }, privacyMode: false };
+}
+
+/**
+ * Checks a settings object (from the form or an imported file) and returns a clean copy
+ * @param {object} raw
+ * @param {object} [options]
+ * @param {boolean} [options.strictProviders] - Report and drop sources this app does not know
+ * @returns {{value: object, errors: Array<{provider?: string, field?: string, message: string}>}}
+ */
+function validateSettings(raw, { strictProviders = true } = {}) {
+    const errors = [];
+    const value = getDefaultSettings();
+
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        errors.push({ message: t('settingsError.notObject') });
+        return { value, errors };
+    }
+
+    Object.entries(raw.providers || {}).forEach(([id, config]) => {
+        // Saved settings are read before providers register, so only imports check the id
+        const provider = searchProviders.get(id);
+        if (strictProviders && (!provider || provider.search)) {
+            errors.push({ message: t('settingsError.unknownSource', { id }) });
+            return;
+        }
+
+        const label = provider ? getProviderLabel(provider) : id;
+        const fail = (field, message) => errors.push({ provider: id, field, message: `${label}: ${message}` });
+        const clean = {};
+        config = config || {};
+
+        if (config.endpoint !== undefined) {
+            const endpoint = String(config.endpoint).trim();
+            if (endpoint && !isHttpUrl(endpoint)) {
+                fail('endpoint', t('settingsError.endpoint'));
+            } else {
+                clean.endpoint = endpoint;
+            }
+        }
+
+        if (config.token) clean.token = String(config.token).trim();
+
+        if (config.headers !== undefined) {
+            const headers = {};
+            const invalid = typeof config.headers !== 'object' || Array.isArray(config.headers);
+            Object.entries(invalid ? {} : config.headers).forEach(([name, headerValue]) => {
+                if (!/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(name)) {
+                    fail('headers', t('settingsError.headerName', { name }));
+                } else {
+                    headers[name] = String(headerValue);
+                }
+            });
+            if (invalid) fail('headers', t('settingsError.headers'));
+            clean.headers = headers;
+        }
+
+        if (config.timeoutSeconds !== undefined && config.timeoutSeconds !== '') {
+            const timeout = Number(config.timeoutSeconds);
+            if (!Number.isFinite(timeout) || timeout < 1 || timeout > 300) {
+                fail('timeoutSeconds', t('settingsError.timeout'));
+            } else {
+                clean.timeoutSeconds = timeout;
+            }
+        }
+
+        if (config.retries !== undefined && config.retries !== '') {
+            const retries = Number(config.retries);
+            if (!Number.isInteger(retries) || retries < 0 || retries > 5) {
+                fail('retries', t('settingsError.retries'));
+            } else {
+                clean.retries = retries;
+            }
+        }
+
+        value.providers[id] = clean;
+    });
+
+    if (raw.exportFields !== undefined) {
+        if (!Array.isArray(raw.exportFields)) {
+            errors.push({ field: 'exportFields', message: t('settingsError.exportFields') });
+        } else {
+            raw.exportFields.forEach(field => {
+                if (EXPORT_FIELD_OPTIONS.includes(field)) {
+                    value.exportFields.push(field);
+                } else {
+                    errors.push({ field: 'exportFields', message: t('settingsError.exportField', { field }) });
+                }
+            });
+        }
+    }
+
+    if (raw.privacyMode !== undefined) value.privacyMode = Boolean(raw.privacyMode);
+
+    if (raw.report !== undefined) {
+        const report = raw.report && typeof raw.report === 'object' ? raw.report : {};
+        const fail = (field, message) => errors.push({ field: `report.${field}`, message });
+
+        if (report.title !== undefined) value.report.title = String(report.title).trim() || REPORT_DEFAULTS.title;
+        if (report.header !== undefined) value.report.header = String(report.header).trim();
+
+        if (report.logo) {
+            const logo = String(report.logo);
+            if (!/^data:image\/(?:png|jpeg);base64,/.test(logo)) {
+                fail('logo', t('settingsError.logoType'));
+            } else if (logo.length * 0.75 > REPORT_LOGO_MAX_BYTES) {
+                fail('logo', t('settingsError.logoSize', { size: REPORT_LOGO_MAX_BYTES / 1024 }));
+            } else {
+                value.report.logo = logo;
+            }
+        }
+
+        if (report.orientation !== undefined) {
+            if (REPORT_ORIENTATIONS.includes(report.orientation)) value.report.orientation = report.orientation;
+            else fail('orientation', t('settingsError.orientation', { orientation: report.orientation }));
+        }
+
+        if (report.groupBy !== undefined) {
+            if (REPORT_GROUP_FIELDS.includes(report.groupBy)) value.report.groupBy = report.groupBy;
+            else fail('groupBy', t('settingsError.groupBy', { field: report.groupBy }));
+        }
+    }
+
+    return { value, errors };
+}
+
+/**
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isHttpUrl(text) {
+    try {
+        const url = new URL(text);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Parses "Name: value" lines into a headers object; lines without a colon are kept
+ * under their text so validateSettings reports them
+ * @param {string} text
+ * @returns {object}
+ */
+function parseHeaderLines(text) {
+    const headers = {};
+    text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+        const colon = line.indexOf(':');
+        if (colon === -1) {
+            headers[line] = '';
+        } else {
+            headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+        }
+    });
+    return headers;
+}
+
+function openSettings() {
+    renderSettingsForm(settings);
+    renderEncryptionStatus();
+    settingsModal.classList.remove('hidden');
+}
+
+function closeSettings() {
+    settingsModal.classList.add('hidden');
+}
+
+/**
+ * Fills the settings dialog; blank fields show the built-in defaults as placeholders
+ * @param {object} values - Settings to show
+ */
+function renderSettingsForm(values) {
+    settingsProviderList.innerHTML = getConfigurableProviders().map(provider => {
+        const saved = values.providers[provider.id] || {};
+        const headerLines = Object.entries(saved.headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+        return `
+            <fieldset class="settings-provider" data-provider="${escapeHtml(provider.id)}">
+                <legend>${escapeHtml(getProviderLabel(provider))}</legend>
+                <label>${t('settings.endpoint')}
+                    <input type="url" data-setting="endpoint" placeholder="${escapeHtml(provider.endpoint || 'https://')}"
+                        value="${escapeHtml(saved.endpoint !== undefined ? saved.endpoint : provider.endpoint)}">
+                </label>
+                <label>${t('settings.token')}
+                    <input type="password" data-setting="token" autocomplete="off" value="${escapeHtml(saved.token || '')}">
+                </label>
+                <label>${escapeHtml(t('settings.headers'))}
+                    <textarea data-setting="headers" rows="2" placeholder="X-Api-Key: ...">${escapeHtml(headerLines)}</textarea>
+                </label>
+                <div class="settings-row">
+                    <label>${t('settings.timeout')}
+                        <input type="number" data-setting="timeoutSeconds" min="1" max="300"
+                            placeholder="${provider.timeoutMs / 1000}" value="${saved.timeoutSeconds !== undefined ? saved.timeoutSeconds : ''}">
+                    </label>
+                    <label>${t('settings.retries')}
+                        <input type="number" data-setting="retries" min="0" max="5"
+                            placeholder="${provider.retries}" value="${saved.retries !== undefined ? saved.retries : ''}">
+                    </label>
+                </div>
+                <div class="settings-test">
+                    <button type="button" class="btn-sm btn-outline" data-action="test">
+                        <i class="fa-solid fa-plug"></i> ${t('settings.test')}
+                    </button>
+                    <span class="settings-test-result"></span>
+                </div>
+                <div class="settings-errors"></div>
+            </fieldset>
+        `;
+    }).join('');
+
+    settingsExportFields.innerHTML = EXPORT_FIELD_OPTIONS.map(field => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${field}" ${values.exportFields.includes(field) ? 'checked' : ''}>
+            ${escapeHtml(getFieldLabel(field))}
+        </label>
+    `).join('');
+
+    settingsReportTitle.value = values.report.title;
+    settingsReportHeader.value = values.report.header;
+    settingsReportOrientation.value = values.report.orientation;
+    settingsReportGroupBy.value = values.report.groupBy;
+    setReportLogoPreview(values.report.logo);
+    settingsPrivacyMode.checked = values.privacyMode;
+}
+
+/**
+ * Shows the report logo in the settings dialog, which is also where readSettingsForm reads it from
+ * @param {string} logo - Data URL, or '' for no logo
+ */
+function setReportLogoPreview(logo) {
+    if (logo) settingsReportLogoPreview.src = logo;
+    else settingsReportLogoPreview.removeAttribute('src');
+    settingsReportLogoPreview.classList.toggle('hidden', !logo);
+    settingsReportLogoRemoveBtn.classList.toggle('hidden', !logo);
+}
+
+/**
+ * Reads the chosen logo image into the dialog (validated on save)
+ */
+function handleReportLogoSelect() {
+    const file = settingsReportLogoInput.files[0];
+    settingsReportLogoInput.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+        setReportLogoPreview(reader.result);
+        showSettingsErrors(validateSettings({ report: { logo: reader.result } }).errors);
+    };
+    reader.onerror = () => showNotification(t('toast.imageUnreadable'), "error");
+    reader.readAsDataURL(file);
+}
+
+/**
+ * Collects the dialog's values in the settings shape (unvalidated)
+ * @returns {object}
+ */
+function readSettingsForm() {
+    const raw = getDefaultSettings();
+
+    settingsProviderList.querySelectorAll('.settings-provider').forEach(fieldset => {
+        const read = name => fieldset.querySelector(`[data-setting="${name}"]`).value.trim();
+        const provider = searchProviders.get(fieldset.dataset.provider);
+        const endpoint = read('endpoint');
+        raw.providers[provider.id] = {
+            // Unchanged defaults are not stored, so a new default in script.js still applies
+            endpoint: endpoint === provider.endpoint ? undefined : endpoint,
+            token: read('token'),
+            headers: parseHeaderLines(read('headers')),
+            timeoutSeconds: read('timeoutSeconds'),
+            retries: read('retries')
+        };
+    });
+
+    raw.exportFields = [...settingsExportFields.querySelectorAll('input:checked')].map(input => input.value);
+    raw.report = {
+        title: settingsReportTitle.value,
+        header: settingsReportHeader.value,
+        logo: settingsReportLogoPreview.getAttribute('src') || '',
+        orientation: settingsReportOrientation.value,
+        groupBy: settingsReportGroupBy.value
+    };
+    raw.privacyMode = settingsPrivacyMode.checked;
+    return raw;
+}
+
+/**
+ * Shows validation errors next to the fields they belong to
+ * @param {Array} errors - See validateSettings
+ */
+function showSettingsErrors(errors) {
+    settingsModal.querySelectorAll('.settings-errors').forEach(el => { el.innerHTML = ''; });
+    settingsModal.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
+
+    errors.forEach(error => {
+        let fieldset = settingsExportFields.closest('.settings-section');
+        if (error.provider) {
+            fieldset = [...settingsProviderList.children].find(el => el.dataset.provider === error.provider);
+        } else if (error.field && error.field.startsWith('report.')) {
+            fieldset = settingsReportSection;
+        }
+        if (!fieldset) return;
+
+        const input = error.field && fieldset.querySelector(`[data-setting="${error.field}"]`);
+        if (input) input.classList.add('invalid');
+        fieldset.querySelector('.settings-errors').insertAdjacentHTML('beforeend', `<p>${escapeHtml(error.message)}</p>`);
+    });
+}
+
+async function saveSettings() {
+    const { value, errors } = validateSettings(readSettingsForm());
+    showSettingsErrors(errors);
+    if (errors.length) {
+        showNotification(t('toast.settingsInvalid'), "error");
+        return;
+    }
+    // Sealed tokens can't be read or replaced without the key
+    if (isWorkspaceLocked() && Object.keys(splitSettingsSecrets(value).secrets).length) {
+        showNotification(t('toast.settingsLocked'), "error");
+        return;
+    }
+
+    try {
+        await writeSettings(value);
+    } catch (e) {
+        console.error("Could not save settings:", e);
+        showNotification(t('toast.settingsSaveFailed'), "error");
+        return;
+    }
+    settings = value;
+    renderProviderOptions();
+    // Privacy mode may have changed
+    refreshTable();
+    closeSettings();
+    showNotification(t('toast.settingsSaved'));
+}
+
+/**
+ * Separates provider tokens and headers from the rest of the settings
+ * @param {object} value - Settings
+ * @returns {{plain: object, secrets: object}} secrets: { providerId: {token, headers} }
+ */
+function splitSettingsSecrets(value) {
+    const plain = { ...value, providers: {} };
+    const secrets = {};
+    Object.entries(value.providers).forEach(([id, config]) => {
+        const { token, headers, ...rest } = config;
+        plain.providers[id] = rest;
+        if (token || (headers && Object.keys(headers).length)) secrets[id] = { token, headers };
+    });
+    return { plain, secrets };
+}
+
+/**
+ * Saves settings to localStorage. With encryption on, tokens and headers are sealed
+ * with the workspace key; while locked, the ones sealed before are kept as they are.
+ * @param {object} value
+ */
+async function writeSettings(value) {
+    if (!isWorkspaceEncrypted()) {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(value));
+        localStorage.removeItem(SETTINGS_SECRETS_STORAGE_KEY);
+        return;
+    }
+
+    const { plain, secrets } = splitSettingsSecrets(value);
+    if (workspaceKeys) {
+        const sealed = await encryptBytes(workspaceKeys, new TextEncoder().encode(JSON.stringify(secrets)));
+        localStorage.setItem(SETTINGS_SECRETS_STORAGE_KEY, JSON.stringify({ iv: [...sealed.iv], data: [...new Uint8Array(sealed.data)] }));
+    }
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(plain));
+}
+
+/**
+ * Adds the sealed tokens and headers back into settings once the workspace is unlocked,
+ * and seals any still saved in plain text from before encryption covered them
+ */
+async function restoreSettingsSecrets() {
+    if (!isWorkspaceEncrypted() || !workspaceKeys) return;
+
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_SECRETS_STORAGE_KEY));
+    if (stored) {
+        const json = await decryptBytes(workspaceKeys, { iv: new Uint8Array(stored.iv), data: new Uint8Array(stored.data) });
+        Object.entries(JSON.parse(new TextDecoder().decode(json))).forEach(([id, secret]) => {
+            settings.providers[id] = { ...settings.providers[id], ...secret };
+        });
+    }
+    await writeSettings(settings);
+}
+
+function resetSettingsForm() {
+    renderSettingsForm(getDefaultSettings());
+    showSettingsErrors([]);
+}
+
+/**
+ * Downloads the dialog's current values as JSON for sharing with the team
+ */
+function exportSettingsFile() {
+    const { value, errors } = validateSettings(readSettingsForm());
+    showSettingsErrors(errors);
+    if (errors.length) {
+        showNotification(t('toast.settingsInvalid'), "error");
+        return;
+    }
+
+    // Extra headers often carry an Authorization or API key value, so they go with the tokens
+    if (!settingsIncludeTokens.checked) {
+        Object.values(value.providers).forEach(config => {
+            delete config.token;
+            delete config.headers;
+        });
+    }
+    downloadBlob(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }), 'leads_settings.json');
+}
+
+/**
+ * Loads a shared settings file into the dialog; nothing is saved until the user clicks Save
+ */
+async function importSettingsFile() {
+    const file = settingsImportInput.files[0];
+    settingsImportInput.value = '';
+    if (!file) return;
+
+    let raw;
+    try {
+        raw = JSON.parse(await file.text());
+    } catch (e) {
+        console.error("Settings import failed:", e);
+        showNotification(t('toast.settingsNotJson'), "error");
+        return;
+    }
+
+    const { value, errors } = validateSettings(raw);
+    renderSettingsForm(value);
+    showSettingsErrors(errors);
+    showNotification(t(errors.length ? 'toast.settingsImportedWithProblems' : 'toast.settingsImported'),
+        errors.length ? "error" : "success");
+}
+
+/**
+ * Sends a probe request to one endpoint using the values currently in the dialog.
+ * Search sources get an empty test search; workflows (passive providers) only get an
+ * OPTIONS request, since any POST would start a real workflow run.
+ * @param {Event} e
+ */
+async function handleSettingsTest(e) {
+    const button = e.target.closest('[data-action="test"]');
+    if (!button) return;
+
+    const fieldset = button.closest('.settings-provider');
+    const provider = searchProviders.get(fieldset.dataset.provider);
+    const result = fieldset.querySelector('.settings-test-result');
+
+    const raw = readSettingsForm();
+    const { value, errors } = validateSettings({ providers: { [provider.id]: raw.providers[provider.id] } });
+    const config = { ...getProviderConfig(provider), ...value.providers[provider.id] };
+    if (errors.length || !config.endpoint) {
+        result.className = 'settings-test-result failed';
+        result.textContent = errors.length ? errors[0].message : t('settings.testNoEndpoint');
+        return;
+    }
+    const timeoutMs = config.timeoutSeconds !== undefined ? config.timeoutSeconds * 1000 : provider.timeoutMs;
+
+    button.disabled = true;
+    result.className = 'settings-test-result';
+    result.textContent = t('settings.testing');
+    const started = performance.now();
+
+    try {
+        const authHeaders = provider.authHeaders({ token: config.token, headers: config.headers || {} });
+        const response = await fetchWithTimeout(config.endpoint, provider.passive ? { method: 'OPTIONS', headers: authHeaders } : {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...authHeaders },
+            body: JSON.stringify({ name: '', location: '', technology: '', test: true })
+        }, timeoutMs);
+        const elapsed = Math.round(performance.now() - started);
+        // A workflow webhook may not answer OPTIONS itself; any response shows it is reachable
+        const ok = response.ok || provider.passive;
+        result.className = `settings-test-result ${ok ? 'ok' : 'failed'}`;
+        result.textContent = ok
+            ? t('settings.testOk', { status: response.status, elapsed })
+            : t('settings.testHttpError', { status: response.status });
+    } catch (error) {
+        console.warn(`${provider.label} connection test failed:`, error);
+        result.className = 'settings-test-result failed';
+        result.textContent = error.name === 'TimeoutError'
+            ? t('serverError.timeout', { seconds: timeoutMs / 1000 })
+            : t('settings.testFailed');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// ================= LEAD WORKSPACE =================
+
+/**
+ * Opens (once) the workspace database, creating its stores on first use
+ * @returns {Promise<IDBDatabase>}
+ */
+function openWorkspaceDB() {
+    if (!workspaceDbPromise) {
+        workspaceDbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(WORKSPACE_DB_NAME, WORKSPACE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.values(WORKSPACE_STORES).forEach(storeName => {
+                    if (!db.objectStoreNames.contains(storeName)) {
+                        db.createObjectStore(storeName, WORKSPACE_STORE_OPTIONS[storeName]);
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                // Let another tab upgrade or purge the database; this one reopens it when next needed
+                db.onversionchange = () => {
+                    db.close();
+                    workspaceDbPromise = null;
+                };
+                resolve(db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a retry after a failed open
+        workspaceDbPromise.catch(() => { workspaceDbPromise = null; });
+    }
+    return workspaceDbPromise;
+}
+
+/**
+ * Runs one request against a workspace store
+ * @param {string} storeName
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} makeRequest - (store) => IDBRequest
+ * @returns {Promise<any>} The request's result, once the transaction completes
+ */
+async function workspaceRequest(storeName, mode, makeRequest) {
+    const db = await openWorkspaceDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// The helpers below seal and open records when the workspace is encrypted (see sealRecord)
+
+async function workspaceGet(storeName, key) {
+    const keys = getWorkspaceKeys();
+    const storageKey = await toStorageKey(storeName, key, keys);
+    const record = await workspaceRequest(storeName, 'readonly', store => store.get(storageKey));
+    return record && openRecord(storeName, record, keys);
+}
+
+async function workspaceGetAll(storeName) {
+    const keys = getWorkspaceKeys();
+    const records = await workspaceRequest(storeName, 'readonly', store => store.getAll());
+    return Promise.all(records.map(record => openRecord(storeName, record, keys)));
+}
+
+async function workspacePut(storeName, value) {
+    const record = await sealRecord(storeName, value, getWorkspaceKeys());
+    return workspaceRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+async function workspaceDelete(storeName, key) {
+    const storageKey = await toStorageKey(storeName, key, getWorkspaceKeys());
+    return workspaceRequest(storeName, 'readwrite', store => store.delete(storageKey));
+}
+
+/**
+ * Identity of a lead in the workspace: email, else phone, else name + location
+ * @param {object} lead
+ * @returns {string}
+ */
+function getLeadKey(lead) {
+    const email = normalizeEmail(lead.email);
+    if (email) return `email:${email}`;
+    const phone = getComparablePhone(lead);
+    if (phone) return `phone:${phone}`;
+    return `name:${normalizePersonText(lead.name)}|${normalizePersonText(lead.location)}`;
+}
+
+/**
+ * Key of the workspace record a result row or record belongs to. Rows keep the key they
+ * got when they arrived, so later edits never move their notes to another record.
+ * @param {object} lead - Result row or workspace record
+ * @returns {string}
+ */
+function getWorkspaceKey(lead) {
+    return lead.workspaceKey || lead.key || getLeadKey(lead);
+}
+
+/**
+ * Opaque id of a lead for data attributes, so masked emails never reach the DOM
+ * @param {object} lead - Result row or workspace record
+ * @returns {string}
+ */
+function getLeadHandle(lead) {
+    const key = getWorkspaceKey(lead);
+    if (!leadHandles.has(key)) {
+        const handle = `lead-${leadHandles.size + 1}`;
+        leadHandles.set(key, handle);
+        leadHandleKeys.set(handle, key);
+    }
+    return leadHandles.get(key);
+}
+
+/**
+ * @param {string} handle - See getLeadHandle
+ * @returns {string} The lead's workspace key, or '' for an unknown handle
+ */
+function getLeadKeyFromHandle(handle) {
+    return leadHandleKeys.get(handle) || '';
+}
+
+/**
+ * Adds the selected results to the workspace shortlist, keeping the status and
+ * notes of leads that are already there
+ */
+async function shortlistSelectedLeads() {
+    const leads = getSelectedLeads();
+    const now = new Date().toISOString();
+
+    try {
+        for (const lead of leads) {
+            const existing = await workspaceGet(WORKSPACE_STORES.leads, getWorkspaceKey(lead));
+            await workspacePut(WORKSPACE_STORES.leads, toWorkspaceRecord(lead, existing, now));
+        }
+        showNotification(t('toast.leadsShortlisted', { count: leads.length }));
+    } catch (e) {
+        console.error("Could not save to workspace:", e);
+        showNotification(t('toast.shortlistFailed'), "error");
+    }
+}
+
+/**
+ * Builds a lead's workspace record, keeping the status, notes and outreach of an existing one
+ * @param {object} lead - Result row
+ * @param {object} [existing] - Record already in the leads store
+ * @param {string} now - ISO timestamp
+ * @returns {object}
+ */
+function toWorkspaceRecord(lead, existing, now) {
+    const record = {
+        status: LEAD_STATUSES[0],
+        notes: '',
+        events: [],
+        lastContacted: '',
+        addedAt: now,
+        ...existing,
+        key: getWorkspaceKey(lead),
+        updatedAt: now
+    };
+    LEAD_FIELDS.forEach(field => { record[field] = lead[field] || record[field] || ''; });
+    record.source = lead.source || record.source || '';
+    record.tags = Array.from(new Set([...(record.tags || []), ...(lead.tags || [])]));
+    if (lead.extra) record.extra = { ...record.extra, ...lead.extra };
+    return record;
+}
+
+/**
+ * Pins the form's current search as a saved search in the workspace
+ */
+async function saveCurrentSearch() {
+    const criteria = getSearchCriteria();
+    const fileName = (fileInput.files[0] || cachedFile || {}).name || '';
+
+    try {
+        const searches = await workspaceGetAll(WORKSPACE_STORES.searches);
+        const signature = getSearchSignature(criteria, fileName);
+        const existing = searches.find(search => getSearchSignature(search.criteria, search.fileName) === signature);
+        const now = new Date().toISOString();
+
+        await workspacePut(WORKSPACE_STORES.searches, existing ? { ...existing, pinned: true } : {
+            name: getDefaultSearchName(criteria, fileName),
+            criteria,
+            fileName,
+            sources: [],
+            resultCount: currentData.length,
+            resultKeys: getResultKeys(currentData),
+            savedAt: now,
+            lastRunAt: now,
+            pinned: true
+        });
+        showNotification(t('toast.searchSaved'));
+    } catch (e) {
+        console.error("Could not save search:", e);
+        showNotification(t('toast.searchSaveFailed'), "error");
+    }
+}
+
+async function openWorkspace() {
+    if (isWorkspaceLocked()) {
+        openPassphraseDialog('unlock');
+        return;
+    }
+    workspaceModal.classList.remove('hidden');
+    await Promise.all([renderWorkspaceLeads(), renderWorkspaceSearches(), renderSubmissionLog(), renderAuditLog()]);
+}
+
+function closeWorkspace() {
+    workspaceModal.classList.add('hidden');
+}
+
+/**
+ * @param {Event} e
+ */
+function handleWorkspaceTabClick(e) {
+    const tab = e.target.closest('[data-tab]');
+    if (!tab) return;
+
+    workspaceTabs.querySelectorAll('[data-tab]').forEach(button => {
+        button.classList.toggle('active', button === tab);
+    });
+    workspaceLeadsPanel.classList.toggle('hidden', tab.dataset.tab !== 'leads');
+    workspaceSearchesPanel.classList.toggle('hidden', tab.dataset.tab !== 'searches');
+    workspaceActivityPanel.classList.toggle('hidden', tab.dataset.tab !== 'activity');
+    workspaceAuditPanel.classList.toggle('hidden', tab.dataset.tab !== 'audit');
+}
+
+/**
+ * Shortlisted leads passing the workspace filters, most recently updated first
+ * @returns {Promise<Array>}
+ */
+async function getFilteredWorkspaceLeads() {
+    const text = foldText(workspaceLeadFilter.value.trim());
+    const status = workspaceStatusFilter.value;
+
+    const leads = await workspaceGetAll(WORKSPACE_STORES.leads);
+    return leads
+        .filter(lead => !status || lead.status === status)
+        .filter(lead => !text || WORKSPACE_LEAD_FIELDS.some(field => foldText(formatFieldValue(lead, field)).includes(text)))
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+async function renderWorkspaceLeads() {
+    let leads;
+    try {
+        leads = await getFilteredWorkspaceLeads();
+    } catch (e) {
+        console.error("Could not read workspace:", e);
+        showNotification(t('toast.workspaceOpenFailed'), "error");
+        return;
+    }
+
+    workspaceLeadsEmpty.classList.toggle('hidden', leads.length > 0);
+    workspaceLeadsBody.innerHTML = leads.map(lead => `
+        <tr data-lead="${getLeadHandle(lead)}">
+            <td>
+                <strong>${escapeHtml(lead.name || '-')}</strong>
+                <div class="workspace-muted">${escapeHtml(lead.location || '')}</div>
+            </td>
+            <td>
+                <div>${lead.email && isContactMasked(lead) ? renderMaskedContact(lead, 'email') : escapeHtml(lead.email || '-')}</div>
+                <div class="workspace-muted">${lead.phone && isContactMasked(lead) ? renderMaskedContact(lead, 'phone') : escapeHtml(lead.phone || '')}</div>
+            </td>
+            <td>${escapeHtml(lead.technology || '-')}</td>
+            <td>
+                <select data-field="status">
+                    ${LEAD_STATUSES.map(status => `<option value="${status}" ${lead.status === status ? 'selected' : ''}>${escapeHtml(getStatusLabel(status))}</option>`).join('')}
+                </select>
+            </td>
+            <td><input type="date" data-field="lastContacted" value="${escapeHtml(lead.lastContacted || '')}"></td>
+            <td><textarea data-field="notes" rows="2" placeholder="${t('field.notes')}">${escapeHtml(lead.notes || '')}</textarea></td>
+            <td>
+                <button type="button" class="modal-close" data-action="remove" title="${t('workspace.removeLead')}">
+                    <i class="fa-solid fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Saves an edited status, date or note as soon as it changes
+ * @param {Event} e
+ */
+async function handleWorkspaceLeadChange(e) {
+    const input = e.target.closest('[data-field]');
+    if (!input) return;
+
+    const key = getLeadKeyFromHandle(input.closest('tr').dataset.lead);
+    try {
+        const lead = await workspaceGet(WORKSPACE_STORES.leads, key);
+        if (!lead) return;
+
+        lead[input.dataset.field] = input.value;
+        // Moving a lead to "contacted" stamps today's date if none was entered
+        if (input.dataset.field === 'status' && input.value === 'contacted' && !lead.lastContacted) {
+            lead.lastContacted = new Date().toISOString().slice(0, 10);
+            input.closest('tr').querySelector('[data-field="lastContacted"]').value = lead.lastContacted;
+        }
+        lead.updatedAt = new Date().toISOString();
+        await workspacePut(WORKSPACE_STORES.leads, lead);
+        rememberLeadActivity(lead);
+    } catch (err) {
+        console.error("Could not update lead:", err);
+        showNotification(t('toast.changeSaveFailed'), "error");
+    }
+}
+
+/**
+ * @param {Event} e
+ */
+async function handleWorkspaceLeadRemove(e) {
+    const button = e.target.closest('[data-action="remove"]');
+    if (!button) return;
+
+    try {
+        const key = getLeadKeyFromHandle(button.closest('tr').dataset.lead);
+        await workspaceDelete(WORKSPACE_STORES.leads, key);
+        rememberLeadActivity({ key });
+        await renderWorkspaceLeads();
+    } catch (err) {
+        console.error("Could not remove lead:", err);
+        showNotification(t('toast.leadRemoveFailed'), "error");
+    }
+}
+
+/**
+ * Lists saved (pinned) searches and the search history, most recently run first
+ */
+async function renderWorkspaceSearches() {
+    let searches;
+    try {
+        searches = await workspaceGetAll(WORKSPACE_STORES.searches);
+    } catch (e) {
+        console.error("Could not read saved searches:", e);
+        return;
+    }
+
+    searches.sort((a, b) => String(b.lastRunAt || b.savedAt).localeCompare(String(a.lastRunAt || a.savedAt)));
+    const saved = searches.filter(isPinnedSearch);
+    const history = searches.filter(search => !isPinnedSearch(search));
+
+    workspaceSearchList.innerHTML = saved.map(renderSearchItem).join('')
+        || `<li class="workspace-muted">${escapeHtml(t('workspace.savedEmpty'))}</li>`;
+    workspaceHistoryList.innerHTML = history.map(renderSearchItem).join('')
+        || `<li class="workspace-muted">${t('workspace.historyEmpty')}</li>`;
+}
+
+/**
+ * @param {object} search - Record of the searches store
+ * @returns {string}
+ */
+function renderSearchItem(search) {
+    const pinned = isPinnedSearch(search);
+    const sources = (search.sources || [])
+        .map(id => searchProviders.has(id) ? getProviderLabel(searchProviders.get(id)) : id)
+        .join(', ');
+    const lastRun = new Date(search.lastRunAt || search.savedAt);
+    return `
+        <li class="saved-search${pinned ? ' pinned' : ''}" data-id="${search.id}">
+            <div class="saved-search-info">
+                <input type="text" class="saved-search-name" value="${escapeHtml(search.name)}" title="${t('workspace.renameSearch')}">
+                <div class="workspace-muted">
+                    ${escapeHtml(describeCriteria(search.criteria, search.fileName))}
+                    ${sources ? `· ${escapeHtml(sources)}` : ''}
+                    · ${t(search.lastRunAt ? 'workspace.searchLastRun' : 'workspace.searchSaved', { count: search.resultCount, date: lastRun.toLocaleString(currentLocale) })}
+                </div>
+            </div>
+            <button type="button" class="btn-sm btn-outline" data-action="run">
+                <i class="fa-solid fa-play"></i> ${t('workspace.runSearch')}
+            </button>
+            <button type="button" class="modal-close" data-action="pin" title="${t(pinned ? 'workspace.unpinSearch' : 'workspace.pinSearch')}">
+                <i class="fa-solid ${pinned ? 'fa-thumbtack-slash' : 'fa-thumbtack'}"></i>
+            </button>
+            <button type="button" class="modal-close" data-action="delete" title="${t('workspace.deleteSearch')}">
+                <i class="fa-solid fa-trash"></i>
+            </button>
+        </li>
+    `;
+}
+
+/**
+ * One-line summary of search criteria ("Technology: React · Location: Pune")
+ * @param {object} criteria
+ * @param {string} [fileName]
+ * @returns {string}
+ */
+function describeCriteria(criteria, fileName) {
+    const parts = ['name', 'location', 'technology']
+        .filter(field => criteria[field])
+        .map(field => `${getFieldLabel(field)}: ${criteria[field]}`);
+    if (fileName) parts.push(t('search.criteriaFile', { name: fileName }));
+    return parts.join(' · ') || t('search.noCriteria');
+}
+
+/**
+ * Runs, pins/unpins or deletes a saved or recent search
+ * @param {Event} e
+ */
+async function handleWorkspaceSearchAction(e) {
+    const button = e.target.closest('[data-action]');
+    if (!button) return;
+
+    const id = Number(button.closest('.saved-search').dataset.id);
+    try {
+        if (button.dataset.action === 'delete') {
+            await workspaceDelete(WORKSPACE_STORES.searches, id);
+            await renderWorkspaceSearches();
+            return;
+        }
+
+        const search = await workspaceGet(WORKSPACE_STORES.searches, id);
+        if (!search) return;
+
+        if (button.dataset.action === 'pin') {
+            await workspacePut(WORKSPACE_STORES.searches, { ...search, pinned: !isPinnedSearch(search) });
+            await pruneSearchHistory();
+            await renderWorkspaceSearches();
+            return;
+        }
+
+        ['name', 'location', 'technology'].forEach(field => {
+            document.getElementById(field).value = search.criteria[field] || '';
+        });
+        // Search the same sources again (searches saved before sources were recorded keep the current choice)
+        if (search.sources && search.sources.length) {
+            localStorage.setItem(PROVIDER_SELECTION_STORAGE_KEY, JSON.stringify(search.sources));
+            renderProviderOptions();
+        }
+        closeWorkspace();
+        searchForm.requestSubmit();
+    } catch (err) {
+        console.error("Saved search action failed:", err);
+        showNotification(t('toast.searchOpenFailed'), "error");
+    }
+}
+
+/**
+ * @param {Event} e
+ */
+async function handleWorkspaceSearchRename(e) {
+    const input = e.target.closest('.saved-search-name');
+    if (!input) return;
+
+    try {
+        const search = await workspaceGet(WORKSPACE_STORES.searches, Number(input.closest('.saved-search').dataset.id));
+        if (!search) return;
+        search.name = input.value.trim() || search.name;
+        await workspacePut(WORKSPACE_STORES.searches, search);
+    } catch (err) {
+        console.error("Could not rename search:", err);
+        showNotification(t('toast.searchRenameFailed'), "error");
+    }
+}
+
+/**
+ * Exports the shortlist as currently filtered in the workspace view
+ * @param {string} format - 'csv' | 'xlsx'
+ */
+async function exportWorkspaceLeads(format) {
+    const leads = await getFilteredWorkspaceLeads();
+    if (!leads.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    if (format === 'csv') {
+        downloadBlob(toCSVBlob(buildCSV(leads, WORKSPACE_LEAD_FIELDS, getCsvSeparator())), getExportFileName('leads_workspace', 'csv'));
+        logAudit('export', leads, t('audit.shortlistCsv'));
+        showNotification(t('toast.csvDownloaded'));
+    } else {
+        writeExcel(leads, WORKSPACE_LEAD_FIELDS, getExportFileName('leads_workspace', 'xlsx'), "Workspace");
+        logAudit('export', leads, t('audit.shortlistExcel'));
+        showNotification(t('toast.excelDownloaded'));
+    }
+}
+
+// ================= PRIVACY & ENCRYPTION =================
+// With encryption on, every workspace record is sealed with AES-GCM under a key derived from
+// the user's passphrase (PBKDF2). Records keep only their store key on the outside, and lead
+// keys (which contain emails) are replaced by an HMAC of the key. The derived keys live in
+// memory for the session, so a reload locks the workspace again. Of the settings, only
+// provider tokens and headers are sealed (see writeSettings); the rest is needed while locked.
+
+/**
+ * @returns {boolean} Whether the workspace was encrypted with a passphrase
+ */
+function isWorkspaceEncrypted() {
+    return Boolean(localStorage.getItem(ENCRYPTION_STORAGE_KEY));
+}
+
+/**
+ * @returns {boolean} Whether the workspace is encrypted and not unlocked this session
+ */
+function isWorkspaceLocked() {
+    return isWorkspaceEncrypted() && !workspaceKeys;
+}
+
+/**
+ * Keys to seal and open records with
+ * @returns {object|null} {aes, hmac}, or null when the workspace is not encrypted
+ */
+function getWorkspaceKeys() {
+    if (isWorkspaceLocked()) throw createLockedError();
+    return workspaceKeys;
+}
+
+function createLockedError() {
+    const error = new Error("The workspace is locked. Unlock it with your passphrase first.");
+    error.name = 'WorkspaceLockedError';
+    return error;
+}
+
+/**
+ * Derives the record encryption key and the lead key HMAC key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<{aes: CryptoKey, hmac: CryptoKey}>}
+ */
+async function deriveWorkspaceKeys(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+    const bits = new Uint8Array(await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+    return {
+        aes: await crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+        hmac: await crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+    };
+}
+
+/**
+ * @param {object} keys
+ * @param {Uint8Array} bytes
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+ */
+async function encryptBytes(keys, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aes, bytes);
+    return { iv, data };
+}
+
+/**
+ * Rejects when the key is wrong or the data was tampered with
+ * @param {object} keys
+ * @param {{iv: Uint8Array, data: BufferSource}} sealed
+ * @returns {Promise<ArrayBuffer>}
+ */
+function decryptBytes(keys, { iv, data }) {
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, keys.aes, data);
+}
+
+/**
+ * Key a record is stored under: lead keys are hashed once the workspace is encrypted
+ * @param {string} storeName
+ * @param {any} key
+ * @param {object|null} keys
+ * @returns {Promise<any>}
+ */
+async function toStorageKey(storeName, key, keys) {
+    if (!keys || storeName !== WORKSPACE_STORES.leads) return key;
+    const digest = await crypto.subtle.sign('HMAC', keys.hmac, new TextEncoder().encode(key));
+    return `h:${[...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Encrypts a record for storage. Blobs (the upload, files in queued submissions) are
+ * encrypted separately and referenced from the JSON by index.
+ * @param {string} storeName
+ * @param {object} value
+ * @param {object|null} keys - null stores the record as it is
+ * @returns {Promise<object>} {[keyPath], sealed: {iv, data, blobs}}
+ */
+async function sealRecord(storeName, value, keys) {
+    if (!keys) return value;
+
+    const blobs = [];
+    const json = JSON.stringify(value, (name, item) => {
+        if (!(item instanceof Blob)) return item;
+        blobs.push(item);
+        return { $blob: blobs.length - 1, name: item.name, type: item.type, lastModified: item.lastModified };
+    });
+
+    const sealed = await encryptBytes(keys, new TextEncoder().encode(json));
+    sealed.blobs = [];
+    for (const blob of blobs) {
+        sealed.blobs.push(await encryptBytes(keys, new Uint8Array(await readFileBuffer(blob))));
+    }
+
+    // Without a key, an auto-increment store assigns one
+    const { keyPath } = WORKSPACE_STORE_OPTIONS[storeName];
+    const record = { sealed };
+    if (value[keyPath] !== undefined) record[keyPath] = await toStorageKey(storeName, value[keyPath], keys);
+    return record;
+}
+
+/**
+ * Decrypts a stored record; records saved before encryption was turned on come back as they are
+ * @param {string} storeName
+ * @param {object} record
+ * @param {object|null} keys
+ * @returns {Promise<object>}
+ */
+async function openRecord(storeName, record, keys) {
+    if (!record.sealed) return record;
+    if (!keys) throw createLockedError();
+
+    const blobParts = [];
+    for (const part of record.sealed.blobs) {
+        blobParts.push(await decryptBytes(keys, part));
+    }
+    const json = new TextDecoder().decode(await decryptBytes(keys, record.sealed));
+    const value = JSON.parse(json, (name, item) => {
+        if (!item || item.$blob === undefined) return item;
+        const bytes = blobParts[item.$blob];
+        return item.name !== undefined
+            ? new File([bytes], item.name, { type: item.type, lastModified: item.lastModified })
+            : new Blob([bytes], { type: item.type });
+    });
+
+    // Hashed lead keys stay outside; the real one is in the record. Other keys may have been assigned on put.
+    const { keyPath } = WORKSPACE_STORE_OPTIONS[storeName];
+    if (storeName !== WORKSPACE_STORES.leads) value[keyPath] = record[keyPath];
+    return value;
+}
+
+/**
+ * @returns {object|null} {salt, iterations, check: {iv, data}} as saved by enableEncryption
+ */
+function loadEncryptionConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(ENCRYPTION_STORAGE_KEY));
+    } catch (e) {
+        console.warn("Could not read the encryption settings:", e);
+        return null;
+    }
+}
+
+/**
+ * Every record in the workspace, decrypted with the current keys
+ * @returns {Promise<object>} { storeName: records[] }
+ */
+async function readWorkspaceRecords() {
+    const records = {};
+    for (const storeName of Object.values(WORKSPACE_STORES)) {
+        records[storeName] = await workspaceGetAll(storeName);
+    }
+    return records;
+}
+
+/**
+ * Rewrites the whole workspace in one transaction, so a failure leaves it as it was
+ * @param {object} records - { storeName: records[] }, see readWorkspaceRecords
+ * @param {object|null} keys - Keys to seal the records with (null = store them unencrypted)
+ */
+async function replaceWorkspaceRecords(records, keys) {
+    const sealed = {};
+    for (const [storeName, values] of Object.entries(records)) {
+        sealed[storeName] = [];
+        for (const value of values) {
+            sealed[storeName].push(await sealRecord(storeName, value, keys));
+        }
+    }
+
+    const db = await openWorkspaceDB();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(Object.keys(sealed), 'readwrite');
+        Object.entries(sealed).forEach(([storeName, values]) => {
+            const store = transaction.objectStore(storeName);
+            store.clear();
+            values.forEach(value => store.put(value));
+        });
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Encrypts everything in the workspace with a new passphrase
+ * @param {string} passphrase
+ */
+async function enableEncryption(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const keys = await deriveWorkspaceKeys(passphrase, salt, ENCRYPTION_ITERATIONS);
+    const check = await encryptBytes(keys, new TextEncoder().encode(ENCRYPTION_CHECK_TEXT));
+
+    await replaceWorkspaceRecords(await readWorkspaceRecords(), keys);
+    localStorage.setItem(ENCRYPTION_STORAGE_KEY, JSON.stringify({
+        salt: [...salt],
+        iterations: ENCRYPTION_ITERATIONS,
+        check: { iv: [...check.iv], data: [...new Uint8Array(check.data)] }
+    }));
+    workspaceKeys = keys;
+    await writeSettings(settings);
+}
+
+/**
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} Whether the passphrase was right
+ */
+async function unlockWorkspace(passphrase) {
+    const config = loadEncryptionConfig();
+    const keys = await deriveWorkspaceKeys(passphrase, new Uint8Array(config.salt), config.iterations);
+    try {
+        const check = await decryptBytes(keys, { iv: new Uint8Array(config.check.iv), data: new Uint8Array(config.check.data) });
+        if (new TextDecoder().decode(check) !== ENCRYPTION_CHECK_TEXT) return false;
+    } catch (e) {
+        // AES-GCM refuses to decrypt with the wrong key
+        return false;
+    }
+    workspaceKeys = keys;
+    return true;
+}
+
+/**
+ * Stores the workspace unencrypted again (it has to be unlocked)
+ */
+async function disableEncryption() {
+    if (!confirm(t('confirm.disableEncryption'))) return;
+
+    try {
+        await replaceWorkspaceRecords(await readWorkspaceRecords(), null);
+        localStorage.removeItem(ENCRYPTION_STORAGE_KEY);
+        workspaceKeys = null;
+        await writeSettings(settings);
+        showNotification(t('toast.encryptionOff'));
+    } catch (e) {
+        console.error("Could not decrypt the workspace:", e);
+        showNotification(t('toast.encryptionOffFailed'), "error");
+    }
+    renderEncryptionStatus();
+}
+
+/**
+ * Forgets the keys by reloading, which also drops the restored upload and notes from memory
+ */
+function lockWorkspace() {
+    workspaceKeys = null;
+    window.location.reload();
+}
+
+function handleLockClick() {
+    if (workspaceKeys) lockWorkspace();
+    else openPassphraseDialog('unlock');
+}
+
+/**
+ * Restores the workspace on load, asking for the passphrase first if it is encrypted
+ */
+function initWorkspace() {
+    if (isWorkspaceLocked()) {
+        openPassphraseDialog('unlock');
+        return;
+    }
+    restoreWorkspace();
+}
+
+/**
+ * Brings back the last upload, saved notes, the submission queue and sealed settings,
+ * and writes audit entries made while locked
+ */
+function restoreWorkspace() {
+    loadFileFromStorage();
+    loadLeadActivity();
+    initSubmissionQueue();
+    restoreSettingsSecrets().catch(e => console.error("Could not unseal settings:", e));
+    flushPendingAudit();
+}
+
+/**
+ * @param {string} mode - 'create' to encrypt the workspace, 'unlock' to open it
+ */
+function openPassphraseDialog(mode) {
+    passphraseMode = mode;
+    const creating = mode === 'create';
+
+    passphraseTitle.innerHTML = creating
+        ? `<i class="fa-solid fa-lock"></i> ${t('passphrase.createTitle')}`
+        : `<i class="fa-solid fa-lock-open"></i> ${t('passphrase.unlockTitle')}`;
+    passphraseMessage.textContent = creating
+        ? t('passphrase.createMessage', { min: PASSPHRASE_MIN_LENGTH })
+        : t('passphrase.unlockMessage');
+    passphraseConfirmLabel.classList.toggle('hidden', !creating);
+    passphraseInput.autocomplete = creating ? 'new-password' : 'current-password';
+    passphraseSubmitBtn.textContent = t(creating ? 'passphrase.encrypt' : 'passphrase.unlock');
+    passphraseCancelBtn.textContent = t(creating ? 'common.cancel' : 'passphrase.notNow');
+
+    passphraseForm.reset();
+    passphraseError.classList.add('hidden');
+    passphraseModal.classList.remove('hidden');
+    passphraseInput.focus();
+}
+
+function closePassphraseDialog() {
+    passphraseModal.classList.add('hidden');
+    passphraseMode = null;
+}
+
+/**
+ * @param {Event} e
+ */
+async function submitPassphrase(e) {
+    e.preventDefault();
+    const passphrase = passphraseInput.value;
+    const fail = message => {
+        passphraseError.textContent = message;
+        passphraseError.classList.remove('hidden');
+    };
+
+    if (passphraseMode === 'create') {
+        if (passphrase.length < PASSPHRASE_MIN_LENGTH) return fail(t('passphrase.tooShort', { min: PASSPHRASE_MIN_LENGTH }));
+        if (passphrase !== passphraseConfirmInput.value) return fail(t('passphrase.mismatch'));
+    }
+
+    passphraseSubmitBtn.disabled = true;
+    try {
+        if (passphraseMode === 'create') {
+            await enableEncryption(passphrase);
+            showNotification(t('toast.encrypted'));
+        } else {
+            if (!(await unlockWorkspace(passphrase))) return fail(t('passphrase.wrong'));
+            restoreWorkspace();
+            showNotification(t('toast.unlocked'));
+        }
+        closePassphraseDialog();
+        renderEncryptionStatus();
+    } catch (err) {
+        console.error("Workspace encryption failed:", err);
+        fail(t('passphrase.failed'));
+    } finally {
+        passphraseSubmitBtn.disabled = false;
+    }
+}
+
+/**
+ * Shows whether the workspace is encrypted and which encryption actions apply
+ */
+function renderEncryptionStatus() {
+    const encrypted = isWorkspaceEncrypted();
+    settingsEncryptionStatus.textContent = t(!encrypted
+        ? 'settings.encryptionOff'
+        : workspaceKeys ? 'settings.encryptionUnlocked' : 'settings.encryptionLocked');
+    settingsEncryptBtn.classList.toggle('hidden', encrypted);
+    settingsLockBtn.classList.toggle('hidden', !encrypted);
+    settingsLockBtn.innerHTML = workspaceKeys
+        ? `<i class="fa-solid fa-lock"></i> ${t('settings.lockNow')}`
+        : `<i class="fa-solid fa-lock-open"></i> ${t('settings.unlock')}`;
+    settingsDecryptBtn.classList.toggle('hidden', !encrypted || !workspaceKeys);
+}
+
+/**
+ * Deletes the workspace and everything this app saved in the browser, then starts over
+ */
+async function purgeLocalData() {
+    if (!confirm(t('confirm.purge'))) return;
+
+    cancelSearch();
+    clearTimeout(submissionTimer);
+    try {
+        if (workspaceDbPromise) (await workspaceDbPromise).close();
+        workspaceDbPromise = null;
+        await deleteWorkspaceDB();
+    } catch (e) {
+        console.error("Could not delete the workspace:", e);
+        showNotification(t('toast.purgeFailed'), "error");
+        return;
+    }
+
+    [SETTINGS_STORAGE_KEY, SETTINGS_SECRETS_STORAGE_KEY, PROVIDER_SELECTION_STORAGE_KEY, COLUMN_MAPPING_STORAGE_KEY,
+        TECH_ALIAS_STORAGE_KEY, ENCRYPTION_STORAGE_KEY, LOCALE_STORAGE_KEY]
+        .forEach(key => localStorage.removeItem(key));
+    sessionStorage.removeItem(LEGACY_FILE_STORAGE_KEY);
+    window.location.reload();
+}
+
+/**
+ * @returns {Promise<void>} Resolves once the database is gone
+ */
+function deleteWorkspaceDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(WORKSPACE_DB_NAME);
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+        // Deletion waits until other tabs close their connection
+        request.onblocked = () => showNotification(t('toast.purgeBlocked'), "error");
+    });
+}
+
+/**
+ * @param {object} lead
+ * @returns {boolean} Whether the lead's email and phone are hidden (privacy mode, not revealed)
+ */
+function isContactMasked(lead) {
+    return settings.privacyMode && !revealedLeadKeys.has(getWorkspaceKey(lead));
+}
+
+/**
+ * Hides most of an email ("a•••@example.com") or phone number ("•••• 42")
+ * @param {string} field - 'email' or 'phone'
+ * @param {string} value
+ * @returns {string}
+ */
+function maskContact(field, value) {
+    const text = String(value).trim();
+    if (field === 'email') {
+        const at = text.lastIndexOf('@');
+        return at > 0 ? `${text[0]}•••${text.slice(at)}` : '•••';
+    }
+    return `•••• ${text.replace(/\D/g, '').slice(-2)}`;
+}
+
+/**
+ * Masked email or phone with a button that reveals the lead's contact details
+ * @param {object} lead
+ * @param {string} field
+ * @returns {string} HTML
+ */
+function renderMaskedContact(lead, field) {
+    return `<span class="masked-contact">${escapeHtml(maskContact(field, lead[field]))}</span>` +
+        `<button type="button" class="reveal-btn" data-reveal="${getLeadHandle(lead)}" title="${t('table.reveal')}">` +
+        '<i class="fa-solid fa-eye"></i></button>';
+}
+
+/**
+ * Reveals a lead's email and phone for the rest of the session, and logs it
+ * @param {Event} e
+ */
+async function handleRevealClick(e) {
+    const button = e.target.closest('[data-reveal]');
+    if (!button) return;
+
+    const key = getLeadKeyFromHandle(button.dataset.reveal);
+    if (!key) return;
+    let lead = currentData.find(item => item.workspaceKey === key);
+    if (!lead) {
+        try {
+            lead = await workspaceGet(WORKSPACE_STORES.leads, key);
+        } catch (err) {
+            console.warn("Could not read the revealed lead:", err);
+        }
+    }
+
+    revealedLeadKeys.add(key);
+    logAudit('reveal', lead ? [lead] : []);
+    refreshTable();
+    if (drawerLead && getWorkspaceKey(drawerLead) === key) openLeadDrawer(drawerLead);
+    if (!workspaceModal.classList.contains('hidden')) renderWorkspaceLeads();
+}
+
+/**
+ * Adds an entry to the local audit log. While the workspace is locked the entry waits
+ * in memory until it is unlocked. Failures are only logged, so they never block the
+ * reveal or export itself.
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Array} leads
+ * @param {string} [detail] - e.g. the export format
+ */
+async function logAudit(action, leads, detail = '') {
+    const entry = {
+        at: new Date().toISOString(),
+        action,
+        detail,
+        count: leads.length,
+        leads: leads.map(lead => ({ key: getWorkspaceKey(lead), name: lead.name || '' }))
+    };
+    if (isWorkspaceLocked()) {
+        pendingAuditEntries.push(entry);
+        return;
+    }
+
+    try {
+        await workspacePut(WORKSPACE_STORES.audit, entry);
+        await pruneAuditLog();
+    } catch (e) {
+        console.warn("Could not write the audit log:", e);
+    }
+}
+
+/**
+ * Writes the audit entries made while the workspace was locked
+ */
+async function flushPendingAudit() {
+    const entries = pendingAuditEntries.splice(0);
+    if (!entries.length) return;
+
+    try {
+        for (const entry of entries) {
+            await workspacePut(WORKSPACE_STORES.audit, entry);
+        }
+        await pruneAuditLog();
+    } catch (e) {
+        console.warn("Could not write the audit log:", e);
+    }
+}
+
+/**
+ * Keeps the audit log to AUDIT_LOG_LIMIT entries by dropping the oldest
+ */
+async function pruneAuditLog() {
+    // Entry ids only grow, so the oldest entries have the lowest
+    const ids = await workspaceRequest(WORKSPACE_STORES.audit, 'readonly', store => store.getAllKeys());
+    if (ids.length <= AUDIT_LOG_LIMIT) return;
+
+    const cutoff = ids[ids.length - AUDIT_LOG_LIMIT - 1];
+    await workspaceRequest(WORKSPACE_STORES.audit, 'readwrite', store => store.delete(IDBKeyRange.upperBound(cutoff)));
+}
+
+/**
+ * Lists the audit log, newest first
+ */
+async function renderAuditLog() {
+    let entries;
+    try {
+        entries = await workspaceGetAll(WORKSPACE_STORES.audit);
+    } catch (e) {
+        console.warn("Could not read the audit log:", e);
+        return;
+    }
+
+    entries.sort((a, b) => b.at.localeCompare(a.at));
+    auditLogList.innerHTML = entries.map(entry => `
+        <li class="audit-entry" data-action="${escapeHtml(entry.action)}">
+            <div>
+                <strong>${escapeHtml(AUDIT_ACTIONS.includes(entry.action) ? t(`auditAction.${entry.action}`) : entry.action)}</strong>
+                ${entry.detail ? escapeHtml(entry.detail) : ''}
+                <span class="workspace-muted">· ${t('common.leads', { count: entry.count })}</span>
+            </div>
+            <div class="workspace-muted">${new Date(entry.at).toLocaleString(currentLocale)}</div>
+            ${entry.leads.length ? `<div class="workspace-muted">${escapeHtml(describeAuditLeads(entry.leads))}</div>` : ''}
+        </li>
+    `).join('') || `<li class="workspace-muted">${t('workspace.auditEmpty')}</li>`;
+}
+
+/**
+ * "Asha, Bo and 12 more"
+ * @param {Array<{key: string, name: string}>} leads
+ * @returns {string}
+ */
+function describeAuditLeads(leads) {
+    const names = leads.slice(0, AUDIT_NAMES_SHOWN).map(lead => lead.name || lead.key);
+    const more = leads.length - names.length;
+    return more > 0 ? t('workspace.auditMore', { names: names.join(', '), count: more }) : names.join(', ');
+}
+
+// ================= LEAD DETAILS =================
+// Clicking a result row opens a drawer with every field the source gave, contact actions,
+// notes and an outreach timeline. Notes and outreach are saved on the lead's workspace record
+// (so writing one shortlists the lead), mirrored in leadActivity by record key and copied onto
+// the result rows of that record (see getWorkspaceKey), which is how they reach the exports.
+
+/**
+ * Loads saved notes and outreach so results can show and export them
+ */
+async function loadLeadActivity() {
+    try {
+        const records = await workspaceGetAll(WORKSPACE_STORES.leads);
+        records.forEach(rememberLeadActivity);
+    } catch (e) {
+        console.warn("Could not load lead notes:", e);
+    }
+}
+
+/**
+ * Records a workspace lead's notes and outreach, and copies them onto matching results
+ * @param {object} record - Workspace record; one with only a key forgets the lead
+ */
+function rememberLeadActivity(record) {
+    const notes = record.notes || '';
+    const events = record.events || [];
+    if (notes || events.length) {
+        leadActivity.set(record.key, { notes, events });
+    } else {
+        leadActivity.delete(record.key);
+    }
+    currentData.filter(lead => lead.workspaceKey === record.key).forEach(applyLeadActivity);
+}
+
+/**
+ * Sets a result row's notes and outreach from the workspace
+ * @param {object} lead
+ */
+function applyLeadActivity(lead) {
+    const activity = leadActivity.get(getWorkspaceKey(lead));
+    if (activity && activity.notes) lead.notes = activity.notes;
+    else delete lead.notes;
+    if (activity && activity.events.length) lead.events = activity.events;
+    else delete lead.events;
+}
+
+/**
+ * One line per outreach event ("2026-03-02 Call: left a voicemail")
+ * @param {object} event {type, date, note}
+ * @returns {string}
+ */
+function formatLeadEvent(event) {
+    const label = getOutreachLabel(event.type);
+    return `${event.date} ${label}${event.note ? `: ${event.note}` : ''}`;
+}
+
+/**
+ * Opens the drawer for the clicked row, unless a control inside the row was clicked
+ * @param {Event} e
+ */
+function handleResultRowClick(e) {
+    if (e.target.closest('input, button, a, select, label, .select-cell')) return;
+    const row = e.target.closest('tr[data-id]');
+    if (!row) return;
+
+    const lead = currentData.find(item => item._id === Number(row.dataset.id));
+    if (lead) openLeadDrawer(lead);
+}
+
+/**
+ * @param {object} lead - Result row
+ */
+function openLeadDrawer(lead) {
+    drawerLead = lead;
+    const masked = isContactMasked(lead);
+
+    leadDrawerTitle.textContent = lead.name || (!masked && (lead.email || lead.phone)) || t('drawer.unnamed');
+    leadDrawerSubtitle.textContent = [lead.location, getSourceLabel(lead.source)].filter(Boolean).join(' · ');
+
+    const email = String(lead.email || '').trim();
+    const phone = String(lead.phone || '').trim();
+    leadDrawerActions.innerHTML = masked && (email || phone) ? `
+        <span class="masked-contact">${escapeHtml([email && maskContact('email', email), phone && maskContact('phone', phone)].filter(Boolean).join(' · '))}</span>
+        <button type="button" class="btn-sm btn-outline" data-reveal="${getLeadHandle(lead)}">
+            <i class="fa-solid fa-eye"></i> ${t('drawer.reveal')}
+        </button>` : [
+        email && `
+            <a class="btn-sm btn-outline" href="mailto:${encodeURIComponent(email)}"><i class="fa-solid fa-envelope"></i> ${t('drawer.email')}</a>
+            <button type="button" class="btn-sm btn-outline" data-copy="${escapeHtml(email)}" data-field="email" title="${t('drawer.copyEmail')}">
+                <i class="fa-solid fa-copy"></i> ${t('drawer.copyEmail')}
+            </button>`,
+        phone && `
+            <a class="btn-sm btn-outline" href="tel:${escapeHtml(lead.phoneE164 || phone)}"><i class="fa-solid fa-phone"></i> ${t('drawer.call')}</a>
+            <button type="button" class="btn-sm btn-outline" data-copy="${escapeHtml(phone)}" data-field="phone" title="${t('drawer.copyPhone')}">
+                <i class="fa-solid fa-copy"></i> ${t('drawer.copyPhone')}
+            </button>`
+    ].filter(Boolean).join('') || `<span class="workspace-muted">${t('drawer.noContact')}</span>`;
+
+    renderLeadDrawerFields(lead);
+    leadNotesInput.value = lead.notes || '';
+    leadEventType.innerHTML = OUTREACH_EVENT_TYPES
+        .map(type => `<option value="${type}">${escapeHtml(getOutreachLabel(type))}</option>`).join('');
+    leadEventDate.value = new Date().toISOString().slice(0, 10);
+    leadEventNote.value = '';
+    renderLeadTimeline(lead);
+
+    leadDrawer.classList.remove('hidden');
+}
+
+function closeLeadDrawer() {
+    leadDrawer.classList.add('hidden');
+    drawerLead = null;
+}
+
+/**
+ * Lists the lead's result fields, then every other column the source gave
+ * @param {object} lead
+ */
+function renderLeadDrawerFields(lead) {
+    const item = (label, value) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`;
+    const masked = isContactMasked(lead);
+
+    const fields = LEAD_DETAIL_FIELDS
+        .map(field => {
+            const value = formatFieldValue(lead, field);
+            return [getFieldLabel(field), value && masked && CONTACT_FIELDS.includes(field) ? maskContact(field, value) : value];
+        })
+        .filter(([, value]) => value);
+    if (lead.qualityIssues && lead.qualityIssues.length) fields.push([t('drawer.qualityIssues'), lead.qualityIssues.map(getQualityIssueLabel).join(', ')]);
+    const extras = Object.entries(lead.extra || {});
+
+    leadDrawerFields.innerHTML = fields.map(([label, value]) => item(label, value)).join('') +
+        (extras.length ? `<dt class="drawer-fields-group">${t('drawer.fromSource')}</dt>${extras.map(([header, value]) => item(header, value)).join('')}` : '');
+}
+
+/**
+ * @param {object} lead
+ */
+function renderLeadTimeline(lead) {
+    const events = [...(lead.events || [])].sort((a, b) => b.date.localeCompare(a.date) || b.at.localeCompare(a.at));
+    leadTimeline.innerHTML = events.map(event => `
+        <li data-at="${escapeHtml(event.at)}">
+            <span class="lead-timeline-date">${escapeHtml(event.date)}</span>
+            <strong>${escapeHtml(getOutreachLabel(event.type))}</strong>
+            ${event.note ? `<span>${escapeHtml(event.note)}</span>` : ''}
+            <button type="button" class="modal-close" data-action="remove" title="${t('drawer.removeEvent')}">
+                <i class="fa-solid fa-xmark"></i>
+            </button>
+        </li>
+    `).join('') || `<li class="workspace-muted">${t('drawer.noEvents')}</li>`;
+}
+
+/**
+ * @param {Event} e
+ */
+async function handleLeadDrawerCopy(e) {
+    const button = e.target.closest('[data-copy]');
+    if (!button) return;
+
+    try {
+        await copyToClipboard(button.dataset.copy);
+        logAudit('copy', [drawerLead], getFieldLabel(button.dataset.field));
+        showNotification(t('toast.copied'));
+    } catch (err) {
+        console.error("Clipboard error:", err);
+        showNotification(t('toast.copyFailed'), "error");
+    }
+}
+
+/**
+ * Saves a change to the drawer lead's workspace record and refreshes its notes and outreach
+ * @param {object} lead
+ * @param {Function} update - (record) => void, edits the record in place
+ * @returns {Promise<boolean>} Whether it was saved
+ */
+async function updateLeadActivity(lead, update) {
+    const now = new Date().toISOString();
+    try {
+        const existing = await workspaceGet(WORKSPACE_STORES.leads, getWorkspaceKey(lead));
+        const record = toWorkspaceRecord(lead, existing, now);
+        update(record);
+        await workspacePut(WORKSPACE_STORES.leads, record);
+        rememberLeadActivity(record);
+        return true;
+    } catch (err) {
+        console.error("Could not save lead activity:", err);
+        showNotification(t('toast.workspaceSaveFailed'), "error");
+        return false;
+    }
+}
+
+async function saveLeadNotes() {
+    if (!drawerLead) return;
+    const notes = leadNotesInput.value.trim();
+    await updateLeadActivity(drawerLead, record => { record.notes = notes; });
+}
+
+/**
+ * Adds an outreach event to the drawer lead's timeline
+ * @param {Event} e
+ */
+async function logLeadEvent(e) {
+    e.preventDefault();
+    if (!drawerLead) return;
+
+    const lead = drawerLead;
+    const event = {
+        type: leadEventType.value,
+        date: leadEventDate.value || new Date().toISOString().slice(0, 10),
+        note: leadEventNote.value.trim(),
+        at: new Date().toISOString()
+    };
+    const saved = await updateLeadActivity(lead, record => {
+        record.events = [...(record.events || []), event];
+        // Reaching out moves a shortlisted lead along and keeps "last contacted" current
+        if (record.status === LEAD_STATUSES[0]) record.status = 'contacted';
+        if (event.date > (record.lastContacted || '')) record.lastContacted = event.date;
+    });
+    if (!saved || drawerLead !== lead) return;
+
+    leadEventNote.value = '';
+    renderLeadTimeline(lead);
+}
+
+/**
+ * @param {Event} e
+ */
+async function handleLeadEventRemove(e) {
+    const button = e.target.closest('[data-action="remove"]');
+    if (!button || !drawerLead) return;
+
+    const lead = drawerLead;
+    const at = button.closest('li').dataset.at;
+    const saved = await updateLeadActivity(lead, record => {
+        record.events = (record.events || []).filter(event => event.at !== at);
+    });
+    if (saved && drawerLead === lead) renderLeadTimeline(lead);
+}
+
+// ================= SEARCH HISTORY =================
+//
+// Every search is recorded in the searches store. Pinned records are the saved
+// searches; the rest form a short history. Running a search with the same criteria
+// and file again updates its record and marks the leads that were not in the last run.
+
+/**
+ * Identity of a search: its criteria and file, ignoring case and spacing
+ * @param {object} criteria
+ * @param {string} [fileName]
+ * @returns {string}
+ */
+function getSearchSignature(criteria, fileName) {
+    const clean = value => String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return JSON.stringify([clean(criteria.name), clean(criteria.location), clean(criteria.technology), fileName || '']);
+}
+
+/**
+ * @param {object} criteria
+ * @param {string} [fileName]
+ * @returns {string} e.g. "React · Pune"
+ */
+function getDefaultSearchName(criteria, fileName) {
+    const label = [criteria.technology, criteria.location, criteria.name].filter(Boolean).join(' · ');
+    return label || fileName || t('search.untitled');
+}
+
+/**
+ * Searches saved before the history existed have no pinned flag and stay saved
+ * @param {object} search
+ * @returns {boolean}
+ */
+function isPinnedSearch(search) {
+    return search.pinned !== false;
+}
+
+/**
+ * @param {Array} leads
+ * @returns {string[]} Distinct lead keys (see getLeadKey)
+ */
+function getResultKeys(leads) {
+    return Array.from(new Set(leads.map(getLeadKey)));
+}
+
+/**
+ * Saves a finished search to the history, or updates the saved or recent search with
+ * the same criteria. Leads missing from that search's previous run are flagged isNew.
+ * @param {object} context - See buildSearchContext
+ * @param {Array} providers - Providers that were queried
+ * @param {Array} leads - Leads this search returned
+ */
+async function recordSearchRun(context, providers, leads) {
+    const fileName = context.file ? context.file.name : '';
+    const signature = getSearchSignature(context.criteria, fileName);
+    const keys = getResultKeys(leads);
+    const now = new Date().toISOString();
+    searchDiff = null;
+
+    try {
+        const searches = await workspaceGetAll(WORKSPACE_STORES.searches);
+        const previous = searches.find(search => getSearchSignature(search.criteria, search.fileName) === signature);
+
+        if (previous && Array.isArray(previous.resultKeys)) {
+            const before = new Set(previous.resultKeys);
+            const after = new Set(keys);
+            leads.forEach(lead => {
+                if (!before.has(getLeadKey(lead))) lead.isNew = true;
+            });
+            searchDiff = {
+                since: previous.lastRunAt || previous.savedAt,
+                goneCount: previous.resultKeys.filter(key => !after.has(key)).length
+            };
+        }
+
+        await workspacePut(WORKSPACE_STORES.searches, {
+            ...previous,
+            name: previous ? previous.name : getDefaultSearchName(context.criteria, fileName),
+            criteria: { ...context.criteria },
+            fileName,
+            sources: providers.map(provider => provider.id),
+            resultCount: leads.length,
+            resultKeys: keys,
+            savedAt: previous ? previous.savedAt : now,
+            lastRunAt: now,
+            pinned: previous ? isPinnedSearch(previous) : false
+        });
+        await pruneSearchHistory();
+    } catch (e) {
+        // History is a convenience; the search itself already succeeded
+        console.error("Could not record search history:", e);
+    }
+}
+
+/**
+ * Drops the oldest unpinned searches beyond SEARCH_HISTORY_LIMIT
+ */
+async function pruneSearchHistory() {
+    const history = (await workspaceGetAll(WORKSPACE_STORES.searches))
+        .filter(search => !isPinnedSearch(search))
+        .sort((a, b) => String(b.lastRunAt || b.savedAt).localeCompare(String(a.lastRunAt || a.savedAt)));
+    for (const search of history.slice(SEARCH_HISTORY_LIMIT)) {
+        await workspaceDelete(WORKSPACE_STORES.searches, search.id);
+    }
+}
+
+/**
+ * Shows how the current results differ from the previous run of the same search
+ */
+function updateSearchDiffBanner() {
+    searchDiffBanner.classList.toggle('hidden', !searchDiff);
+    if (!searchDiff) {
+        tableState.onlyNew = false;
+        onlyNewToggle.checked = false;
+        return;
+    }
+
+    const newCount = currentData.filter(lead => lead.isNew).length;
+    const since = new Date(searchDiff.since).toLocaleString(currentLocale);
+    const parts = [newCount
+        ? t('results.newSinceLastRun', { count: newCount, since })
+        : t('results.noneNewSinceLastRun', { since })];
+    if (searchDiff.goneCount) {
+        parts.push(t('results.goneSinceLastRun', { count: searchDiff.goneCount }));
+    }
+    searchDiffSummary.textContent = parts.join(' · ');
+}
+
+// ================= ANALYTICS =================
+// Summary charts over currentData: leads by location, technology and source, plus contact
+// coverage. Charts are plain SVG so they work offline. Clicking a bar or tile filters the
+// table to that segment (tableState.segment); clicking it again clears the filter.
+
+/**
+ * Shows or hides the analytics panel above the results table
+ */
+function toggleAnalyticsPanel() {
+    const open = analyticsPanel.classList.toggle('hidden') === false;
+    analyticsToggleBtn.classList.toggle('active', open);
+    analyticsToggleBtn.setAttribute('aria-pressed', String(open));
+    if (open) renderAnalytics();
+}
+
+/**
+ * Values a lead counts towards in an analytics breakdown
+ * @param {object} row
+ * @param {string} dimension - 'location' | 'technology' | 'source' | 'coverage'
+ * @returns {string[]}
+ */
+function getAnalyticsValues(row, dimension) {
+    switch (dimension) {
+        case 'location':
+            return [getReportGroup(row, 'location')];
+        case 'technology': {
+            const technologies = row.technologies || splitTechnologies(row.technology);
+            return technologies.length ? technologies : [t('common.notGiven')];
+        }
+        case 'source':
+            return [getSourceLabel(row.source) || t('common.unknown')];
+        default: {
+            const values = [];
+            if (String(row.email || '').trim()) values.push('email');
+            if (String(row.phone || '').trim()) values.push('phone');
+            return values.length ? values : ['none'];
+        }
+    }
+}
+
+/**
+ * Counts leads per value, most common first. A lead counts once per distinct value, and
+ * spellings that differ only in case are counted together under the first one seen.
+ * @param {Array} rows
+ * @param {function(object): string[]} getValues - Values a lead counts towards
+ * @returns {Array<{key: string, label: string, count: number}>} key is the lower-cased value
+ */
+function tallyLeadValues(rows, getValues) {
+    const counts = new Map();
+    rows.forEach(row => {
+        new Set(getValues(row).filter(Boolean)).forEach(value => {
+            const key = value.toLowerCase();
+            const entry = counts.get(key) || { key, label: value, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+    return [...counts.values()].sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Bars of one chart: the most common values, then "Other" for the rest
+ * @param {string} dimension
+ * @returns {Array<{key: string|null, label: string, count: number, exclude?: string[]}>}
+ *     The "Other" bar has no key and lists the keys it excludes
+ */
+function getAnalyticsEntries(dimension) {
+    const entries = tallyLeadValues(currentData, row => getAnalyticsValues(row, dimension));
+    if (entries.length <= ANALYTICS_TOP_VALUES) return entries;
+
+    const top = entries.slice(0, ANALYTICS_TOP_VALUES - 1);
+    // Leads with several technologies can fall in both, so "Other" counts leads, not values
+    const exclude = top.map(entry => entry.key);
+    const count = currentData.filter(row => matchesAnalyticsSegment(row, { dimension, exclude })).length;
+    return [...top, { key: null, label: t('common.other'), count, exclude }];
+}
+
+/**
+ * Checks whether a lead belongs to a chart segment
+ * @param {object} row
+ * @param {object} segment {dimension, key} or, for "Other", {dimension, exclude}
+ * @returns {boolean}
+ */
+function matchesAnalyticsSegment(row, segment) {
+    const keys = getAnalyticsValues(row, segment.dimension).map(value => value.toLowerCase());
+    return segment.exclude ? keys.some(key => !segment.exclude.includes(key)) : keys.includes(segment.key);
+}
+
+/**
+ * Whether a chart entry is the segment the table is filtered to
+ * @param {string} dimension
+ * @param {object} entry - See getAnalyticsEntries
+ * @returns {boolean}
+ */
+function isActiveSegment(dimension, entry) {
+    const segment = tableState.segment;
+    return Boolean(segment) && segment.dimension === dimension &&
+        (entry.exclude ? Boolean(segment.exclude) : segment.key === entry.key);
+}
+
+/**
+ * Renders the coverage tiles and the charts
+ */
+function renderAnalytics() {
+    const total = currentData.length;
+    const percent = count => total ? Math.round(count / total * 100) : 0;
+
+    const coverage = tallyLeadValues(currentData, row => getAnalyticsValues(row, 'coverage'));
+    analyticsCoverage.innerHTML = `
+        <div class="coverage-tile">
+            <span class="coverage-label">${t('analytics.leads')}</span>
+            <strong>${total.toLocaleString(currentLocale)}</strong>
+        </div>
+        ${ANALYTICS_COVERAGE.map(key => {
+            const count = (coverage.find(entry => entry.key === key) || { count: 0 }).count;
+            const active = isActiveSegment('coverage', { key });
+            return `
+                <button type="button" class="coverage-tile${active ? ' active' : ''}" data-dimension="coverage"
+                    data-key="${key}" aria-pressed="${active}" title="${t('analytics.showOnly')}">
+                    <span class="coverage-label">${t(`analytics.coverage.${key}`)}</span>
+                    <strong>${count.toLocaleString(currentLocale)}</strong>
+                    <span class="coverage-percent">${percent(count)}%</span>
+                    <svg class="coverage-meter" viewBox="0 0 100 6" preserveAspectRatio="none" aria-hidden="true">
+                        <rect class="chart-track" width="100" height="6" rx="3"></rect>
+                        <rect class="chart-fill" width="${percent(count)}" height="6" rx="3"></rect>
+                    </svg>
+                </button>`;
+        }).join('')}
+    `;
+
+    analyticsCharts.innerHTML = ANALYTICS_CHARTS.map(dimension => `
+        <div class="analytics-chart">
+            <h3 class="modal-section-title">${t(`analytics.chart.${dimension}`)}</h3>
+            ${renderBarChart(dimension, getAnalyticsEntries(dimension))}
+            ${dimension === 'source' ? renderSourceBreakdown() : ''}
+        </div>
+    `).join('');
+}
+
+/**
+ * Draws a horizontal bar chart as SVG
+ * @param {string} dimension
+ * @param {Array} entries - See getAnalyticsEntries
+ * @returns {string} HTML
+ */
+function renderBarChart(dimension, entries) {
+    if (!entries.length) return `<p class="analytics-empty">${t('analytics.noData')}</p>`;
+
+    const max = Math.max(...entries.map(entry => entry.count));
+    const barX = CHART_LABEL_WIDTH;
+    const barWidth = CHART_WIDTH - CHART_LABEL_WIDTH - 40;
+    const bars = entries.map((entry, i) => {
+        const label = entry.label.length > 16 ? `${entry.label.slice(0, 15)}…` : entry.label;
+        const active = isActiveSegment(dimension, entry);
+        return `
+            <g class="chart-bar${active ? ' active' : ''}" data-dimension="${dimension}"
+                ${entry.exclude ? 'data-other="true"' : `data-key="${escapeHtml(entry.key)}"`} data-label="${escapeHtml(entry.label)}"
+                transform="translate(0 ${i * CHART_ROW_HEIGHT})" tabindex="0" role="button" aria-pressed="${active}">
+                <title>${escapeHtml(entry.label)}: ${t('common.leads', { count: entry.count })}</title>
+                <text class="chart-label" x="0" y="16">${escapeHtml(label)}</text>
+                <rect class="chart-track" x="${barX}" y="5" width="${barWidth}" height="14" rx="3"></rect>
+                <rect class="chart-fill" x="${barX}" y="5" width="${(entry.count / max * barWidth).toFixed(1)}" height="14" rx="3"></rect>
+                <text class="chart-count" x="${CHART_WIDTH}" y="16" text-anchor="end">${entry.count.toLocaleString(currentLocale)}</text>
+            </g>`;
+    }).join('');
+
+    return `
+        <svg class="bar-chart" viewBox="0 0 ${CHART_WIDTH} ${entries.length * CHART_ROW_HEIGHT}"
+            role="group" aria-label="${t(`analytics.chart.${dimension}`)}">${bars}</svg>`;
+}
+
+/**
+ * Lead counts and contact coverage per source
+ * @returns {string} HTML
+ */
+function renderSourceBreakdown() {
+    const rows = tallyLeadValues(currentData, row => getAnalyticsValues(row, 'source')).map(entry => {
+        const leads = currentData.filter(row => matchesAnalyticsSegment(row, { dimension: 'source', key: entry.key }));
+        const share = field => `${Math.round(leads.filter(row => String(row[field] || '').trim()).length / leads.length * 100)}%`;
+        return `
+            <tr>
+                <td>${escapeHtml(entry.label)}</td>
+                <td>${entry.count.toLocaleString(currentLocale)}</td>
+                <td>${share('email')}</td>
+                <td>${share('phone')}</td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <table class="source-breakdown">
+            <thead><tr><th>${getFieldLabel('source')}</th><th>${t('analytics.leads')}</th><th>${getFieldLabel('email')}</th><th>${getFieldLabel('phone')}</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+/**
+ * Filters the table to the clicked bar or tile
+ * @param {Event} e
+ */
+function handleAnalyticsClick(e) {
+    const target = e.target.closest('[data-dimension]');
+    if (!target) return;
+
+    const { dimension } = target.dataset;
+    const entry = target.dataset.other
+        ? getAnalyticsEntries(dimension).find(item => item.exclude)
+        : { key: target.dataset.key };
+    if (!entry) return;
+
+    if (isActiveSegment(dimension, entry)) {
+        setAnalyticsSegment(null);
+        return;
+    }
+
+    const label = dimension === 'coverage'
+        ? t(`analytics.coverage.${entry.key}`)
+        : `${getFieldLabel(dimension)}: ${target.dataset.label}`;
+    setAnalyticsSegment(entry.exclude ? { dimension, exclude: entry.exclude, label } : { dimension, key: entry.key, label });
+}
+
+/**
+ * Applies (or clears, with null) the chart segment filter
+ * @param {object|null} segment {dimension, key|exclude, label}
+ */
+function setAnalyticsSegment(segment) {
+    tableState.segment = segment;
+    tableState.page = 1;
+    updateSegmentFilterChip();
+    refreshTable();
+    if (!analyticsPanel.classList.contains('hidden')) renderAnalytics();
+}
+
+function updateSegmentFilterChip() {
+    segmentFilterChip.classList.toggle('hidden', !tableState.segment);
+    segmentFilterLabel.textContent = tableState.segment ? tableState.segment.label : '';
+}
+
+// ================= DATA QUALITY =================
+
+/**
+ * Checks a lead's contact details, standardizes its phone number to international
+ * format and splits its technologies into a list. Stores the outcome on the lead as
+ * quality (0-100), qualityIssues (qualityIssue.* message keys), phoneE164 and technologies;
+ * the source's phone is left as it was.
+ * @param {object} lead
+ */
+function applyQualityChecks(lead) {
+    const issues = [];
+    let score = 100;
+    const penalize = (points, issue) => {
+        score -= points;
+        issues.push(issue);
+    };
+
+    if (!lead.name) penalize(20, 'noName');
+    if (!lead.location) penalize(10, 'noLocation');
+
+    const email = String(lead.email || '').trim();
+    if (!email) {
+        penalize(20, 'noEmail');
+    } else if (!isValidEmail(email)) {
+        penalize(40, 'invalidEmail');
+    } else if (DISPOSABLE_EMAIL_DOMAINS.has(email.split('@')[1].toLowerCase())) {
+        penalize(30, 'disposableEmail');
+    }
+
+    if (!lead.phone) {
+        penalize(15, 'noPhone');
+    } else {
+        // Only numbers written internationally or with a known country get a standard form
+        lead.phoneE164 = toE164(lead.phone, inferDialCode(lead.location));
+        if (!lead.phoneE164) {
+            if (toE164(lead.phone)) penalize(10, 'noCountryCode');
+            else penalize(30, 'unparsedPhone');
+        }
+    }
+    if (!email && !lead.phone) issues.push('noContact');
+
+    lead.technologies = splitTechnologies(lead.technology);
+    if (!lead.technologies.length) penalize(15, 'noTechnology');
+
+    lead.quality = Math.max(0, score);
+    lead.qualityIssues = issues;
+}
+
+/**
+ * @param {string} email
+ * @returns {boolean}
+ */
+function isValidEmail(email) {
+    return new RegExp(`^${PDF_EMAIL_PATTERN.source}$`, 'i').test(email) && !/\.\.|^\.|\.@|@\./.test(email);
+}
+
+/**
+ * Guesses a phone dial code from the country or city named in a location
+ * @param {string} location
+ * @returns {string} Dial code without "+", or '' if the location names no known place
+ */
+function inferDialCode(location) {
+    const text = ` ${foldText(location || '').replace(/[^a-z]+/g, ' ').trim()} `;
+    if (!text.trim()) return '';
+
+    for (const [dialCode, places] of Object.entries(LOCATION_DIAL_CODES)) {
+        if (places.some(place => text.includes(` ${place} `))) return dialCode;
+    }
+    return '';
+}
+
+/**
+ * Splits a technology cell into separate, canonically named technologies
+ * ("reactjs, Node / golang" -> ["React", "Node.js", "Go"])
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitTechnologies(text) {
+    const seen = new Set();
+    return String(text || '')
+        .split(/[,;/|\n•]+|\s+(?:and|&)\s+/i)
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(item => {
+            const resolved = resolveTech(item, false);
+            return resolved ? resolved.name : item;
+        })
+        .filter(tech => {
+            const key = tech.toLowerCase();
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+}
+
+/**
+ * @param {number} quality - See applyQualityChecks
+ * @returns {string} 'good' | 'fair' | 'poor', or '' when the lead was not checked
+ */
+function getQualityLevel(quality) {
+    if (typeof quality !== 'number') return '';
+    if (quality >= QUALITY_GOOD_SCORE) return 'good';
+    return quality >= QUALITY_FAIR_SCORE ? 'fair' : 'poor';
+}
+
+/**
+ * Quality badge; the issues show on hover
+ * @param {object} row
+ * @returns {string}
+ */
+function formatQuality(row) {
+    const level = getQualityLevel(row.quality);
+    if (!level) return '-';
+
+    const title = row.qualityIssues.length ? row.qualityIssues.map(getQualityIssueLabel).join('\n') : t('quality.noIssues');
+    return `<span class="quality-badge quality-${level}" title="${escapeHtml(title)}">${t(`quality.${level}`)}</span>`;
+}
+
+// ================= DUPLICATE DETECTION =================
+
+/**
+ * Normalizes an email for comparison (case, "+tag" suffixes, Gmail dots)
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+    const trimmed = String(email || '').trim().toLowerCase();
+    const at = trimmed.lastIndexOf('@');
+    if (at < 1) return '';
+
+    let local = trimmed.slice(0, at).split('+')[0];
+    const domain = trimmed.slice(at + 1);
+    if (DOTLESS_EMAIL_DOMAINS.includes(domain)) local = local.replace(/\./g, '');
+    return `${local}@${domain}`;
+}
+
+/**
+ * Converts a phone number to E.164 ("+919876543210"), assuming a dial code
+ * when the number is written without one
+ * @param {string} phone
+ * @param {string} [dialCode=DEFAULT_DIAL_CODE] - '' accepts only numbers written with their country code
+ * @returns {string} E.164 number, or '' if it can't be read as one
+ */
+function toE164(phone, dialCode = DEFAULT_DIAL_CODE) {
+    const raw = String(phone || '').trim();
+    let digits = raw.replace(/\D/g, '');
+    if (!digits) return '';
+
+    if (raw.startsWith('+')) {
+        // Already international
+    } else if (digits.startsWith('00')) {
+        digits = digits.slice(2);
+    } else if (!dialCode) {
+        return '';
+    } else if (digits.startsWith(dialCode) && digits.length > 10) {
+        // Dial code written without "+"
+    } else {
+        // National format, possibly with a trunk "0"
+        digits = dialCode + digits.replace(/^0+/, '');
+    }
+
+    return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : '';
+}
+
+/**
+ * A lead's phone in E.164 for matching leads, using only a dial code the number or its
+ * location gives; national numbers from an unknown country are not compared
+ * @param {object} lead
+ * @returns {string} '' when the number can't be matched safely
+ */
+function getComparablePhone(lead) {
+    return toE164(lead.phone, inferDialCode(lead.location));
+}
+
+/**
+ * Normalizes a name or location for fuzzy comparison: lower case, no accents
+ * or punctuation, words sorted so "Smith, John" equals "John Smith". Letters of
+ * every script are kept, with their combining signs ("राम", "Иван", "Søren").
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizePersonText(text) {
+    return foldText(text || '')
+        .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+        .split(/\s+/)
+        .filter(Boolean)
+        .sort()
+        .join(' ');
+}
+
+/**
+ * Similarity of two normalized strings from 0 (different) to 1 (equal)
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [minimum=0] - Below this the comparison stops early and returns 0
+ * @returns {number}
+ */
+function textSimilarity(a, b, minimum = 0) {
+    const longest = Math.max(a.length, b.length);
+    if (!longest) return 1;
+    const limit = Math.floor(longest * (1 - minimum));
+    const distance = editDistance(a, b, limit);
+    return distance > limit ? 0 : 1 - distance / longest;
+}
+
+/**
+ * Two locations are compatible when either is blank or one contains the other
+ * ("Bangalore" and "Bangalore, India")
+ * @param {string} a - Normalized location
+ * @param {string} b - Normalized location
+ * @returns {boolean}
+ */
+function locationsCompatible(a, b) {
+    if (!a || !b) return true;
+    const wordsA = a.split(' ');
+    const wordsB = b.split(' ');
+    return wordsA.every(word => wordsB.includes(word)) || wordsB.every(word => wordsA.includes(word));
+}
+
+/**
+ * Groups leads that are likely the same person: same email, same phone, or a
+ * very similar name in a compatible location
+ * @param {Array} leads
+ * @returns {Array<Array>} Groups of two or more leads
+ */
+function findDuplicateGroups(leads) {
+    const keys = leads.map(lead => ({
+        email: normalizeEmail(lead.email),
+        phone: getComparablePhone(lead),
+        name: normalizePersonText(lead.name),
+        location: normalizePersonText(lead.location)
+    }));
+
+    // Union-find over lead indexes
+    const parent = leads.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const union = (a, b) => { parent[find(a)] = find(b); };
+
+    // Exact keys: bucket by email and by phone
+    ['email', 'phone'].forEach(field => {
+        const firstByValue = new Map();
+        keys.forEach((key, i) => {
+            if (!key[field]) return;
+            if (firstByValue.has(key[field])) union(i, firstByValue.get(key[field]));
+            else firstByValue.set(key[field], i);
+        });
+    });
+
+    // Fuzzy names: only compare names whose first and last words start alike, to keep large results fast
+    const blocks = new Map();
+    keys.forEach((key, i) => {
+        if (!key.name) return;
+        const words = key.name.split(' ');
+        const block = words.length > 1 ? words[0][0] + words[words.length - 1][0] : words[0].slice(0, 2);
+        if (!blocks.has(block)) blocks.set(block, []);
+        blocks.get(block).push(i);
+    });
+    blocks.forEach(indexes => {
+        // Similar names sort close together, so a large block only compares near neighbours
+        indexes.sort((x, y) => (keys[x].name < keys[y].name ? -1 : keys[x].name > keys[y].name ? 1 : 0));
+        for (let x = 0; x < indexes.length; x++) {
+            const end = Math.min(indexes.length, x + 1 + DUPLICATE_BLOCK_WINDOW);
+            for (let y = x + 1; y < end; y++) {
+                const a = keys[indexes[x]];
+                const b = keys[indexes[y]];
+                if (find(indexes[x]) === find(indexes[y])) continue;
+                // Conflicting emails mean different people even with the same name
+                if (a.email && b.email && a.email !== b.email) continue;
+                if (!locationsCompatible(a.location, b.location)) continue;
+                if (textSimilarity(a.name, b.name, DUPLICATE_NAME_SIMILARITY) >= DUPLICATE_NAME_SIMILARITY) {
+                    union(indexes[x], indexes[y]);
+                }
+            }
+        }
+    });
+
+    const groups = new Map();
+    leads.forEach((lead, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(lead);
+    });
+
+    return Array.from(groups.values()).filter(group => group.length > 1);
+}
+
+/**
+ * Sets duplicateGroups for currentData, leaving out dismissed groups. The pairwise
+ * search only runs again when currentData was replaced (new results, removals,
+ * merges), not after tags or other in-place changes.
+ */
+function updateDuplicateGroups() {
+    if (duplicateCache.data !== currentData) {
+        duplicateCache = { data: currentData, groups: findDuplicateGroups(currentData) };
+    }
+    duplicateGroups = duplicateCache.groups.filter(group => !dismissedDuplicateKeys.has(getDuplicateGroupKey(group)));
+}
+
+/**
+ * Stable key for a group, so a dismissed group stays dismissed across re-renders
+ * @param {Array} group
+ * @returns {string}
+ */
+function getDuplicateGroupKey(group) {
+    return group
+        .map(lead => [lead.source, normalizeEmail(lead.email), getComparablePhone(lead), normalizePersonText(lead.name)].join('|'))
+        .sort()
+        .join('||');
+}
+
+function updateDuplicateBanner() {
+    const count = duplicateGroups.length;
+    duplicateBanner.classList.toggle('hidden', !count);
+    if (count) {
+        const leads = duplicateGroups.reduce((sum, group) => sum + group.length, 0);
+        duplicateSummary.textContent = t('results.duplicates', { count, leads });
+    }
+}
+
+/**
+ * Picks the default winning value per field: the first non-empty value, preferring
+ * the most relevant and most complete lead
+ * @param {Array} group
+ * @returns {object} { field: index into group }
+ */
+function getDefaultMergeChoices(group) {
+    const completeness = lead => LEAD_FIELDS.filter(field => lead[field]).length;
+    const order = group
+        .map((lead, i) => i)
+        .sort((a, b) => (group[b].score || 0) - (group[a].score || 0) || completeness(group[b]) - completeness(group[a]));
+
+    const choices = {};
+    LEAD_FIELDS.forEach(field => {
+        const winner = order.find(i => group[i][field]);
+        choices[field] = winner === undefined ? order[0] : winner;
+    });
+    return choices;
+}
+
+/**
+ * Merges a group into one lead using the chosen value per field, recording where
+ * every record and winning value came from
+ * @param {Array} group
+ * @param {object} choices - { field: index into group }
+ * @returns {object} merged lead
+ */
+function mergeLeads(group, choices) {
+    const origin = lead => ({ source: lead.source || '', sheet: lead.sheet || '' });
+    const merged = { ...group[choices.name] };
+    delete merged._id;
+    // Re-checked for the merged values (see applyQualityChecks)
+    delete merged.quality;
+    delete merged.qualityIssues;
+    delete merged.phoneE164;
+    delete merged.technologies;
+    // Only new if none of the merged leads was seen in the previous run
+    if (group.some(lead => !lead.isNew)) delete merged.isNew;
+
+    LEAD_FIELDS.forEach(field => {
+        merged[field] = group[choices[field]][field] || '';
+    });
+
+    merged.score = Math.max(...group.map(lead => lead.score || 0));
+    merged.source = Array.from(new Set(group.map(lead => lead.source).filter(Boolean))).join(', ');
+    merged.tags = Array.from(new Set(group.flatMap(lead => lead.tags || [])));
+    const matched = Array.from(new Set(group.flatMap(lead => lead.batchCriteria || [])));
+    if (matched.length) merged.batchCriteria = matched;
+    // Extra source columns from every record, the chosen name's record winning on clashes
+    const extra = Object.assign({}, ...group.map(lead => lead.extra || {}), group[choices.name].extra);
+    if (Object.keys(extra).length) merged.extra = extra;
+
+    // Kept as data and worded by formatMergedFrom, so it follows the language;
+    // earlier merges' history is kept when merging an already-merged lead again
+    merged.mergedFrom = {
+        records: group.map(lead => lead.mergedFrom
+            ? { merged: lead.mergedFrom }
+            : { ...origin(lead), name: lead.name || lead.email || lead.phone || '' }),
+        fields: LEAD_FIELDS
+            .filter(field => merged[field])
+            .map(field => ({ field, ...origin(group[choices[field]]) }))
+    };
+
+    return merged;
+}
+
+/**
+ * Describes where a merged lead's records and winning values came from, e.g.
+ * "Sheets / Leads: Ana; Redrob: Ana R. (Name from Sheets / Leads, ...)"
+ * @param {object|string} mergedFrom - See mergeLeads; leads merged before it was kept as data hold the text
+ * @returns {string}
+ */
+function formatMergedFrom(mergedFrom) {
+    if (typeof mergedFrom === 'string') return mergedFrom;
+    const describe = origin => `${getSourceLabel(origin.source) || t('common.unknown')}${origin.sheet ? ` / ${origin.sheet}` : ''}`;
+    const records = mergedFrom.records.map(record => record.merged
+        ? `[${formatMergedFrom(record.merged)}]`
+        : `${describe(record)}: ${record.name || '-'}`);
+    const winners = mergedFrom.fields.map(({ field, ...origin }) =>
+        t('duplicates.fieldFrom', { field: getFieldLabel(field), source: describe(origin) }));
+    return `${records.join('; ')} (${winners.join(', ')})`;
+}
+
+/**
+ * Replaces a group's leads in currentData with one merged lead
+ * @param {Array} group
+ * @param {object} choices
+ */
+function applyMerge(group, choices) {
+    const merged = mergeLeads(group, choices);
+    const firstIndex = currentData.indexOf(group[0]);
+    currentData = currentData.filter(lead => !group.includes(lead));
+    currentData.splice(Math.min(firstIndex, currentData.length), 0, merged);
+}
+
+/**
+ * Lists each duplicate group with a choice of winning value per field
+ */
+function openDuplicateDialog() {
+    if (!duplicateGroups.length) return;
+
+    duplicateGroupList.innerHTML = duplicateGroups.map((group, g) => {
+        const choices = getDefaultMergeChoices(group);
+        return `
+            <div class="duplicate-group" data-group="${g}">
+                <div class="table-responsive">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>${t('duplicates.field')}</th>
+                                ${group.map(lead => `<th>${escapeHtml(getSourceLabel(lead.source) || t('common.unknown'))}${lead.sheet ? ` / ${escapeHtml(lead.sheet)}` : ''}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${LEAD_FIELDS.map(field => `
+                                <tr>
+                                    <td class="duplicate-field">${getFieldLabel(field)}</td>
+                                    ${group.map((lead, i) => `
+                                        <td>
+                                            <label class="checkbox-label">
+                                                <input type="radio" name="merge-${g}-${field}" value="${i}" ${choices[field] === i ? 'checked' : ''}>
+                                                ${escapeHtml(lead[field] || '-')}
+                                            </label>
+                                        </td>`).join('')}
+                                </tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="duplicate-actions">
+                    <button type="button" class="btn-sm btn-outline" data-action="dismiss">${t('duplicates.dismiss')}</button>
+                    <button type="button" class="btn-sm btn-solid" data-action="merge">
+                        <i class="fa-solid fa-code-merge"></i> ${t('duplicates.merge')}
+                    </button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    duplicateModal.classList.remove('hidden');
+}
+
+/**
+ * Reads the per-field winners chosen for a group in the dialog
+ * @param {number} g - Group index
+ * @returns {object} { field: index into group }
+ */
+function readMergeChoices(g) {
+    const choices = {};
+    LEAD_FIELDS.forEach(field => {
+        const checked = duplicateGroupList.querySelector(`input[name="merge-${g}-${field}"]:checked`);
+        choices[field] = checked ? Number(checked.value) : 0;
+    });
+    return choices;
+}
+
+/**
+ * Handles "Merge" / "Not duplicates" on a single group
+ * @param {Event} e
+ */
+function handleDuplicateGroupAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+
+    const g = Number(button.closest('.duplicate-group').dataset.group);
+    const group = duplicateGroups[g];
+
+    if (button.dataset.action === 'merge') {
+        applyMerge(group, readMergeChoices(g));
+        showNotification(t('toast.groupMerged', { count: group.length }));
+    } else {
+        dismissedDuplicateKeys.add(getDuplicateGroupKey(group));
+    }
+
+    refreshAfterMerge();
+}
+
+/**
+ * Merges every listed group with the choices currently selected
+ */
+function mergeAllDuplicateGroups() {
+    const merges = duplicateGroups.map((group, g) => [group, readMergeChoices(g)]);
+    merges.forEach(([group, choices]) => applyMerge(group, choices));
+    showNotification(t('toast.groupsMerged', { count: merges.length }));
+    refreshAfterMerge();
+}
+
+/**
+ * Re-renders results after a merge and keeps the dialog open while groups remain
+ */
+function refreshAfterMerge() {
+    refreshResults();
+    if (duplicateGroups.length) {
+        openDuplicateDialog();
+    } else {
+        closeDuplicateDialog();
+    }
+}
+
+function closeDuplicateDialog() {
+    duplicateModal.classList.add('hidden');
+}
+
+// ================= FILE WORKER =================
+// Uploads are parsed and searched in a Web Worker so large sheets don't lock the page.
+// The worker's source is assembled from the functions listed below, so it runs the same
+// parsing and matching code as the page. Where Workers are unavailable (or the worker
+// fails to start) the same handler runs on the page instead.
+//
+// Messages to the worker:
+//   { id, type: 'parse', key, buffer }              spreadsheet bytes
+//   { id, type: 'parse', key, sheetNames, sheets }  rows already extracted from a PDF
+//   { id, type: 'search', key, sheetNames, mappings, criteria, tagSheet, techAliases }
+// Replies: { id, type: 'progress', stage, done, total } | { id, type: 'done', result } | { id, type: 'error', message }
+
+// Functions copied into the worker
+const FILE_WORKER_FUNCTIONS = [
+    handleFileWorkerMessage, summarizeWorkerSheets, getIndexedLeads, readSheetRows, mapRowToLead,
+    buildCriteriaQuery, tokenizeQuery, parseQuery, combineQueryNodes, scoreQuery, getTermPattern, foldText,
+    scoreLead, rankLeads, techKey, maxTechEdits, editDistance, resolveTech, resolveTermTech, getTechCandidates, scoreTechTerm
+];
+// Rows sent back with each sheet for the column mapping preview
+const FILE_WORKER_PREVIEW_ROWS = 5;
+
+/**
+ * Builds the file worker's source: SheetJS, the constants its functions read, then the functions
+ * @returns {string}
+ */
+function buildFileWorkerSource() {
+    const constants = {
+        LEAD_FIELDS, FILE_WORKER_PREVIEW_ROWS,
+        TECH_SCORE_EXACT, TECH_SCORE_ALIAS, TECH_SCORE_FUZZY_ALIAS, TECH_SCORE_FUZZY
+    };
+    return [
+        `importScripts(${JSON.stringify(XLSX_SCRIPT_SRC)});`,
+        ...Object.entries(constants).map(([name, value]) => `const ${name} = ${JSON.stringify(value)};`),
+        'const queryPatternCache = new WeakMap();',
+        'const termTechCache = new WeakMap();',
+        'let techAliasIndex = new Map();',
+        'let fileWorkerCache = null;',
+        ...FILE_WORKER_FUNCTIONS.map(fn => fn.toString()),
+        'self.onmessage = e => handleFileWorkerMessage(e.data, reply => self.postMessage(reply));'
+    ].join('\n');
+}
+
+/**
+ * Starts the file worker on first use
+ * @returns {Worker|null} null when parsing has to happen on the page
+ */
+function getFileWorker() {
+    if (fileWorker !== null) return fileWorker || null;
+
+    try {
+        const url = URL.createObjectURL(new Blob([buildFileWorkerSource()], { type: 'text/javascript' }));
+        fileWorker = new Worker(url);
+        fileWorker.onmessage = e => settleFileWorkerReply(e.data);
+        fileWorker.onerror = e => {
+            // e.g. SheetJS could not be loaded inside the worker; later requests run on the page
+            e.preventDefault();
+            console.error("File worker failed:", e.message);
+            fileWorker.terminate();
+            fileWorker = false;
+            fileWorkerRequests.forEach((request, id) => settleFileWorkerReply({ id, type: 'error', message: t('fileParse.failed') }));
+        };
+    } catch (e) {
+        console.warn("File worker unavailable, parsing on the page:", e);
+        fileWorker = false;
+    }
+    return fileWorker || null;
+}
+
+/**
+ * Sends a request to the file worker
+ * @param {object} message - See the message list above, without the id
+ * @param {object} [options]
+ * @param {Array} [options.transfer] - Buffers to hand over instead of copying
+ * @param {Function} [options.onProgress] - Called with each progress reply
+ * @returns {Promise<*>} The reply's result
+ */
+function callFileWorker(message, { transfer = [], onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+        const id = ++fileWorkerRequestId;
+        fileWorkerRequests.set(id, { resolve, reject, onProgress });
+
+        const worker = getFileWorker();
+        if (worker) {
+            worker.postMessage({ ...message, id }, transfer);
+        } else {
+            // Answer asynchronously, as the worker would
+            setTimeout(() => handleFileWorkerMessage({ ...message, id }, settleFileWorkerReply));
+        }
+    });
+}
+
+/**
+ * Routes a file worker reply to the request waiting for it
+ * @param {object} reply
+ */
+function settleFileWorkerReply(reply) {
+    const request = fileWorkerRequests.get(reply.id);
+    if (!request) return;
+
+    if (reply.type === 'progress') {
+        if (request.onProgress) request.onProgress(reply);
+        return;
+    }
+
+    fileWorkerRequests.delete(reply.id);
+    if (reply.type === 'error') {
+        request.reject(new Error(reply.message));
+    } else {
+        request.resolve(reply.result);
+    }
+}
+
+/**
+ * Answers one file worker request. Runs inside the worker, or on the page without one.
+ * Only the latest upload is kept, so memory stays bounded by one file.
+ * @param {object} message
+ * @param {Function} post - Sends a reply back
+ */
+function handleFileWorkerMessage(message, post) {
+    const { id } = message;
+    try {
+        if (message.type === 'parse') {
+            let { sheetNames, sheets } = message;
+            if (message.buffer) {
+                post({ id, type: 'progress', stage: 'parse' });
+                const workbook = XLSX.read(new Uint8Array(message.buffer), { type: 'array' });
+                sheetNames = workbook.SheetNames;
+                sheets = {};
+                sheetNames.forEach((name, i) => {
+                    post({ id, type: 'progress', stage: 'index', done: i + 1, total: sheetNames.length });
+                    sheets[name] = readSheetRows(workbook.Sheets[name]);
+                });
+            }
+
+            fileWorkerCache = { key: message.key, sheetNames, sheets, leads: new Map() };
+            post({ id, type: 'done', result: summarizeWorkerSheets(fileWorkerCache) });
+            return;
+        }
+
+        if (message.type === 'search') {
+            if (!fileWorkerCache || fileWorkerCache.key !== message.key) throw new Error('The file is no longer loaded.');
+
+            // Aliases live on the page (they include the user's own)
+            techAliasIndex = new Map(message.techAliases);
+            const query = buildCriteriaQuery(message.criteria);
+            const results = [];
+            message.sheetNames.forEach(name => {
+                getIndexedLeads(name, message.mappings[name]).forEach(lead => {
+                    const score = scoreLead(lead, query);
+                    if (!score) return;
+                    results.push(message.tagSheet ? { ...lead, score, sheet: name } : { ...lead, score });
+                });
+            });
+
+            post({ id, type: 'done', result: rankLeads(results, query) });
+            return;
+        }
+
+        throw new Error(`Unknown file worker request: ${message.type}`);
+    } catch (error) {
+        post({ id, type: 'error', message: error.message });
+    }
+}
+
+/**
+ * Outlines the parsed sheets for the page: headers, row count and a few preview rows
+ * @param {object} file - fileWorkerCache
+ * @returns {object} See loadFileSheets
+ */
+function summarizeWorkerSheets(file) {
+    const sheets = {};
+    file.sheetNames.forEach(name => {
+        const { headers, rows } = file.sheets[name];
+        sheets[name] = { headers, rowCount: rows.length, preview: rows.slice(0, FILE_WORKER_PREVIEW_ROWS) };
+    });
+    return { sheetNames: file.sheetNames, sheets };
+}
+
+/**
+ * Projects a parsed sheet's rows onto lead fields, once per column mapping
+ * @param {string} sheetName
+ * @param {object} mapping - { field: header }
+ * @returns {Array}
+ */
+function getIndexedLeads(sheetName, mapping) {
+    const key = `${sheetName}\n${JSON.stringify(mapping)}`;
+    if (!fileWorkerCache.leads.has(key)) {
+        fileWorkerCache.leads.set(key, fileWorkerCache.sheets[sheetName].rows.map(row => mapRowToLead(row, mapping)));
+    }
+    return fileWorkerCache.leads.get(key);
+}
+
+// ================= PDF PARSING =================
+
+/**
+ * Decodes a Base64 (or data URL) string into bytes
+ * @param {string} base64Data
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64Data) {
+    const binary = atob(base64Data.split(',')[1] || base64Data);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Extracts positioned text lines from a PDF using PDF.js
+ * @param {ArrayBuffer} buffer
+ * @param {Function} [onProgress] - Called with (pagesRead, pageCount)
+ * @returns {Promise<Array>} [{page, y, text, cells: [{x, text}]}] in reading order
+ */
+async function extractPdfLines(buffer, onProgress) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDFJS_WORKER_SRC;
+    const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(buffer) }).promise;
+
+    const lines = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        if (onProgress) onProgress(pageNumber, pdf.numPages);
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+        const items = content.items
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                text: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                height: item.height || Math.abs(item.transform[3]) || 10
+            }));
+        lines.push(...groupPdfItemsIntoLines(items, pageNumber));
+    }
+
+    return lines;
+}
+
+/**
+ * Groups text items that share a baseline into lines, and each line into
+ * cells split on wide horizontal gaps (table columns)
+ * @param {Array} items - [{text, x, y, width, height}]
+ * @param {number} page
+ * @returns {Array} [{page, y, text, cells}]
+ */
+function groupPdfItemsIntoLines(items, page) {
+    // PDF coordinates start at the bottom, so read top-down
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+
+    const rows = [];
+    sorted.forEach(item => {
+        const row = rows.find(r => Math.abs(r.y - item.y) <= Math.max(2, item.height * 0.3));
+        if (row) {
+            row.items.push(item);
+        } else {
+            rows.push({ y: item.y, items: [item] });
+        }
+    });
+
+    return rows.map(row => {
+        const lineItems = row.items.sort((a, b) => a.x - b.x);
+        const cells = [];
+        let last = null;
+
+        lineItems.forEach(item => {
+            const gap = last ? item.x - (last.x + last.width) : Infinity;
+            // A gap wider than about two characters separates columns
+            if (last && gap < item.height * 1.2) {
+                const cell = cells[cells.length - 1];
+                cell.text += (gap > item.height * 0.15 && !/\s$/.test(cell.text) ? ' ' : '') + item.text;
+            } else {
+                cells.push({ x: item.x, text: item.text });
+            }
+            last = item;
+        });
+
+        cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+        return { page, y: row.y, text: cells.map(c => c.text).join(' '), cells };
+    });
+}
+
+/**
+ * Turns PDF lines into lead rows. Lead lists laid out as a table keep their
+ * own columns; anything else is read as one or more resume-style blocks.
+ * @param {Array} lines - Output of extractPdfLines
+ * @returns {object} {headers, rows}
+ */
+function parsePdfLeadRows(lines) {
+    const table = parsePdfTable(lines);
+    if (table && table.rows.length) return table;
+
+    const rows = splitPdfBlocks(lines)
+        .map(block => extractLeadFromText(block.map(line => line.text)))
+        .filter(lead => LEAD_FIELDS.some(field => lead[field]));
+
+    return {
+        headers: rows.length ? PDF_LEAD_HEADERS : [],
+        rows: rows.map(lead => ({
+            Name: lead.name,
+            Location: lead.location,
+            Skills: lead.technology,
+            Email: lead.email,
+            Phone: lead.phone
+        }))
+    };
+}
+
+/**
+ * Detects a table whose header row names at least two lead fields and reads
+ * the following lines into rows by column position
+ * @param {Array} lines
+ * @returns {object|null} {headers, rows}
+ */
+function parsePdfTable(lines) {
+    const headerIndex = lines.findIndex(line => {
+        if (line.cells.length < 2) return false;
+        const fields = new Set();
+        line.cells.forEach(cell => {
+            LEAD_FIELDS.forEach(field => {
+                if (scoreHeaderForField(cell.text, field) > 0) fields.add(field);
+            });
+        });
+        return fields.size >= 2;
+    });
+    if (headerIndex === -1) return null;
+
+    const headerLine = lines[headerIndex];
+    const headers = headerLine.cells.map(cell => cell.text);
+    const columnX = headerLine.cells.map(cell => cell.x);
+
+    // A cell belongs to the right-most column starting at or just before it
+    const columnFor = x => {
+        let index = 0;
+        columnX.forEach((start, i) => {
+            if (start <= x + 5) index = i;
+        });
+        return index;
+    };
+
+    const rows = [];
+    lines.slice(headerIndex + 1).forEach(line => {
+        // Skip headers repeated on later pages and page footers
+        if (line.text === headerLine.text || /^page \d+/i.test(line.text)) return;
+
+        const values = headers.map(() => '');
+        line.cells.forEach(cell => {
+            const i = columnFor(cell.x);
+            values[i] = values[i] ? `${values[i]} ${cell.text}` : cell.text;
+        });
+
+        const filled = values.filter(Boolean).length;
+        const previous = rows[rows.length - 1];
+
+        // A lone cell under an existing row is a wrapped continuation of that row
+        if (filled === 1 && previous && !values[0]) {
+            headers.forEach((h, i) => {
+                if (values[i]) previous[h] = `${previous[h]} ${values[i]}`.trim();
+            });
+            return;
+        }
+        if (filled < 2) return;
+
+        const row = {};
+        headers.forEach((h, i) => { row[h] = values[i]; });
+        rows.push(row);
+    });
+
+    return { headers, rows };
+}
+
+/**
+ * Splits lines into blocks at page breaks and unusually large vertical gaps.
+ * Blocks without an email are folded into the block above, so a multi-lead
+ * document yields one block per contact and a resume yields one block.
+ * @param {Array} lines
+ * @returns {Array<Array>} blocks of lines
+ */
+function splitPdfBlocks(lines) {
+    if (!lines.length) return [];
+
+    const gaps = [];
+    for (let i = 1; i < lines.length; i++) {
+        if (lines[i].page === lines[i - 1].page) gaps.push(lines[i - 1].y - lines[i].y);
+    }
+    gaps.sort((a, b) => a - b);
+    const medianGap = gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+    const blocks = [[lines[0]]];
+    for (let i = 1; i < lines.length; i++) {
+        const gap = lines[i - 1].y - lines[i].y;
+        const isBreak = lines[i].page !== lines[i - 1].page || (medianGap && gap > medianGap * 1.6);
+        if (isBreak) {
+            blocks.push([lines[i]]);
+        } else {
+            blocks[blocks.length - 1].push(lines[i]);
+        }
+    }
+
+    const hasEmail = block => block.some(line => PDF_EMAIL_PATTERN.test(line.text));
+    if (blocks.filter(hasEmail).length < 2) return [lines];
+
+    const merged = [];
+    blocks.forEach(block => {
+        if (merged.length && !hasEmail(block)) {
+            merged[merged.length - 1].push(...block);
+        } else {
+            merged.push([...block]);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Pulls lead fields out of free text using labels first, then patterns
+ * @param {string[]} textLines
+ * @returns {object} {name, location, technology, email, phone}
+ */
+function extractLeadFromText(textLines) {
+    const lead = { name: '', location: '', technology: '', email: '', phone: '' };
+
+    // Contact lines often pack several fields: "jane@x.com | +91 98765 43210 | Pune, India"
+    const segments = textLines.flatMap(line => line.split(/\s+[|•·]\s+/)).map(seg => seg.trim()).filter(Boolean);
+
+    segments.forEach((segment, i) => {
+        LEAD_FIELDS.forEach(field => {
+            if (lead[field]) return;
+            const match = segment.match(PDF_LABEL_PATTERNS[field]);
+            if (!match) return;
+
+            if (field === 'technology') {
+                lead.technology = match[1] || collectListAfter(segments, i);
+            } else {
+                lead[field] = match[1].trim();
+            }
+        });
+    });
+
+    if (!lead.email) {
+        const segment = segments.find(seg => PDF_EMAIL_PATTERN.test(seg));
+        if (segment) lead.email = segment.match(PDF_EMAIL_PATTERN)[0];
+    } else {
+        const match = lead.email.match(PDF_EMAIL_PATTERN);
+        lead.email = match ? match[0] : lead.email;
+    }
+
+    if (!lead.phone) {
+        lead.phone = segments.map(extractPhone).find(Boolean) || '';
+    }
+
+    if (!lead.location) {
+        // "City, Country" on a short line of its own
+        lead.location = segments.find(seg =>
+            /^\p{Lu}[\p{L} .'-]+,\s*\p{Lu}[\p{L} .'-]+$/u.test(seg) && seg.split(/\s+/).length <= 5
+        ) || '';
+    }
+
+    if (!lead.name) {
+        // First short, capitalised line near the top that is not a heading or contact detail
+        lead.name = segments.slice(0, 4).find(seg =>
+            /^\p{Lu}[\p{L}'.-]*(?:\s+\p{Lu}[\p{L}'.-]*){1,3}$/u.test(seg) &&
+            !PDF_SECTION_HEADINGS.test(seg) &&
+            seg !== lead.location
+        ) || '';
+    }
+
+    if (!lead.technology) {
+        lead.technology = findKnownTechnologies(textLines.join(' ')).join(', ');
+    }
+
+    return lead;
+}
+
+/**
+ * Collects a skills list that continues on the lines under its heading
+ * @param {string[]} segments
+ * @param {number} headingIndex
+ * @returns {string}
+ */
+function collectListAfter(segments, headingIndex) {
+    const items = [];
+    for (let i = headingIndex + 1; i < segments.length && items.length < 8; i++) {
+        const segment = segments[i];
+        if (PDF_SECTION_HEADINGS.test(segment) || /:$/.test(segment)) break;
+        items.push(segment.replace(/^[-•*·]\s*/, ''));
+    }
+    return items.join(', ');
+}
+
+/**
+ * Finds a phone number in a line, ignoring year ranges like "2019 - 2021"
+ * @param {string} text
+ * @returns {string}
+ */
+function extractPhone(text) {
+    const match = text.match(PDF_PHONE_PATTERN);
+    if (!match) return '';
+
+    const candidate = match[0].trim();
+    const digits = candidate.replace(/\D/g, '');
+    if (digits.length < 8 || digits.length > 15) return '';
+    if (/^\d{4}\s*[-–]\s*\d{4}$/.test(candidate)) return '';
+    return candidate;
+}
+
+/**
+ * Lists the technologies from the search suggestions that appear in a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+function findKnownTechnologies(text) {
+    const options = Array.from(document.querySelectorAll('#tech-options option')).map(option => option.value);
+    return options.filter(tech => {
+        const escaped = tech.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        // Short names like "Go" only count when written with the same capitalisation
+        const flags = tech.length <= 3 ? 'u' : 'iu';
+        return new RegExp(`(^|[^\\p{L}\\d.])${escaped}(?=$|[^\\p{L}\\d])`, flags).test(text);
+    });
+}
+
+// ================= COLUMN MAPPING =================
+
+/**
+ * Normalizes a header for keyword comparison ("E-Mail Address" -> "e mail address")
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Builds a key identifying a header layout, so a mapping can be reused for files shaped the same way
+ * @param {string[]} headers
+ * @returns {string}
+ */
+function getHeaderSignature(headers) {
+    return headers.map(normalizeHeader).join('|');
+}
+
+/**
+ * Scores how well a header fits a lead field (0 = no fit)
+ * @param {string} header
+ * @param {string} field
+ * @returns {number}
+ */
+function scoreHeaderForField(header, field) {
+    const normalized = normalizeHeader(header);
+    const words = normalized.split(' ');
+
+    if (FIELD_HEADER_EXCLUDES[field].some(word => words.includes(word))) return 0;
+
+    const hints = FIELD_HEADER_HINTS[field];
+    for (let i = 0; i < hints.length; i++) {
+        const hint = hints[i];
+        // Exact header beats a header that merely contains the keyword
+        if (normalized === hint) return 200 - i;
+        if (` ${normalized} `.includes(` ${hint} `)) return 100 - i;
+    }
+    return 0;
+}
+
+/**
+ * Suggests a mapping from lead fields to headers, using each header at most once
+ * @param {string[]} headers
+ * @returns {object} { field: header | '' }
+ */
+function suggestColumnMapping(headers) {
+    const candidates = [];
+    LEAD_FIELDS.forEach(field => {
+        headers.forEach(header => {
+            const score = scoreHeaderForField(header, field);
+            if (score > 0) candidates.push({ field, header, score });
+        });
+    });
+
+    // Greedy: strongest pairs first
+    candidates.sort((a, b) => b.score - a.score);
+
+    const mapping = {};
+    const usedHeaders = new Set();
+    LEAD_FIELDS.forEach(field => { mapping[field] = ''; });
+
+    candidates.forEach(({ field, header }) => {
+        if (mapping[field] || usedHeaders.has(header)) return;
+        mapping[field] = header;
+        usedHeaders.add(header);
+    });
+
+    return mapping;
+}
+
+/**
+ * Returns the remembered mapping for these headers, or a fresh suggestion
+ * @param {string[]} headers
+ * @returns {object} { field: header | '' }
+ */
+function getColumnMapping(headers) {
+    const saved = loadSavedColumnMappings()[getHeaderSignature(headers)];
+    if (saved) {
+        // Ignore headers that no longer exist in this file
+        const mapping = {};
+        LEAD_FIELDS.forEach(field => {
+            mapping[field] = headers.includes(saved[field]) ? saved[field] : '';
+        });
+        return mapping;
+    }
+    return suggestColumnMapping(headers);
+}
+
+function loadSavedColumnMappings() {
+    try {
+        return JSON.parse(localStorage.getItem(COLUMN_MAPPING_STORAGE_KEY)) || {};
+    } catch (e) {
+        console.warn("Could not read saved column mappings:", e);
+        return {};
+    }
+}
+
+function rememberColumnMapping(headers, mapping) {
+    try {
+        const saved = loadSavedColumnMappings();
+        saved[getHeaderSignature(headers)] = mapping;
+        localStorage.setItem(COLUMN_MAPPING_STORAGE_KEY, JSON.stringify(saved));
+    } catch (e) {
+        console.warn("Could not save column mapping:", e);
+    }
+}
+
+/**
+ * Re-opens the mapping dialog for the current file
+ */
+async function handleEditMapping(e) {
+    e.stopPropagation(); // Prevent triggering wrapper click
+
+    try {
+        const file = fileInput.files.length > 0 ? fileInput.files[0] : cachedFile;
+        if (file) openMappingDialog(await readFilePayload(file));
+    } catch (err) {
+        console.error("File processing error:", err);
+        showNotification(t('toast.fileFailed'), "error");
+    }
+}
+
+/**
+ * Opens the mapping dialog with a preview of the file and suggested mapping
+ * @param {object} payload {file, fileName, fileMimeType}
+ */
+async function openMappingDialog(payload) {
+    let file;
+    try {
+        file = await loadFileSheets(payload);
+    } catch (e) {
+        console.error("Could not read file for mapping:", e);
+        showNotification(t('toast.columnsUnreadable'), "error");
+        return;
+    }
+
+    // Empty tabs have nothing to map or search
+    const { sheets } = file;
+    const sheetNames = file.sheetNames.filter(name => sheets[name].headers.length);
+    if (!sheetNames.length) {
+        showNotification(t(isPdfFile(payload) ? 'toast.pdfNoLeads' : 'toast.noHeaderRow'), "error");
+        return;
+    }
+
+    const drafts = {};
+    sheetNames.forEach(name => {
+        drafts[name] = columnMappings[name] || getColumnMapping(sheets[name].headers);
+    });
+
+    const chosen = (selectedSheets || sheetNames).filter(name => sheetNames.includes(name));
+    pendingMapping = { sheets, sheetNames, drafts, activeSheet: null };
+
+    // Sheet picker only matters for multi-tab workbooks
+    sheetOptions.innerHTML = sheetNames.map(name => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${escapeHtml(name)}" ${chosen.includes(name) ? 'checked' : ''}>
+            ${escapeHtml(name)}
+            <span class="sheet-row-count">${t('mapping.rowCount', { count: sheets[name].rowCount })}</span>
+        </label>
+    `).join('');
+    sheetPicker.classList.toggle('hidden', sheetNames.length < 2);
+
+    handleSheetSelectionChange();
+    mappingModal.classList.remove('hidden');
+}
+
+/**
+ * Returns the sheets ticked in the dialog's sheet picker
+ * @returns {string[]}
+ */
+function getCheckedSheets() {
+    return Array.from(sheetOptions.querySelectorAll('input:checked')).map(input => input.value);
+}
+
+function toggleAllSheets() {
+    sheetOptions.querySelectorAll('input').forEach(input => {
+        input.checked = allSheetsToggle.checked;
+    });
+    handleSheetSelectionChange();
+}
+
+/**
+ * Keeps the "All sheets" toggle and the per-sheet mapping selector in sync with the ticked sheets
+ */
+function handleSheetSelectionChange() {
+    const checked = getCheckedSheets();
+    allSheetsToggle.checked = checked.length === pendingMapping.sheetNames.length;
+
+    mappingSheetSelect.innerHTML = checked.map(name =>
+        `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`
+    ).join('');
+    mappingSheetSelect.parentElement.classList.toggle('hidden', checked.length < 2);
+
+    const active = checked.includes(pendingMapping.activeSheet) ? pendingMapping.activeSheet : checked[0];
+    if (active) {
+        mappingSheetSelect.value = active;
+        switchMappingSheet(active);
+    } else {
+        saveMappingDraft();
+        pendingMapping.activeSheet = null;
+        mappingFields.innerHTML = `<p class="modal-subtitle">${t('toast.noSheets')}</p>`;
+        mappingPreviewTable.querySelector('thead').innerHTML = '';
+        mappingPreviewTable.querySelector('tbody').innerHTML = '';
+    }
+}
+
+/**
+ * Keeps the selects of the sheet being edited as its draft mapping
+ */
+function saveMappingDraft() {
+    if (pendingMapping.activeSheet && mappingFields.querySelector('select')) {
+        pendingMapping.drafts[pendingMapping.activeSheet] = readMappingSelection();
+    }
+}
+
+/**
+ * Shows the mapping selects and preview for one sheet
+ * @param {string} sheetName
+ */
+function switchMappingSheet(sheetName) {
+    if (sheetName === pendingMapping.activeSheet && mappingFields.querySelector('select')) return;
+
+    saveMappingDraft();
+    pendingMapping.activeSheet = sheetName;
+
+    const { headers } = pendingMapping.sheets[sheetName];
+    const mapping = pendingMapping.drafts[sheetName];
+
+    // One select per lead field
+    mappingFields.innerHTML = '';
+    LEAD_FIELDS.forEach(field => {
+        const group = document.createElement('div');
+        group.className = 'mapping-field';
+        group.innerHTML = `
+            <label for="mapping-${field}">${getFieldLabel(field)}</label>
+            <select id="mapping-${field}" data-field="${field}">
+                <option value="">— Not mapped —</option>
+                ${headers.map(h => `<option value="${escapeHtml(h)}">${escapeHtml(h)}</option>`).join('')}
+            </select>
+        `;
+        const select = group.querySelector('select');
+        select.value = mapping[field] || '';
+        select.addEventListener('change', renderMappingPreview);
+        mappingFields.appendChild(group);
+    });
+
+    renderMappingPreview();
+}
+
+/**
+ * Reads the mapping currently chosen in the dialog
+ * @returns {object} { field: header | '' }
+ */
+function readMappingSelection() {
+    const mapping = {};
+    mappingFields.querySelectorAll('select').forEach(select => {
+        mapping[select.dataset.field] = select.value;
+    });
+    return mapping;
+}
+
+/**
+ * Renders the first rows of the active sheet, labelling the mapped columns
+ */
+function renderMappingPreview() {
+    const { headers, preview } = pendingMapping.sheets[pendingMapping.activeSheet];
+    const mapping = readMappingSelection();
+
+    // Reverse lookup: header -> field
+    const fieldByHeader = {};
+    LEAD_FIELDS.forEach(field => {
+        if (mapping[field]) fieldByHeader[mapping[field]] = field;
+    });
+
+    mappingPreviewTable.querySelector('thead').innerHTML = `
+        <tr>
+            ${headers.map(h => `
+                <th class="${fieldByHeader[h] ? 'mapped' : ''}">
+                    ${fieldByHeader[h] ? `<span class="mapping-tag">${getFieldLabel(fieldByHeader[h])}</span>` : ''}
+                    ${escapeHtml(h)}
+                </th>`).join('')}
+        </tr>
+    `;
+
+    mappingPreviewTable.querySelector('tbody').innerHTML = preview.map(row => `
+        <tr>${headers.map(h => `<td>${escapeHtml(row[h])}</td>`).join('')}</tr>
+    `).join('');
+}
+
+/**
+ * Saves the chosen sheets and mappings for this search and for files with the same headers
+ */
+function confirmColumnMapping() {
+    saveMappingDraft();
+
+    const checked = getCheckedSheets();
+    if (!checked.length) {
+        showNotification(t('toast.noSheets'), "error");
+        return;
+    }
+
+    const unmapped = checked.find(name => !LEAD_FIELDS.some(field => pendingMapping.drafts[name][field]));
+    if (unmapped) {
+        showNotification(t('toast.sheetUnmapped', { sheet: unmapped }), "error");
+        switchMappingSheet(unmapped);
+        mappingSheetSelect.value = unmapped;
+        return;
+    }
+
+    columnMappings = {};
+    checked.forEach(name => {
+        columnMappings[name] = pendingMapping.drafts[name];
+        rememberColumnMapping(pendingMapping.sheets[name].headers, pendingMapping.drafts[name]);
+    });
+    selectedSheets = checked;
+
+    closeMappingDialog();
+    showNotification(t('toast.mappingSaved', { count: checked.length }));
+}
+
+function closeMappingDialog() {
+    mappingModal.classList.add('hidden');
+    pendingMapping = null;
+}
+
+// ================= EXPORT FUNCTIONS =================
+
+/**
+ * Rows to export: every result, or only what the table filters currently show
+ * @returns {Array}
+ */
+function getExportRows() {
+    let rows;
+    if (exportScopeSelect.value === 'selected') {
+        rows = getSelectedLeads();
+    } else {
+        rows = exportScopeSelect.value === 'filtered' ? getFilteredData() : currentData;
+    }
+    return excludeLowQualityToggle.checked
+        ? rows.filter(row => getQualityLevel(row.quality) !== 'poor')
+        : rows;
+}
+
+/**
+ * Fields to export, in column order (sheet only when results span sheets,
+ * merge provenance only when leads were merged, then any extra source columns)
+ * @param {Array} rows
+ * @returns {string[]}
+ */
+function getExportFields(rows) {
+    // Columns picked in the export dialog, then those chosen in Settings, win over the automatic choice
+    if (exportColumns) return [...exportColumns];
+    if (settings.exportFields.length) return [...settings.exportFields];
+
+    const fields = [...LEAD_FIELDS];
+    if (rows.some(row => row.sheet)) fields.push('sheet');
+    if (rows.some(row => row.source)) fields.push('source');
+    if (rows.some(row => row.batchCriteria)) fields.push('batchCriteria');
+    fields.push('tags');
+    if (rows.some(row => row.mergedFrom)) fields.push('mergedFrom');
+    if (rows.some(row => row.notes)) fields.push('notes');
+    if (rows.some(row => row.events && row.events.length)) fields.push('events');
+    return [...fields, ...getExtraFields(rows)];
+}
+
+/**
+ * Header of a field in CSV and Excel files: the field key, or the source header for extra columns
+ * @param {string} field
+ * @returns {string}
+ */
+function getExportColumnName(field) {
+    return isExtraField(field) ? getExtraHeader(field) : field;
+}
+
+/**
+ * Builds a dated export file name ("leads_export_2024-05-01.csv")
+ * @param {string} prefix
+ * @param {string} extension
+ * @returns {string}
+ */
+function getExportFileName(prefix, extension) {
+    return `${prefix}_${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Serializes rows to CSV with the given fields as columns
+ * @param {Array} rows
+ * @param {string[]} fields
+ * @param {string} [separator] - See getCsvSeparator
+ * @returns {string}
+ */
+function buildCSV(rows, fields, separator = ',') {
+    return toCSV(
+        fields.map(getExportColumnName),
+        rows.map(row => fields.map(field => formatFieldValue(row, field))),
+        separator
+    );
+}
+
+/**
+ * Serializes a header row and value rows to CSV
+ * @param {string[]} headers
+ * @param {Array<string[]>} valueRows
+ * @param {string} [separator]
+ * @returns {string}
+ */
+function toCSV(headers, valueRows, separator = ',') {
+    const csvRows = [];
+    csvRows.push(headers.map(toCSVCell).join(separator)); // Header row
+
+    for (const values of valueRows) {
+        csvRows.push(values.map(toCSVCell).join(separator));
+    }
+
+    return csvRows.join('\n');
+}
+
+/**
+ * Column separator Excel expects when opening a CSV in the current locale: locales
+ * that write decimals with a comma (es, de, fr, ...) use a semicolon
+ * @returns {string}
+ */
+function getCsvSeparator() {
+    const decimal = new Intl.NumberFormat(currentLocale).formatToParts(1.5).find(part => part.type === 'decimal');
+    return decimal && decimal.value === ',' ? ';' : ',';
+}
+
+/**
+ * Wraps CSV text in a UTF-8 blob with a byte order mark, without which Excel
+ * reads the file in the system code page and garbles accented names
+ * @param {string} csv
+ * @returns {Blob}
+ */
+function toCSVBlob(csv) {
+    return new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+}
+
+function toCSVCell(value) {
+    // Escape quotes and wrap in quotes to handle commas in data
+    return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Saves a blob through a temporary download link
+ * @param {Blob} blob
+ * @param {string} fileName
+ */
+function downloadBlob(blob, fileName) {
+    const url = window.URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    a.click();
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * Writes rows to an .xlsx file with the given fields as columns
+ * @param {Array} rows
+ * @param {string[]} fields
+ * @param {string} fileName
+ * @param {string} sheetName
+ */
+function writeExcel(rows, fields, fileName, sheetName) {
+    // Use SheetJS (XLSX)
+    const headers = fields.map(getExportColumnName);
+    const sheetRows = rows.map(row => fields.map(field => formatFieldValue(row, field)));
+    const worksheet = XLSX.utils.aoa_to_sheet([headers, ...sheetRows]);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
+
+    XLSX.writeFile(workbook, fileName);
+}
+
+function downloadCSV() {
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    // Safely map specific fields to ensure order
+    const fields = getExportFields(exportRows);
+
+    downloadBlob(toCSVBlob(buildCSV(exportRows, fields, getCsvSeparator())), getExportFileName('leads_export', 'csv'));
+    logAudit('export', exportRows, t('exportFormat.csv'));
+    showNotification(t('toast.csvDownloaded'));
+}
+
+function downloadExcel() {
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    writeExcel(exportRows, getExportFields(exportRows), getExportFileName('leads_export', 'xlsx'), "Leads");
+    logAudit('export', exportRows, t('exportFormat.xlsx'));
+    showNotification(t('toast.excelDownloaded'));
+}
+
+/**
+ * Downloads a PDF report: a cover with the searches behind the results, lead counts
+ * per location and technology, then the leads table (layout from Settings > PDF Report)
+ */
+function downloadPDF() {
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    const report = settings.report;
+    const fields = getExportFields(exportRows);
+    const landscape = report.orientation === 'landscape'
+        || (report.orientation === 'auto' && fields.length > REPORT_LANDSCAPE_COLUMNS);
+
+    // Use jsPDF + AutoTable
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({ orientation: landscape ? 'landscape' : 'portrait' });
+
+    const coverEnd = drawReportCover(doc, report, exportRows);
+    drawReportSummary(doc, exportRows, coverEnd + 10);
+
+    doc.addPage();
+    drawReportLeads(doc, exportRows, fields, report.groupBy);
+    drawReportPageFrames(doc, report);
+
+    doc.save(getExportFileName('leads_export', 'pdf'));
+    logAudit('export', exportRows, t('audit.pdfReport'));
+    showNotification(t('toast.pdfDownloaded'));
+}
+
+/**
+ * Title, generation time, lead count and the searches (criteria and sources) behind the results
+ * @param {object} doc - jsPDF document
+ * @param {object} report - settings.report
+ * @param {Array} rows - Leads in the report
+ * @returns {number} Y position below the cover
+ */
+function drawReportCover(doc, report, rows) {
+    let y = REPORT_CONTENT_TOP + 8;
+    doc.setFontSize(22);
+    doc.setTextColor(17, 24, 39);
+    doc.text(report.title, REPORT_PAGE_MARGIN, y);
+
+    const left = currentData.length - rows.length;
+    const count = t('common.leads', { count: rows.length })
+        + (left ? ` ${t('report.leftOut', { count: left, total: currentData.length })}` : '');
+    y += 9;
+    doc.setFontSize(10);
+    doc.setTextColor(107, 114, 128);
+    doc.text(t('report.generated', { date: new Date().toLocaleString(currentLocale) }), REPORT_PAGE_MARGIN, y);
+    doc.text(count, REPORT_PAGE_MARGIN, y + 5);
+
+    const describeSource = source => {
+        const provider = searchProviders.get(source.providerId);
+        const label = provider ? getProviderLabel(provider) : source.label;
+        if (source.state === 'done') return `${label}: ${t('common.leads', { count: source.count })}`;
+        if (source.state === 'queued') return `${label}: ${t('report.sentToWorkflow')}`;
+        return `${label}: ${t(`providerStatus.${source.state}`).toLocaleLowerCase(currentLocale)}`;
+    };
+    const body = reportSearches.map(search => [
+        describeCriteria(search.criteria, search.fileName),
+        search.sources.map(describeSource).join('\n') || '-',
+        new Date(search.at).toLocaleString(currentLocale)
+    ]);
+
+    doc.autoTable({
+        head: [[t('report.criteria'), t('report.sources'), t('report.searchedAt')]],
+        body: body.length ? body : [[t('report.notRecorded'), '-', '-']],
+        startY: y + 12,
+        margin: { top: REPORT_CONTENT_TOP, bottom: REPORT_CONTENT_BOTTOM },
+        styles: { fontSize: 9 },
+        headStyles: { fillColor: REPORT_ACCENT_COLOR }
+    });
+    return doc.lastAutoTable.finalY;
+}
+
+/**
+ * Side-by-side tables of lead counts per location and per technology
+ * @param {object} doc - jsPDF document
+ * @param {Array} rows
+ * @param {number} startY
+ */
+function drawReportSummary(doc, rows, startY) {
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const gap = 8;
+    const tableWidth = (pageWidth - REPORT_PAGE_MARGIN * 2 - gap) / 2;
+    const tables = [
+        [getFieldLabel('location'), countReportValues(rows, row => [getReportGroup(row, 'location')])],
+        [getFieldLabel('technology'), countReportValues(rows, row => row.technologies || splitTechnologies(row.technology))]
+    ];
+
+    // Both tables start at the same height, so they must both fit below startY; autoTable
+    // would otherwise break the first onto a new page and draw the second at startY there
+    const rowCount = Math.max(...tables.map(([, counts]) => Math.max(counts.length, 1))) + 1;
+    if (startY + rowCount * REPORT_SUMMARY_ROW_HEIGHT > doc.internal.pageSize.getHeight() - REPORT_CONTENT_BOTTOM) {
+        doc.addPage();
+        startY = REPORT_CONTENT_TOP;
+    }
+
+    tables.forEach(([label, counts], index) => {
+        doc.autoTable({
+            head: [[label, t('report.leads')]],
+            body: counts.length ? counts : [[t('common.notGiven'), rows.length]],
+            startY,
+            tableWidth,
+            margin: { top: REPORT_CONTENT_TOP, bottom: REPORT_CONTENT_BOTTOM, left: REPORT_PAGE_MARGIN + index * (tableWidth + gap) },
+            styles: { fontSize: 9 },
+            headStyles: { fillColor: REPORT_ACCENT_COLOR },
+            columnStyles: { 1: { halign: 'right' } }
+        });
+    });
+}
+
+/**
+ * Counts leads per value, most common first; values past REPORT_SUMMARY_LIMIT are summed as "Other"
+ * @param {Array} rows
+ * @param {function(object): string[]} getValues - Values a lead counts towards
+ * @returns {Array<[string, number]>}
+ */
+function countReportValues(rows, getValues) {
+    const sorted = tallyLeadValues(rows, getValues).map(({ label, count }) => [label, count]);
+    if (sorted.length <= REPORT_SUMMARY_LIMIT) return sorted;
+    const other = sorted.slice(REPORT_SUMMARY_LIMIT - 1).reduce((sum, [, count]) => sum + count, 0);
+    return [...sorted.slice(0, REPORT_SUMMARY_LIMIT - 1), [t('common.other'), other]];
+}
+
+/**
+ * Group a lead is listed under; a lead with several technologies goes under its first one
+ * @param {object} row
+ * @param {string} groupBy - 'location' or 'technology'
+ * @returns {string}
+ */
+function getReportGroup(row, groupBy) {
+    if (groupBy === 'technology') {
+        const technologies = row.technologies || splitTechnologies(row.technology);
+        return technologies[0] || t('common.notGiven');
+    }
+    return (row.location || '').trim() || t('common.notGiven');
+}
+
+/**
+ * The leads table, optionally split into one titled table per location or technology
+ * @param {object} doc - jsPDF document
+ * @param {Array} rows
+ * @param {string[]} fields
+ * @param {string} groupBy - '', 'location' or 'technology'
+ */
+function drawReportLeads(doc, rows, fields, groupBy) {
+    const options = {
+        head: [fields.map(getFieldLabel)],
+        margin: { top: REPORT_CONTENT_TOP, bottom: REPORT_CONTENT_BOTTOM },
+        styles: { fontSize: 8 },
+        headStyles: { fillColor: REPORT_ACCENT_COLOR }
+    };
+    const toBody = list => list.map(row => fields.map(field => formatFieldValue(row, field)));
+
+    if (!groupBy) {
+        doc.autoTable({ ...options, body: toBody(rows), startY: REPORT_CONTENT_TOP });
+        return;
+    }
+
+    const groups = new Map();
+    rows.forEach(row => {
+        const label = getReportGroup(row, groupBy);
+        const key = label.toLowerCase();
+        if (!groups.has(key)) groups.set(key, { label, rows: [] });
+        groups.get(key).rows.push(row);
+    });
+
+    const pageHeight = doc.internal.pageSize.getHeight();
+    let y = REPORT_CONTENT_TOP;
+    [...groups.values()].sort((a, b) => b.rows.length - a.rows.length).forEach(group => {
+        // Keep a group title together with the start of its table
+        if (y > pageHeight - REPORT_CONTENT_BOTTOM - 30) {
+            doc.addPage();
+            y = REPORT_CONTENT_TOP;
+        }
+        doc.setFontSize(12);
+        doc.setTextColor(17, 24, 39);
+        doc.text(`${group.label} (${group.rows.length})`, REPORT_PAGE_MARGIN, y + 5);
+        doc.autoTable({ ...options, body: toBody(group.rows), startY: y + 8 });
+        y = doc.lastAutoTable.finalY + 10;
+    });
+}
+
+/**
+ * Draws the logo, header text and "Page x of y" footer on every page
+ * @param {object} doc - jsPDF document
+ * @param {object} report - settings.report
+ */
+function drawReportPageFrames(doc, report) {
+    const pageCount = doc.internal.getNumberOfPages();
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+
+    let logo = null;
+    if (report.logo) {
+        try {
+            // Fit the logo into a 12mm high, 50mm wide box
+            const { width, height } = doc.getImageProperties(report.logo);
+            const scale = Math.min(12 / height, 50 / width);
+            logo = { format: report.logo.startsWith('data:image/png') ? 'PNG' : 'JPEG', width: width * scale, height: height * scale };
+        } catch (e) {
+            console.warn("Could not draw the report logo:", e);
+        }
+    }
+
+    for (let page = 1; page <= pageCount; page++) {
+        doc.setPage(page);
+        if (logo) doc.addImage(report.logo, logo.format, REPORT_PAGE_MARGIN, 10, logo.width, logo.height);
+
+        doc.setFontSize(9);
+        doc.setTextColor(107, 114, 128);
+        if (report.header) doc.text(report.header, pageWidth - REPORT_PAGE_MARGIN, 17, { align: 'right' });
+        doc.setDrawColor(229, 231, 235);
+        doc.line(REPORT_PAGE_MARGIN, 24, pageWidth - REPORT_PAGE_MARGIN, 24);
+
+        doc.text(report.title, REPORT_PAGE_MARGIN, pageHeight - 10);
+        doc.text(t('pager.indicator', { page, pages: pageCount }), pageWidth - REPORT_PAGE_MARGIN, pageHeight - 10, { align: 'right' });
+    }
+}
+
+
+
+/**
+ * Downloads the export rows as a JSON array, or as NDJSON (one lead object per line).
+ * Lead fields keep their keys; extra source columns are grouped under "extra".
+ * @param {boolean} ndjson
+ */
+function downloadJSON(ndjson) {
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    const fields = getExportFields(exportRows);
+    const records = exportRows.map(row => toExportRecord(row, fields));
+    const text = ndjson
+        ? records.map(record => JSON.stringify(record)).join('\n') + '\n'
+        : JSON.stringify(records, null, 2);
+
+    const type = ndjson ? 'application/x-ndjson' : 'application/json';
+    downloadBlob(new Blob([text], { type }), getExportFileName('leads_export', ndjson ? 'ndjson' : 'json'));
+    logAudit('export', exportRows, t(ndjson ? 'exportFormat.ndjson' : 'exportFormat.json'));
+    showNotification(t(ndjson ? 'toast.ndjsonDownloaded' : 'toast.jsonDownloaded'));
+}
+
+/**
+ * Picks the given fields of a lead as a plain object, keeping arrays and numbers as they are
+ * @param {object} row
+ * @param {string[]} fields
+ * @returns {object}
+ */
+function toExportRecord(row, fields) {
+    const record = {};
+    fields.forEach(field => {
+        if (isExtraField(field)) {
+            const value = (row.extra || {})[getExtraHeader(field)];
+            if (value === undefined) return;
+            record.extra = record.extra || {};
+            record.extra[getExtraHeader(field)] = value;
+            return;
+        }
+        const value = row[field];
+        if (value !== undefined && value !== null) record[field] = value;
+        else record[field] = field === 'tags' || field === 'events' ? [] : '';
+    });
+    return record;
+}
+
+/**
+ * Downloads the export rows as vCard 3.0 contacts for address book import
+ */
+function downloadVCard() {
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    downloadBlob(new Blob([buildVCards(exportRows)], { type: 'text/vcard;charset=utf-8' }), getExportFileName('leads_contacts', 'vcf'));
+    logAudit('export', exportRows, t('exportFormat.vcf'));
+    showNotification(t('toast.contactsDownloaded', { count: exportRows.length }));
+}
+
+/**
+ * Serializes leads to vCard 3.0. Technology and tags become categories;
+ * source and extra columns go into the note.
+ * @param {Array} rows
+ * @returns {string}
+ */
+function buildVCards(rows) {
+    return rows.map(row => {
+        const { first, last } = splitPersonName(row.name);
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `N:${escapeVCardText(last)};${escapeVCardText(first)};;;`,
+            `FN:${escapeVCardText(row.name || row.email || row.phone || 'Unnamed lead')}`
+        ];
+        if (row.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeVCardText(row.email)}`);
+        if (row.phone) lines.push(`TEL;TYPE=CELL:${escapeVCardText(row.phone)}`);
+        if (row.location) lines.push(`ADR;TYPE=WORK:;;;${escapeVCardText(row.location)};;;`);
+
+        const company = getLeadCompany(row);
+        if (company) lines.push(`ORG:${escapeVCardText(company)}`);
+
+        const categories = Array.from(new Set([...splitTechnologies(row.technology || ''), ...(row.tags || [])]));
+        if (categories.length) lines.push(`CATEGORIES:${categories.map(escapeVCardText).join(',')}`);
+
+        const notes = [
+            row.technology && `Technology: ${row.technology}`,
+            row.source && `Source: ${getSourceLabel(row.source)}`,
+            ...Object.entries(row.extra || {}).map(([header, value]) => `${header}: ${value}`),
+            row.notes,
+            ...(row.events || []).map(formatLeadEvent)
+        ].filter(Boolean);
+        if (notes.length) lines.push(`NOTE:${escapeVCardText(notes.join('\n'))}`);
+
+        lines.push('END:VCARD');
+        return lines.map(foldVCardLine).join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+function escapeVCardText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Folds a long content line onto continuation lines that start with a space
+ * @param {string} line
+ * @returns {string}
+ */
+function foldVCardLine(line) {
+    if (line.length <= VCARD_LINE_LENGTH) return line;
+    const parts = [line.slice(0, VCARD_LINE_LENGTH)];
+    for (let i = VCARD_LINE_LENGTH; i < line.length; i += VCARD_LINE_LENGTH - 1) {
+        parts.push(' ' + line.slice(i, i + VCARD_LINE_LENGTH - 1));
+    }
+    return parts.join('\r\n');
+}
+
+/**
+ * Splits a full name into first and last name; a single word counts as the last name
+ * @param {string} name
+ * @returns {{first: string, last: string}}
+ */
+function splitPersonName(name) {
+    const words = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (!words.length) return { first: '', last: '' };
+    return { first: words.slice(0, -1).join(' '), last: words[words.length - 1] };
+}
+
+/**
+ * Company of a lead, from an extra source column such as "Company" or "Organization"
+ * @param {object} row
+ * @returns {string}
+ */
+function getLeadCompany(row) {
+    const header = Object.keys(row.extra || {}).find(key => COMPANY_HEADER_PATTERN.test(humanizeKey(key)));
+    return header ? row.extra[header] : '';
+}
+
+/**
+ * Downloads the export rows as a CSV whose headers match a CRM's lead import
+ * @param {string} presetId - Key of CRM_EXPORT_PRESETS
+ */
+function downloadCrmCSV(presetId) {
+    const preset = CRM_EXPORT_PRESETS[presetId];
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    // CRM importers expect commas whatever the locale
+    downloadBlob(toCSVBlob(buildCrmCSV(exportRows, preset)), getExportFileName(`leads_${presetId}`, 'csv'));
+    logAudit('export', exportRows, t('exportFormat.crm', { crm: preset.label }));
+    showNotification(t('toast.crmDownloaded', { crm: preset.label }));
+}
+
+/**
+ * Serializes rows in a CRM preset's column layout, followed by their extra source columns
+ * @param {Array} rows
+ * @param {object} preset - Entry of CRM_EXPORT_PRESETS
+ * @returns {string}
+ */
+function buildCrmCSV(rows, preset) {
+    const columns = Object.entries(preset.columns);
+    // A source column named like a preset column (e.g. "Company") is already exported there
+    const presetHeaders = new Set(columns.map(([header]) => header.toLowerCase()));
+    const extraFields = getExtraFields(rows).filter(field => !presetHeaders.has(getExtraHeader(field).toLowerCase()));
+    const headers = [...columns.map(([header]) => header), ...extraFields.map(getExtraHeader)];
+
+    return toCSV(headers, rows.map(row => [
+        ...columns.map(([, key]) => getCrmValue(row, key, preset)),
+        ...extraFields.map(field => formatFieldValue(row, field))
+    ]));
+}
+
+/**
+ * Value of a CRM preset column for a lead
+ * @param {object} row
+ * @param {string} key - firstName, lastName, company, city, source, description or a lead field
+ * @param {object} preset
+ * @returns {string}
+ */
+function getCrmValue(row, key, preset) {
+    switch (key) {
+        case 'firstName': return splitPersonName(row.name).first;
+        case 'lastName': return splitPersonName(row.name).last;
+        case 'company': return getLeadCompany(row) || preset.companyFallback || '';
+        // "Bangalore, India" -> "Bangalore"
+        case 'city': return (row.location || '').split(',')[0].trim();
+        case 'source': return getSourceLabel(row.source) || 'Leads Search';
+        case 'description': {
+            const parts = [];
+            if (row.technology) parts.push(`Technology: ${row.technology}`);
+            if (row.tags && row.tags.length) parts.push(`Tags: ${row.tags.join(', ')}`);
+            return parts.join('; ');
+        }
+        default: return formatFieldValue(row, key);
+    }
+}
+
+// ================= EXPORT DIALOG =================
+
+/**
+ * Fills the format picker from EXPORT_FORMATS and CRM_EXPORT_PRESETS, in the current language
+ */
+function renderExportFormatOptions() {
+    const formats = Object.keys(EXPORT_FORMATS)
+        .map(id => `<option value="${id}">${escapeHtml(t(`exportFormat.${id}`))}</option>`)
+        .join('');
+    const presets = Object.entries(CRM_EXPORT_PRESETS)
+        .map(([id, preset]) => `<option value="${id}">${escapeHtml(t('exportFormat.crm', { crm: preset.label }))}</option>`)
+        .join('');
+    exportFormatSelect.innerHTML = `${formats}<optgroup label="${escapeHtml(t('exportFormat.crmGroup'))}">${presets}</optgroup>`;
+}
+
+/**
+ * Opens the export dialog with the current columns ticked in export order,
+ * followed by the columns left out
+ */
+function openExportDialog() {
+    const exportRows = getExportRows();
+    if (!exportRows.length) return showNotification(t('toast.noLeadsToExport'), "error");
+
+    const chosen = getExportFields(exportRows);
+    renderExportColumns(chosen, getExportFieldOptions(exportRows, chosen));
+    updateExportFormatNote();
+    exportModal.classList.remove('hidden');
+}
+
+function closeExportDialog() {
+    exportModal.classList.add('hidden');
+}
+
+/**
+ * Every field the export dialog can offer for these rows
+ * @param {Array} rows
+ * @param {string[]} chosen - Fields already picked, listed first
+ * @returns {string[]}
+ */
+function getExportFieldOptions(rows, chosen) {
+    return Array.from(new Set([...chosen, ...EXPORT_FIELD_OPTIONS, ...getExtraFields(rows)]));
+}
+
+/**
+ * Renders the column chooser
+ * @param {string[]} chosen - Ticked fields
+ * @param {string[]} fields - All fields, in display order
+ */
+function renderExportColumns(chosen, fields) {
+    exportColumnList.innerHTML = fields.map(field => `
+        <li class="export-column" data-field="${escapeHtml(field)}">
+            <label class="checkbox-label">
+                <input type="checkbox" ${chosen.includes(field) ? 'checked' : ''}>
+                ${escapeHtml(getFieldLabel(field))}
+                ${isExtraField(field) ? `<span class="export-column-extra">${t('export.sourceColumn')}</span>` : ''}
+            </label>
+            <button type="button" class="link-btn" data-move="-1" title="${t('export.moveUp')}"><i class="fa-solid fa-arrow-up"></i></button>
+            <button type="button" class="link-btn" data-move="1" title="${t('export.moveDown')}"><i class="fa-solid fa-arrow-down"></i></button>
+        </li>
+    `).join('');
+}
+
+/**
+ * Moves a column up or down in the chooser
+ * @param {Event} e
+ */
+function handleExportColumnMove(e) {
+    const button = e.target.closest('[data-move]');
+    if (!button) return;
+
+    const item = button.closest('.export-column');
+    if (button.dataset.move === '-1' && item.previousElementSibling) {
+        exportColumnList.insertBefore(item, item.previousElementSibling);
+    } else if (button.dataset.move === '1' && item.nextElementSibling) {
+        exportColumnList.insertBefore(item.nextElementSibling, item);
+    }
+}
+
+/**
+ * Puts the chooser back to the Settings default or automatic columns
+ */
+function resetExportColumns() {
+    exportColumns = null;
+    const exportRows = getExportRows();
+    const chosen = getExportFields(exportRows);
+    renderExportColumns(chosen, getExportFieldOptions(exportRows, chosen));
+}
+
+/**
+ * Explains what the chosen format does with the columns
+ */
+function updateExportFormatNote() {
+    const format = exportFormatSelect.value;
+    const usesColumns = EXPORT_FORMATS[format] && EXPORT_FORMATS[format].columns;
+    exportColumnsSection.classList.toggle('export-columns-fixed', !usesColumns);
+
+    if (CRM_EXPORT_PRESETS[format]) {
+        const headers = Object.keys(CRM_EXPORT_PRESETS[format].columns).join(', ');
+        exportFormatNote.textContent = t('export.noteCrm', { crm: CRM_EXPORT_PRESETS[format].label, headers });
+    } else if (format === 'vcf') {
+        exportFormatNote.textContent = t('export.noteVcf');
+    } else {
+        exportFormatNote.textContent = t('export.noteColumns');
+    }
+}
+
+/**
+ * Remembers the picked columns for this session and downloads the chosen format
+ */
+function confirmExport() {
+    const format = exportFormatSelect.value;
+
+    if (EXPORT_FORMATS[format] && EXPORT_FORMATS[format].columns) {
+        const fields = [...exportColumnList.querySelectorAll('.export-column')]
+            .filter(item => item.querySelector('input').checked)
+            .map(item => item.dataset.field);
+        if (!fields.length) return showNotification(t('toast.noColumns'), "error");
+        exportColumns = fields;
+    }
+
+    if (format === 'csv') downloadCSV();
+    else if (format === 'xlsx') downloadExcel();
+    else if (format === 'pdf') downloadPDF();
+    else if (format === 'json' || format === 'ndjson') downloadJSON(format === 'ndjson');
+    else if (format === 'vcf') downloadVCard();
+    else if (CRM_EXPORT_PRESETS[format]) downloadCrmCSV(format);
+
+    closeExportDialog();
+}